@@ -1,17 +1,38 @@
 // Mock implementation of @octokit/rest for unit tests
 
 const mockOctokit = {
+    // Single-page pagination: the list endpoint's data is the whole result
+    paginate: jest.fn((method, params) => method(params).then(response => response.data)),
+    graphql: jest.fn(),
     rest: {
         pulls: {
             get: jest.fn().mockResolvedValue({
                 data: 'diff --git a/test.js b/test.js\nindex 123..456 100644\n--- a/test.js\n+++ b/test.js\n@@ -1,3 +1,4 @@\n function test() {\n+  console.log("test");\n   return true;\n }'
-            })
+            }),
+            createReview: jest.fn().mockResolvedValue({
+                status: 200,
+                data: { id: 67890 }
+            }),
+            updateReview: jest.fn().mockResolvedValue({
+                status: 200,
+                data: { id: 67890 }
+            }),
+            listReviews: jest.fn().mockResolvedValue({ status: 200, data: [] }),
+            listReviewComments: jest.fn().mockResolvedValue({ status: 200, data: [] }),
+            listFiles: jest.fn().mockResolvedValue({ status: 200, data: [] }),
+            updateReviewComment: jest.fn().mockResolvedValue({ status: 200, data: {} })
         },
         issues: {
+            get: jest.fn(),
+            listComments: jest.fn().mockResolvedValue({ status: 200, data: [] }),
             createComment: jest.fn().mockResolvedValue({
                 status: 201,
                 data: { id: 12345 }
             }),
+            updateComment: jest.fn().mockResolvedValue({
+                status: 200,
+                data: { id: 12345 }
+            }),
             deleteComment: jest.fn().mockResolvedValue({
                 status: 204
             })
@@ -20,7 +41,9 @@ const mockOctokit = {
             get: jest.fn().mockResolvedValue({
                 status: 200,
                 data: { name: 'test-repo', full_name: 'test-org/test-repo' }
-            })
+            }),
+            getContent: jest.fn(),
+            compareCommitsWithBasehead: jest.fn()
         }
     }
 };
@@ -0,0 +1,218 @@
+const http = require('http');
+const { createBitbucketServerProvider } = require('../../src/bitbucket-provider');
+
+// Local stand-in for the Bitbucket Server API: records requests and answers from `route`
+function startStub(route) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+            requests.push(request);
+            const reply = route(request) || { status: 404, json: { errors: [{ message: 'Not found' }] } };
+            if (reply.text !== undefined) {
+                res.writeHead(reply.status || 200, { 'content-type': 'text/plain' });
+                res.end(reply.text);
+            } else {
+                res.writeHead(reply.status || 200, { 'content-type': 'application/json' });
+                res.end(reply.json === undefined ? '' : JSON.stringify(reply.json));
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+describe('Bitbucket Server Provider', () => {
+    const PR = '/rest/api/1.0/projects/PROJ/repos/my-repo/pull-requests/7';
+    const diff = 'diff --git a/src/a.js b/src/a.js\n--- a/src/a.js\n+++ b/src/a.js\n@@ -1 +1,2 @@\n a\n+b\n';
+
+    let stub;
+    let baseUrl;
+    let provider;
+
+    beforeAll(async () => {
+        stub = await startStub((request) => {
+            if (request.method === 'GET' && request.url === PR) {
+                return {
+                    json: {
+                        id: 7,
+                        title: 'Add b',
+                        description: 'Adds b',
+                        author: { user: { slug: 'build-bot', type: 'SERVICE' } },
+                        fromRef: { displayId: 'feature', latestCommit: 'head1' },
+                        toRef: { displayId: 'main', latestCommit: 'base1' }
+                    }
+                };
+            }
+            if (request.method === 'GET' && request.url === `${PR}.diff`) {
+                return { text: diff };
+            }
+            if (request.method === 'GET' && request.url === '/rest/api/1.0/projects/PROJ/repos/my-repo/raw/src/a%20b.js?at=head1') {
+                return { text: 'const a = 1;\n' };
+            }
+            if (request.method === 'POST' && request.url === `${PR}/comments`) {
+                return request.body.anchor?.line === 99
+                    ? { status: 409, json: { errors: [{ message: 'The line is not part of the diff' }] } }
+                    : { status: 201, json: { id: 21 } };
+            }
+            if (request.method === 'GET' && request.url.startsWith(`${PR}/activities`)) {
+                const start = new URL(request.url, 'http://stub').searchParams.get('start');
+                return start === '0'
+                    ? {
+                        json: {
+                            isLastPage: false,
+                            nextPageStart: 2,
+                            values: [
+                                { action: 'COMMENTED', commentAction: 'ADDED', comment: { id: 31, text: 'Newest' } },
+                                { action: 'APPROVED' }
+                            ]
+                        }
+                    }
+                    : {
+                        json: {
+                            isLastPage: true,
+                            values: [
+                                { action: 'COMMENTED', commentAction: 'EDITED', comment: { id: 30, text: 'Edited' } },
+                                { action: 'COMMENTED', commentAction: 'ADDED', comment: { id: 30, text: 'Oldest' } }
+                            ]
+                        }
+                    };
+            }
+            if (request.url === `${PR}/comments/30`) {
+                return request.method === 'GET' ? { json: { id: 30, version: 4 } } : { json: { id: 30, version: 5 } };
+            }
+            if (request.method === 'POST' && request.url === '/rest/build-status/1.0/commits/head1') {
+                return { status: 204 };
+            }
+            return null;
+        });
+        baseUrl = `http://127.0.0.1:${stub.server.address().port}`;
+        provider = createBitbucketServerProvider({ env: { BITBUCKET_BASE_URL: `${baseUrl}/`, BITBUCKET_TOKEN: 'bbtoken' } });
+    });
+
+    afterAll(() => new Promise(resolve => stub.server.close(resolve)));
+
+    beforeEach(() => {
+        stub.requests.length = 0;
+    });
+
+    test('should require the server URL and credentials', () => {
+        expect(() => createBitbucketServerProvider({ env: {} }).checkEnvironment()).toThrow('BITBUCKET_BASE_URL environment variable is required');
+        expect(() => createBitbucketServerProvider({ env: { BITBUCKET_BASE_URL: baseUrl } }).checkEnvironment())
+            .toThrow('Bitbucket credentials are required');
+    });
+
+    test('should authenticate with a bearer token or basic credentials', async () => {
+        await provider.getPullRequest('PROJ', 'my-repo', '7');
+        const basic = createBitbucketServerProvider({ env: { BITBUCKET_BASE_URL: baseUrl, BITBUCKET_USERNAME: 'ci', BITBUCKET_PASSWORD: 'secret' } });
+        await basic.getPullRequest('PROJ', 'my-repo', '7');
+
+        expect(stub.requests[0].headers.authorization).toBe('Bearer bbtoken');
+        expect(stub.requests[1].headers.authorization).toBe(`Basic ${Buffer.from('ci:secret').toString('base64')}`);
+    });
+
+    test('should return the pull request in the GitHub shape', async () => {
+        expect(await provider.getPullRequest('PROJ', 'my-repo', '7')).toMatchObject({
+            number: 7,
+            title: 'Add b',
+            body: 'Adds b',
+            draft: false,
+            labels: [],
+            user: { login: 'build-bot', type: 'Bot' },
+            base: { ref: 'main', sha: 'base1' },
+            head: { ref: 'feature', sha: 'head1' }
+        });
+        await expect(provider.getPullRequest('PROJ', 'my-repo', '8')).rejects.toThrow('PR #8 not found in PROJ/my-repo');
+    });
+
+    test('should fetch the raw diff', async () => {
+        expect(await provider.getDiff('PROJ', 'my-repo', '7')).toBe(diff);
+    });
+
+    test('should read files at a ref and return null when missing', async () => {
+        expect(await provider.readFile('PROJ', 'my-repo', 'head1', 'src/a b.js')).toBe('const a = 1;\n');
+        expect(await provider.readFile('PROJ', 'my-repo', 'main', '.ai-reviewer.yml')).toBeNull();
+    });
+
+    test('should post the hidden markers as link reference definitions', async () => {
+        await provider.postSummary('PROJ', 'my-repo', '7', '## Review Summary\n\nOK\n<!-- ai-reviewer:summary -->\n<!-- ai-reviewer:reviewed-sha=abc1234 -->');
+        expect(stub.requests[0].body).toEqual({
+            text: '## Review Summary\n\nOK\n\n[//]: # (ai-reviewer:summary)\n\n[//]: # (ai-reviewer:reviewed-sha=abc1234)'
+        });
+    });
+
+    test('should list comments oldest first across activity pages', async () => {
+        expect(await provider.listComments('PROJ', 'my-repo', '7')).toEqual([
+            { id: 30, body: 'Oldest' },
+            { id: 31, body: 'Newest' }
+        ]);
+        expect(stub.requests.map(request => request.url)).toEqual([
+            `${PR}/activities?start=0&limit=100`,
+            `${PR}/activities?start=2&limit=100`
+        ]);
+    });
+
+    test('should update the summary at its current version', async () => {
+        expect(await provider.updateSummary('PROJ', 'my-repo', '7', { id: 30 }, 'New\n<!-- ai-reviewer:summary -->')).toEqual({ id: 30 });
+        expect(stub.requests[1]).toMatchObject({
+            method: 'PUT',
+            url: `${PR}/comments/30`,
+            body: { text: 'New\n\n[//]: # (ai-reviewer:summary)', version: 4 }
+        });
+    });
+
+    test('should anchor inline comments by line type', async () => {
+        await provider.postInlineComment('PROJ', 'my-repo', '7', {
+            path: 'src/a.js',
+            line: 2,
+            side: 'RIGHT',
+            body: 'Added\n\n<!-- ai-reviewer:fingerprint=0123456789ab -->',
+            lineInfo: { type: 'added', newLine: 2 }
+        });
+        await provider.postInlineComment('PROJ', 'my-repo', '7', {
+            path: 'src/b.js',
+            oldPath: 'src/old-b.js',
+            line: 5,
+            side: 'LEFT',
+            body: 'Context',
+            lineInfo: { type: 'context', oldLine: 5, newLine: 6 }
+        });
+        await provider.postInlineComment('PROJ', 'my-repo', '7', { path: 'src/a.js', line: 3, side: 'LEFT', body: 'Removed' });
+
+        expect(stub.requests[0].body).toEqual({
+            text: 'Added\n\n[//]: # (ai-reviewer:fingerprint=0123456789ab)',
+            anchor: { path: 'src/a.js', line: 2, lineType: 'ADDED', fileType: 'TO', diffType: 'EFFECTIVE' }
+        });
+        expect(stub.requests[1].body.anchor).toEqual({
+            path: 'src/b.js',
+            srcPath: 'src/old-b.js',
+            line: 6,
+            lineType: 'CONTEXT',
+            fileType: 'TO',
+            diffType: 'EFFECTIVE'
+        });
+        expect(stub.requests[2].body.anchor).toMatchObject({ line: 3, lineType: 'REMOVED', fileType: 'FROM' });
+    });
+
+    test('should surface rejected anchors with their status', async () => {
+        await expect(provider.postInlineComment('PROJ', 'my-repo', '7', { path: 'a.js', line: 99, side: 'RIGHT', body: 'x' }))
+            .rejects.toMatchObject({ status: 409, message: expect.stringContaining('The line is not part of the diff') });
+    });
+
+    test('should set build statuses, linking the commit without a build URL', async () => {
+        await provider.setStatus('PROJ', 'my-repo', 'head1', { state: 'pending', description: 'Running', url: 'http://jenkins/1' });
+        await provider.setStatus('PROJ', 'my-repo', 'head1', { state: 'success', description: 'Passed' });
+
+        expect(stub.requests.map(request => request.body)).toEqual([
+            { state: 'INPROGRESS', key: 'ai-code-review', name: 'AI Code Review', description: 'Running', url: 'http://jenkins/1' },
+            {
+                state: 'SUCCESSFUL',
+                key: 'ai-code-review',
+                name: 'AI Code Review',
+                description: 'Passed',
+                url: `${baseUrl}/projects/PROJ/repos/my-repo/commits/head1`
+            }
+        ]);
+    });
+});
@@ -0,0 +1,227 @@
+const {
+    splitDiffIntoChunks,
+    capChunks,
+    mapWithConcurrency,
+    reviewInChunks
+} = require('../../src/chunked-review');
+const { createUsageMeter } = require('../../src/usage');
+
+// Build a git diff section with one hunk per entry in `hunks` (each entry = number of added lines)
+function fileDiff(name, hunks) {
+    const lines = [
+        `diff --git a/${name} b/${name}`,
+        `--- a/${name}`,
+        `+++ b/${name}`
+    ];
+    hunks.forEach((count, index) => {
+        lines.push(`@@ -${index * 100 + 1},0 +${index * 100 + 1},${count} @@`);
+        for (let i = 0; i < count; i++) {
+            lines.push(`+line ${i} of ${name}`);
+        }
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+describe('Chunked Review', () => {
+    describe('splitDiffIntoChunks', () => {
+        test('should keep a small diff in a single chunk', () => {
+            const diff = fileDiff('a.js', [3]) + fileDiff('b.js', [3]);
+            const chunks = splitDiffIntoChunks(diff, 10000);
+
+            expect(chunks).toHaveLength(1);
+            expect(chunks[0].text).toBe(diff);
+            expect(chunks[0].files).toEqual(['a.js', 'b.js']);
+        });
+
+        test('should pack whole files into size-bounded chunks', () => {
+            const a = fileDiff('a.js', [10]);
+            const b = fileDiff('b.js', [10]);
+            const chunks = splitDiffIntoChunks(a + b, a.length + 10);
+
+            expect(chunks.map(chunk => chunk.files)).toEqual([['a.js'], ['b.js']]);
+            expect(chunks[0].text).toBe(a);
+        });
+
+        test('should split an oversized file per hunk and repeat its header', () => {
+            const diff = fileDiff('big.js', [20, 20, 20]);
+            const chunks = splitDiffIntoChunks(diff, diff.length / 2);
+
+            expect(chunks.length).toBeGreaterThan(1);
+            for (const chunk of chunks) {
+                expect(chunk.files).toEqual(['big.js']);
+                expect(chunk.text.startsWith('diff --git a/big.js b/big.js\n--- a/big.js\n+++ b/big.js\n@@')).toBe(true);
+            }
+            expect(chunks.map(chunk => chunk.text.match(/^@@/gm).length).reduce((a, b) => a + b)).toBe(3);
+        });
+
+        test('should pass non-git diffs through as one chunk', () => {
+            const diff = '--- a\n+++ b\n@@ -1 +1 @@\n-x\n+y\n';
+            expect(splitDiffIntoChunks(diff, 5)).toEqual([{ files: [], text: diff }]);
+        });
+    });
+
+    describe('capChunks', () => {
+        const chunks = [
+            { files: ['a.js'], text: 'x'.repeat(40) },
+            { files: ['b.js'], text: 'x'.repeat(40) },
+            { files: ['b.js', 'c.js'], text: 'x'.repeat(40) }
+        ];
+
+        test('should keep everything under the cap', () => {
+            const result = capChunks(chunks, 1000);
+            expect(result.chunks).toHaveLength(3);
+            expect(result.omittedFiles).toEqual([]);
+        });
+
+        test('should report omitted and partially reviewed files', () => {
+            const result = capChunks(chunks, 90);
+
+            expect(result.chunks).toHaveLength(2);
+            expect(result.omittedFiles).toEqual(['c.js']);
+            expect(result.partialFiles).toEqual(['b.js']);
+            expect(result.reviewedSize).toBe(80);
+            expect(result.totalSize).toBe(120);
+        });
+
+        test('should always keep the first chunk', () => {
+            expect(capChunks(chunks, 1).chunks).toHaveLength(1);
+        });
+    });
+
+    describe('mapWithConcurrency', () => {
+        test('should limit work in flight and keep result order', async () => {
+            let active = 0;
+            let peak = 0;
+            const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+                active++;
+                peak = Math.max(peak, active);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                active--;
+                return index;
+            });
+
+            expect(results).toEqual([0, 1, 2, 3, 4]);
+            expect(peak).toBe(2);
+        });
+    });
+
+    describe('reviewInChunks', () => {
+        const a = fileDiff('a.js', [10]);
+        const b = fileDiff('b.js', [10]);
+        const c = fileDiff('c.js', [10]);
+
+        const fakeReviewer = (fail = () => false) => ({
+            reviewChanges: jest.fn(async (diff) => {
+                const file = diff.match(/^diff --git a\/(\S+)/)[1];
+                if (fail(file)) {
+                    throw new Error(`LLM error for ${file}`);
+                }
+                return {
+                    summary: `Summary of ${file}`,
+                    comments: [{ file, line: 1, message: 'note', severity: 'info' }],
+                    hunks: [{ filename: file }],
+                    metadata: { model: 'test' }
+                };
+            })
+        });
+
+        test('should make a single call for small diffs', async () => {
+            const reviewer = fakeReviewer();
+            const review = await reviewInChunks(reviewer, a, { generateSummary: true });
+
+            expect(reviewer.reviewChanges).toHaveBeenCalledTimes(1);
+            expect(reviewer.reviewChanges).toHaveBeenCalledWith(a, { generateSummary: true });
+            expect(review.summary).toBe('Summary of a.js');
+        });
+
+        test('should review chunks separately and merge the results', async () => {
+            const reviewer = fakeReviewer();
+            const review = await reviewInChunks(reviewer, a + b + c, {}, { maxChunkSize: a.length, concurrency: 2 });
+
+            expect(reviewer.reviewChanges).toHaveBeenCalledTimes(3);
+            expect(review.comments.map(comment => comment.file)).toEqual(['a.js', 'b.js', 'c.js']);
+            expect(review.hunks).toHaveLength(3);
+            expect(review.summary).toBe('Summary of a.js\n\nSummary of b.js\n\nSummary of c.js');
+            expect(review.metadata).toMatchObject({ model: 'test', totalComments: 3, partialReview: false });
+        });
+
+        test('should note files beyond the size cap in the summary', async () => {
+            const reviewer = fakeReviewer();
+            const review = await reviewInChunks(reviewer, a + b + c, {}, {
+                maxChunkSize: a.length,
+                maxDiffSize: a.length * 2
+            });
+
+            expect(reviewer.reviewChanges).toHaveBeenCalledTimes(2);
+            expect(review.summary).toMatch(/too large to review fully/);
+            expect(review.summary).toContain('`c.js`');
+            expect(review.metadata.partialReview).toBe(true);
+            expect(review.metadata.notReviewedFiles).toEqual(['c.js']);
+        });
+
+        test('should keep successful chunks when one chunk fails', async () => {
+            const reviewer = fakeReviewer(file => file === 'b.js');
+            const review = await reviewInChunks(reviewer, a + b, {}, { maxChunkSize: a.length });
+
+            expect(review.comments.map(comment => comment.file)).toEqual(['a.js']);
+            expect(review.summary).toMatch(/Review failed for part of the diff: `b.js`/);
+            expect(review.metadata.chunks.failed).toEqual([{ files: ['b.js'], error: 'LLM error for b.js' }]);
+        });
+
+        test('should record usage and stop starting chunks once the budget is used', async () => {
+            const reviewer = {
+                reviewChanges: jest.fn(async () => ({
+                    summary: 'ok',
+                    comments: [],
+                    hunks: [],
+                    usage: { prompt_tokens: 900, completion_tokens: 100 }
+                }))
+            };
+            const meter = createUsageMeter();
+            const review = await reviewInChunks(reviewer, a + b + c, {}, {
+                maxChunkSize: a.length,
+                concurrency: 1,
+                meter,
+                budget: { maxTokens: 2000 }
+            });
+
+            expect(reviewer.reviewChanges).toHaveBeenCalledTimes(2);
+            expect(meter.totals().totalTokens).toBe(2000);
+            expect(review.summary).toMatch(/^> ⚠️ \*\*Review stopped early:\*\* token budget reached \(2000 of 2000 tokens\)\. Not reviewed: `c.js`/);
+            expect(review.metadata).toMatchObject({
+                partialReview: true,
+                notReviewedFiles: ['c.js'],
+                budgetExceeded: 'token budget reached (2000 of 2000 tokens)'
+            });
+        });
+
+        test('should record usage for a single call', async () => {
+            const meter = createUsageMeter();
+            await reviewInChunks(fakeReviewer(), a, {}, { meter });
+            expect(meter.totals().promptTokens).toBe(Math.ceil(a.length / 4));
+        });
+
+        test('should merge per-chunk options for the files of each chunk', async () => {
+            const reviewer = fakeReviewer();
+            const meter = createUsageMeter();
+            const chunkReviewOptions = jest.fn(files => ({ customInstructions: `Context for ${files.join(', ')}` }));
+            await reviewInChunks(reviewer, a + b, { generateSummary: true }, { maxChunkSize: a.length, chunkReviewOptions, meter });
+
+            expect(reviewer.reviewChanges).toHaveBeenCalledWith(a, { generateSummary: true, customInstructions: 'Context for a.js' });
+            expect(reviewer.reviewChanges).toHaveBeenCalledWith(b, { generateSummary: true, customInstructions: 'Context for b.js' });
+            expect(meter.totals().promptTokens).toBe(Math.ceil((a.length + 16) / 4) + Math.ceil((b.length + 16) / 4));
+        });
+
+        test('should pass per-chunk options to a single call', async () => {
+            const reviewer = fakeReviewer();
+            await reviewInChunks(reviewer, a, {}, { chunkReviewOptions: files => ({ customInstructions: files.join() }) });
+            expect(reviewer.reviewChanges).toHaveBeenCalledWith(a, { customInstructions: 'a.js' });
+        });
+
+        test('should throw when every chunk fails', async () => {
+            const reviewer = fakeReviewer(() => true);
+            await expect(reviewInChunks(reviewer, a + b, {}, { maxChunkSize: a.length }))
+                .rejects.toThrow('LLM error for a.js');
+        });
+    });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { indexHunks, anchorComment, buildUnplacedSection } = require('../../src/comment-anchors');
+
+describe('Comment Anchors', () => {
+    // Real review output: deletions carry old line numbers, additions and context new ones
+    const sample = JSON.parse(fs.readFileSync(path.join(__dirname, '../../improved-test.json'), 'utf8'));
+    const index = indexHunks(sample.hunks);
+    const firstHunk = sample.hunks[0];
+
+    describe('indexHunks', () => {
+        test('should split hunk lines into old (LEFT) and new (RIGHT) sides', () => {
+            const sides = index.get(firstHunk.filename)[0];
+            const deleted = firstHunk.changes.filter(change => change.type === 'deletion').map(change => change.lineNumber);
+            const added = firstHunk.changes.filter(change => change.type === 'addition').map(change => change.lineNumber);
+
+            deleted.forEach(line => expect(sides.LEFT.has(line)).toBe(true));
+            added.forEach(line => expect(sides.RIGHT.has(line)).toBe(true));
+            expect(sides.LEFT.has(firstHunk.hunkHeader.oldStart)).toBe(true);
+            expect(sides.RIGHT.has(firstHunk.hunkHeader.newStart)).toBe(true);
+        });
+
+        test('should derive old line numbers of context lines from the hunk header', () => {
+            const sides = indexHunks([{
+                filename: 'a.js',
+                hunkHeader: { oldStart: 10, newStart: 20 },
+                changes: [
+                    { type: 'context', lineNumber: 20 },
+                    { type: 'deletion', lineNumber: 11 },
+                    { type: 'addition', lineNumber: 21 },
+                    { type: 'addition', lineNumber: 22 },
+                    { type: 'context', lineNumber: 23 }
+                ]
+            }]).get('a.js')[0];
+
+            expect([...sides.LEFT]).toEqual([10, 11, 12]);
+            expect([...sides.RIGHT]).toEqual([20, 21, 22, 23]);
+        });
+
+        test('should understand parse-diff style changes', () => {
+            const sides = indexHunks([{
+                filename: 'a.js',
+                changes: [
+                    { type: 'normal', ln1: 1, ln2: 1 },
+                    { type: 'del', ln: 2 },
+                    { type: 'add', ln: 2 }
+                ]
+            }]).get('a.js')[0];
+
+            expect([...sides.LEFT]).toEqual([1, 2]);
+            expect([...sides.RIGHT]).toEqual([1, 2]);
+        });
+
+        test('should tolerate missing or malformed hunks', () => {
+            expect(indexHunks(undefined).size).toBe(0);
+            expect(indexHunks([{ filename: 'a.js' }]).size).toBe(0);
+        });
+    });
+
+    describe('anchorComment', () => {
+        const hunks = indexHunks([{
+            filename: 'a.js',
+            hunkHeader: { oldStart: 1, newStart: 1 },
+            changes: [
+                { type: 'context', lineNumber: 1 },
+                { type: 'deletion', lineNumber: 2 },
+                { type: 'deletion', lineNumber: 3 },
+                { type: 'addition', lineNumber: 2 },
+                { type: 'context', lineNumber: 3 },
+                { type: 'deletion', lineNumber: 5 }
+            ]
+        }]);
+
+        test('should prefer the new side when the line exists there', () => {
+            expect(anchorComment(hunks, 'a.js', { line: 2 })).toEqual({ placed: true, side: 'RIGHT', line: 2, verified: true });
+        });
+
+        test('should fall back to the old side for deleted lines', () => {
+            expect(anchorComment(hunks, 'a.js', { line: 5 })).toMatchObject({ placed: true, side: 'LEFT', line: 5 });
+        });
+
+        test('should honour an explicit side', () => {
+            expect(anchorComment(hunks, 'a.js', { line: 2, side: 'LEFT' })).toMatchObject({ side: 'LEFT', line: 2 });
+            expect(anchorComment(hunks, 'a.js', { line: 5, side: 'RIGHT' }).placed).toBe(false);
+        });
+
+        test('should keep ranges that stay inside one hunk side', () => {
+            expect(anchorComment(hunks, 'a.js', { line: 3, startLine: 1 })).toMatchObject({ side: 'RIGHT', startLine: 1, line: 3 });
+            expect(anchorComment(hunks, 'a.js', { line: 3, startLine: 2, side: 'LEFT' })).toMatchObject({ side: 'LEFT', startLine: 2 });
+        });
+
+        test('should narrow ranges that leave the hunk to a single line', () => {
+            const anchor = anchorComment(hunks, 'a.js', { line: 3, startLine: 0 });
+            expect(anchor).toMatchObject({ side: 'RIGHT', line: 3 });
+            expect(anchor.startLine).toBeUndefined();
+        });
+
+        test('should report lines outside the diff', () => {
+            expect(anchorComment(hunks, 'a.js', { line: 40 })).toEqual({ placed: false, reason: 'Line is not part of the diff' });
+        });
+
+        test('should post unverified on the new side without hunk data', () => {
+            expect(anchorComment(hunks, 'other.js', { line: 7 })).toEqual({ placed: true, side: 'RIGHT', line: 7, verified: false });
+        });
+    });
+
+    describe('buildUnplacedSection', () => {
+        test('should list comments with location and severity', () => {
+            expect(buildUnplacedSection([
+                { file: 'a.js', line: 40, severity: 'warning', body: 'Check this.\nAnd this.' },
+                { file: 'b.js', body: 'Whole file.' }
+            ])).toBe('### Could not place inline\n\n- `a.js:40` (warning): Check this.\n  And this.\n- `b.js`: Whole file.');
+        });
+
+        test('should be empty when everything was placed', () => {
+            expect(buildUnplacedSection([])).toBe('');
+        });
+    });
+});
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseConfig, validateConfig, loadLocalConfig, mergeConfig } = require('../../src/config');
+
+describe('Repository Configuration', () => {
+    describe('parseConfig', () => {
+        test('should parse YAML files', () => {
+            const config = parseConfig('language: German\npaths:\n  exclude:\n    - "docs/**"\n', '.ai-reviewer.yml');
+            expect(config).toEqual({ language: 'German', paths: { exclude: ['docs/**'] } });
+        });
+
+        test('should parse JSON files', () => {
+            expect(parseConfig('{"maxInlineComments": 10}', '.ai-reviewer.json')).toEqual({ maxInlineComments: 10 });
+        });
+
+        test('should treat an empty file as an empty config', () => {
+            expect(parseConfig('', '.ai-reviewer.yml')).toEqual({});
+        });
+
+        test('should report syntax errors with the file name', () => {
+            expect(() => parseConfig('{ not json', '.ai-reviewer.json')).toThrow('Could not parse .ai-reviewer.json');
+            expect(() => parseConfig('a: [unclosed', '.ai-reviewer.yml')).toThrow('Could not parse .ai-reviewer.yml');
+        });
+    });
+
+    describe('validateConfig', () => {
+        test('should accept every supported setting', () => {
+            const config = {
+                paths: { include: ['src/**'], exclude: ['**/*.snap'], defaultExcludes: false },
+                qualityGate: { failOn: 'critical', unstableOn: 'warning', maxComments: 30 },
+                chunking: { maxChunkSize: 40000, maxDiffSize: 400000, concurrency: 2 },
+                budget: { maxTokens: 200000, maxCost: 0.5 },
+                pricing: { 'my-model': { input: 1, output: 4 } },
+                skip: {
+                    drafts: true,
+                    bots: true,
+                    labels: ['skip-ai-review'],
+                    authors: ['dependabot*'],
+                    baseBranches: ['release/*'],
+                    maxChangedLines: 3000,
+                    minChangedLines: 2,
+                    comment: true
+                },
+                context: { files: true, pullRequest: true, issues: false, maxFileSize: 20000, maxTotalSize: 100000 },
+                rules: [
+                    { id: 'no-console', description: 'Use the shared logger.', paths: ['src/**'], severity: 'warning' },
+                    { id: 'sql-params', name: 'Parameterized SQL', description: 'Never build SQL from strings.' }
+                ],
+                ruleFiles: ['.ai-review/rules.yml'],
+                language: 'Japanese',
+                instructions: 'Prefer the shared logger over console.log.',
+                maxInlineComments: 15
+            };
+            expect(validateConfig(config, 'test')).toBe(config);
+        });
+
+        test('should list every problem in one error', () => {
+            let message;
+            try {
+                validateConfig({
+                    paths: { include: 'src/**' },
+                    qualityGate: { failOn: 'fatal', maxComments: -1 },
+                    chunking: { concurrency: 0 },
+                    budget: { maxCost: 'cheap' },
+                    pricing: { 'gpt-4o': { input: 2.5 } },
+                    skip: { labels: 'skip-ai-review' },
+                    context: { files: 'yes' },
+                    langauge: 'German'
+                }, 'org/repo@main:.ai-reviewer.yml');
+            } catch (error) {
+                message = error.message;
+            }
+
+            expect(message).toContain('Invalid configuration in org/repo@main:.ai-reviewer.yml');
+            expect(message).toContain('paths.include must be a list of glob strings');
+            expect(message).toContain('qualityGate.failOn must be one of: info, warning, error, critical');
+            expect(message).toContain('qualityGate.maxComments must be a non-negative integer');
+            expect(message).toContain('chunking.concurrency must be a positive integer');
+            expect(message).toContain('budget.maxCost must be a positive number');
+            expect(message).toContain('skip.labels must be a list of strings');
+            expect(message).toContain('context.files must be true or false');
+            expect(message).toContain('pricing must map model names to { input, output } prices per million tokens');
+            expect(message).toContain('langauge is not a supported setting');
+        });
+
+        test('should report every invalid rule', () => {
+            let message;
+            try {
+                validateConfig({
+                    rules: [
+                        { id: 'no console', description: 'Use the logger.', severity: 'high' },
+                        { id: 'sql', description: '', paths: 'src/**', owner: 'db-team' },
+                        { id: 'sql', description: 'Duplicate' }
+                    ],
+                    ruleFiles: '.ai-review/rules.yml'
+                }, 'test');
+            } catch (error) {
+                message = error.message;
+            }
+
+            expect(message).toContain('rules[0].id must be letters, digits');
+            expect(message).toContain('rules[0].severity must be one of: info, warning, error, critical');
+            expect(message).toContain('rules[1].description must be a non-empty string');
+            expect(message).toContain('rules[1].paths must be a list of glob strings');
+            expect(message).toContain('rules[1].owner is not a supported rule setting');
+            expect(message).toContain('rules[2].id "sql" is used more than once');
+            expect(message).toContain('ruleFiles must be a list of strings');
+            expect(() => validateConfig({ rules: { id: 'x' } }, 'test')).toThrow('rules must be a list of rules');
+        });
+
+        test('should reject non-mapping sections', () => {
+            expect(() => validateConfig({ paths: ['src/**'] }, 'test')).toThrow('paths must be a mapping');
+            expect(() => validateConfig(['x'], 'test')).toThrow('configuration must be a mapping');
+        });
+    });
+
+    describe('loadLocalConfig', () => {
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-review-config-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('should find the default config file in the workspace', () => {
+            fs.writeFileSync(path.join(tmpDir, '.ai-reviewer.yml'), 'language: French\n');
+            expect(loadLocalConfig(undefined, tmpDir)).toEqual({ config: { language: 'French' }, source: '.ai-reviewer.yml' });
+        });
+
+        test('should return an empty config when no default file exists', () => {
+            expect(loadLocalConfig(undefined, tmpDir)).toEqual({ config: {}, source: null });
+        });
+
+        test('should require an explicitly given file to exist', () => {
+            expect(() => loadLocalConfig('missing.yml', tmpDir)).toThrow('Config file not found: missing.yml');
+        });
+    });
+
+    describe('mergeConfig', () => {
+        const fileConfig = {
+            paths: { include: ['src/**'], exclude: ['**/*.snap'], defaultExcludes: false },
+            qualityGate: { failOn: 'critical', maxComments: 30 },
+            chunking: { concurrency: 5 },
+            budget: { maxCost: 2 },
+            pricing: { 'my-model': { input: 1, output: 4 } },
+            skip: { drafts: true, labels: ['skip-ai-review'], maxChangedLines: 3000 },
+            context: { files: true, maxFileSize: 20000 },
+            secrets: { abortReview: true, exclude: ['test/fixtures/**'] },
+            rules: [{ id: 'no-console', description: 'Use the shared logger.' }],
+            ruleFiles: ['.ai-review/rules.yml'],
+            language: 'German',
+            instructions: 'Be brief.',
+            maxInlineComments: 10
+        };
+
+        test('should use file values when no CLI flags are given', () => {
+            expect(mergeConfig(fileConfig, { include: [], exclude: [] })).toEqual({
+                paths: { include: ['src/**'], exclude: ['**/*.snap'], defaultExcludes: false },
+                qualityGate: { failOn: 'critical', unstableOn: null, maxComments: 30 },
+                chunking: { maxChunkSize: 60000, maxDiffSize: 500000, concurrency: 5 },
+                budget: { maxTokens: null, maxCost: 2 },
+                pricing: { 'my-model': { input: 1, output: 4 } },
+                skip: {
+                    drafts: true,
+                    bots: false,
+                    labels: ['skip-ai-review'],
+                    authors: [],
+                    baseBranches: [],
+                    maxChangedLines: 3000,
+                    minChangedLines: null,
+                    comment: false
+                },
+                context: { files: true, pullRequest: false, issues: false, maxFileSize: 20000, maxTotalSize: 200000 },
+                secrets: { scan: true, abortReview: true, exclude: ['test/fixtures/**'] },
+                rules: [{ id: 'no-console', description: 'Use the shared logger.' }],
+                ruleFiles: ['.ai-review/rules.yml'],
+                language: 'German',
+                instructions: 'Be brief.',
+                maxInlineComments: 10
+            });
+        });
+
+        test('should let CLI flags override file values', () => {
+            const merged = mergeConfig(fileConfig, {
+                include: ['lib/**'],
+                exclude: [],
+                failOn: 'error',
+                maxComments: 0,
+                language: 'English',
+                maxInlineComments: 5,
+                concurrency: 2,
+                maxTokens: 50000,
+                maxCost: 0.25,
+                skipDrafts: false,
+                skipLabel: ['no-ai'],
+                context: ['pr', 'issues'],
+                maxContextSize: 80000,
+                secretScan: false,
+                abortOnSecrets: false
+            });
+            expect(merged.paths.include).toEqual(['lib/**']);
+            expect(merged.paths.exclude).toEqual(['**/*.snap']);
+            expect(merged.qualityGate.failOn).toBe('error');
+            expect(merged.qualityGate.maxComments).toBe(0);
+            expect(merged.language).toBe('English');
+            expect(merged.maxInlineComments).toBe(5);
+            expect(merged.chunking.concurrency).toBe(2);
+            expect(merged.budget).toEqual({ maxTokens: 50000, maxCost: 0.25 });
+            expect(merged.skip).toMatchObject({ drafts: false, labels: ['no-ai'], maxChangedLines: 3000 });
+            expect(merged.context).toEqual({ files: false, pullRequest: true, issues: true, maxFileSize: 20000, maxTotalSize: 80000 });
+            expect(merged.secrets).toEqual({ scan: false, abortReview: false, exclude: ['test/fixtures/**'] });
+        });
+
+        test('should default to the built-in excludes and no limits', () => {
+            expect(mergeConfig({}, {})).toEqual({
+                paths: { include: [], exclude: [], defaultExcludes: true },
+                qualityGate: { failOn: null, unstableOn: null, maxComments: null },
+                chunking: { maxChunkSize: 60000, maxDiffSize: 500000, concurrency: 3 },
+                budget: { maxTokens: null, maxCost: null },
+                pricing: {},
+                skip: {
+                    drafts: false,
+                    bots: false,
+                    labels: [],
+                    authors: [],
+                    baseBranches: [],
+                    maxChangedLines: null,
+                    minChangedLines: null,
+                    comment: false
+                },
+                context: { files: false, pullRequest: false, issues: false, maxFileSize: 50000, maxTotalSize: 200000 },
+                secrets: { scan: true, abortReview: false, exclude: [] },
+                rules: [],
+                ruleFiles: [],
+                language: null,
+                instructions: null,
+                maxInlineComments: null
+            });
+        });
+    });
+});
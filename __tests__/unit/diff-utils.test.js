@@ -0,0 +1,121 @@
+const { describeDiffLines, getCommentableLines, splitDiffByFile, indexDiffLines, joinDiffFiles } = require('../../src/diff-utils');
+
+describe('Diff Utilities', () => {
+    describe('getCommentableLines', () => {
+        const patch = [
+            '@@ -8,5 +8,6 @@ const express = require(\'express\');',
+            ' const users = [];',
+            ' ',
+            '-const SECRET_KEY = \'my-secret-key-123\';',
+            '+// Secret key (improved)',
+            '+const SECRET_KEY = process.env.JWT_SECRET;',
+            ' ',
+            ' app.listen(3000);'
+        ].join('\n');
+
+        test('should map added and context lines to the RIGHT side', () => {
+            const lines = getCommentableLines(patch);
+            expect([...lines.RIGHT]).toEqual([8, 9, 10, 11, 12, 13]);
+        });
+
+        test('should map deleted and context lines to the LEFT side', () => {
+            const lines = getCommentableLines(patch);
+            expect([...lines.LEFT]).toEqual([8, 9, 10, 11, 12]);
+        });
+
+        test('should handle multiple hunks and no-newline markers', () => {
+            const lines = getCommentableLines([
+                '@@ -1,1 +1,1 @@',
+                '-a',
+                '+b',
+                '\\ No newline at end of file',
+                '@@ -40,2 +50,2 @@',
+                ' c',
+                '+d'
+            ].join('\n'));
+
+            expect(lines.RIGHT.has(1)).toBe(true);
+            expect(lines.RIGHT.has(50)).toBe(true);
+            expect(lines.RIGHT.has(51)).toBe(true);
+            expect(lines.RIGHT.has(2)).toBe(false);
+            expect(lines.LEFT.has(40)).toBe(true);
+        });
+
+        test('should return empty sets for missing patches (binary files)', () => {
+            const lines = getCommentableLines(undefined);
+            expect(lines.LEFT.size).toBe(0);
+            expect(lines.RIGHT.size).toBe(0);
+        });
+    });
+
+    describe('describeDiffLines', () => {
+        test('should give the type and both line numbers of each line', () => {
+            const lines = describeDiffLines('@@ -10,3 +20,3 @@\n keep\n-old\n+new\n keep too');
+
+            expect(lines.RIGHT.get(20)).toEqual({ type: 'context', oldLine: 10, newLine: 20 });
+            expect(lines.RIGHT.get(21)).toEqual({ type: 'added', newLine: 21 });
+            expect(lines.LEFT.get(11)).toEqual({ type: 'removed', oldLine: 11 });
+            expect(lines.LEFT.get(12)).toEqual({ type: 'context', oldLine: 12, newLine: 22 });
+            expect(lines.RIGHT.has(23)).toBe(false);
+        });
+    });
+
+    describe('splitDiffByFile', () => {
+        const diff = [
+            'diff --git a/src/app.js b/src/app.js',
+            'index 123..456 100644',
+            '--- a/src/app.js',
+            '+++ b/src/app.js',
+            '@@ -1,2 +1,2 @@',
+            '-const a = 1;',
+            '+const a = 2;',
+            '--- a/looks-like-a-header but is content',
+            'diff --git a/old.js b/old.js',
+            'deleted file mode 100644',
+            '--- a/old.js',
+            '+++ /dev/null',
+            '@@ -1 +0,0 @@',
+            '-gone',
+            'diff --git a/new.js b/new.js',
+            'new file mode 100644',
+            '--- /dev/null',
+            '+++ b/new.js',
+            '@@ -0,0 +1 @@',
+            '+hello',
+            ''
+        ].join('\n');
+
+        test('should split a multi-file diff into one section per file', () => {
+            const files = splitDiffByFile(diff);
+            expect(files.map(file => file.filename)).toEqual(['src/app.js', 'old.js', 'new.js']);
+            expect(files[0].text).toContain('+const a = 2;');
+            expect(files[0].text).not.toContain('gone');
+        });
+
+        test('should not treat hunk content as file headers', () => {
+            expect(splitDiffByFile(diff)[0].oldFilename).toBe('src/app.js');
+        });
+
+        test('should flag deleted files', () => {
+            const files = splitDiffByFile(diff);
+            expect(files[1].deleted).toBe(true);
+            expect(files[2].deleted).toBe(false);
+        });
+
+        test('should reassemble into the original diff', () => {
+            expect(joinDiffFiles(splitDiffByFile(diff))).toBe(diff);
+        });
+
+        test('should index line details by file', () => {
+            const index = indexDiffLines(diff);
+            expect([...index.keys()]).toEqual(['src/app.js', 'old.js', 'new.js']);
+            expect(index.get('src/app.js').lines.RIGHT.get(1)).toEqual({ type: 'added', newLine: 1 });
+            expect(index.get('old.js').lines.LEFT.get(1)).toEqual({ type: 'removed', oldLine: 1 });
+        });
+
+        test('should return nothing for input without git file headers', () => {
+            expect(splitDiffByFile('--- a\n+++ b\n@@ -1 +1 @@\n-x\n+y\n')).toEqual([]);
+            expect(splitDiffByFile('')).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const {
+    isBotComment,
+    groupThreads,
+    findPendingFollowUps,
+    threadDiff,
+    buildFollowUpInstructions,
+    buildFollowUpBody
+} = require('../../src/follow-up');
+const { buildFingerprintMarker, parseReplyMarker } = require('../../src/markers');
+
+describe('Follow-up Replies', () => {
+    // Shape of pulls.listReviewComments entries
+    const botRoot = {
+        id: 100,
+        path: 'src/app.js',
+        diff_hunk: '@@ -1,2 +1,3 @@\n const a = 1;\n+eval(input);',
+        body: `Avoid eval on user input.\n\n${buildFingerprintMarker('abcdefabcdef')}`,
+        user: { login: 'ai-reviewer[bot]' }
+    };
+    const reply = (id, body, extra = {}) => ({ id, in_reply_to_id: 100, body, user: { login: 'alice' }, ...extra });
+    const botReply = (id, answered) => reply(id, `Because...\n\n<!-- ai-reviewer:reply-to=${answered} -->`, { user: { login: 'ai-reviewer[bot]' } });
+
+    describe('groupThreads', () => {
+        test('should group replies under their root, oldest first', () => {
+            const threads = groupThreads([reply(102, 'b'), botRoot, reply(101, 'a'), { id: 200, body: 'other' }]);
+            expect(threads.map(thread => thread.map(comment => comment.id))).toEqual([[100, 101, 102], [200]]);
+        });
+
+        test('should drop replies whose root is gone', () => {
+            expect(groupThreads([reply(101, 'orphan')])).toEqual([]);
+        });
+    });
+
+    describe('findPendingFollowUps', () => {
+        test('should answer the latest developer reply in a bot thread', () => {
+            const [pending] = findPendingFollowUps([botRoot, reply(101, 'Why?'), reply(102, 'Also, is there an alternative?')]);
+            expect(pending.root).toBe(botRoot);
+            expect(pending.replyTo.id).toBe(102);
+        });
+
+        test('should not answer a comment twice', () => {
+            expect(findPendingFollowUps([botRoot, reply(101, 'Why?'), botReply(103, 101)])).toEqual([]);
+            expect(findPendingFollowUps([botRoot, reply(101, 'Why?'), botReply(103, 101), reply(104, 'Thanks, but...')])[0].replyTo.id).toBe(104);
+        });
+
+        test('should answer mentions only when a handle is configured', () => {
+            const humanThread = [
+                { id: 200, path: 'a.js', body: 'Is this safe @AI-Reviewer?', user: { login: 'bob' } },
+                { id: 201, in_reply_to_id: 200, body: 'Not sure', user: { login: 'carol' } }
+            ];
+
+            expect(findPendingFollowUps(humanThread)).toEqual([]);
+            expect(findPendingFollowUps(humanThread, { mention: '@ai-reviewer' })[0].replyTo.id).toBe(200);
+            expect(findPendingFollowUps([{ ...humanThread[0], body: 'cc @ai-reviewer-team' }], { mention: 'ai-reviewer' })).toEqual([]);
+        });
+
+        test('should cap the number of threads answered per run', () => {
+            const comments = [1, 2, 3].flatMap(n => [
+                { ...botRoot, id: n * 10 },
+                reply(n * 10 + 1, 'Why?', { in_reply_to_id: n * 10 })
+            ]);
+            expect(findPendingFollowUps(comments, { limit: 2 })).toHaveLength(2);
+        });
+    });
+
+    describe('prompt and reply', () => {
+        test('should turn the thread hunk into a diff for the reviewer', () => {
+            expect(threadDiff(botRoot)).toBe('diff --git a/src/app.js b/src/app.js\n--- a/src/app.js\n+++ b/src/app.js\n@@ -1,2 +1,3 @@\n const a = 1;\n+eval(input);\n');
+        });
+
+        test('should include the conversation without markers', () => {
+            const thread = [botRoot, reply(101, 'Why?'), reply(102, 'Later question')];
+            const instructions = buildFollowUpInstructions(thread, thread[1]);
+
+            expect(instructions).toContain('AI reviewer:\nAvoid eval on user input.\n\n@alice:\nWhy?');
+            expect(instructions).not.toContain('<!--');
+            expect(instructions).not.toContain('Later question');
+        });
+
+        test('should mark the reply with the answered comment', () => {
+            const body = buildFollowUpBody('  It runs arbitrary code.\n', { id: 101 });
+            expect(body).toBe('It runs arbitrary code.\n\n<!-- ai-reviewer:reply-to=101 -->');
+            expect(parseReplyMarker(body)).toBe(101);
+            expect(isBotComment({ body })).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,129 @@
+const { formatResults, parseFormatOption } = require('../../src/formatters');
+
+describe('Output Formatters', () => {
+    const result = {
+        success: true,
+        repository: 'myorg/myrepo',
+        pullRequest: '123',
+        timestamp: '2025-09-10T14:37:55.808Z',
+        summary: 'Two issues found.',
+        comments: [
+            { filename: 'src/app.js', line: 12, body: 'Use parameterized queries <unsafe> & "quoted"', severity: 'critical' },
+            { file: 'src/app.js', line: 20, message: 'Consider a constant here.', severity: 'info' }
+        ],
+        hunks: [
+            { filename: 'src/app.js', changes: [] },
+            { filename: 'src/utils.js', changes: [] }
+        ],
+        qualityGate: { status: 'failed' }
+    };
+
+    describe('parseFormatOption', () => {
+        test('should use the default path when none is given', () => {
+            expect(parseFormatOption('sarif')).toEqual([{ format: 'sarif', path: 'review-results.sarif' }]);
+        });
+
+        test('should accumulate repeated options with explicit paths', () => {
+            const formats = parseFormatOption('markdown:out/review.md', parseFormatOption('junit:reports/ai.xml'));
+            expect(formats).toEqual([
+                { format: 'junit', path: 'reports/ai.xml' },
+                { format: 'markdown', path: 'out/review.md' }
+            ]);
+        });
+
+        test('should keep colons inside the path', () => {
+            expect(parseFormatOption('junit:C:\\reports\\ai.xml')[0].path).toBe('C:\\reports\\ai.xml');
+        });
+
+        test('should reject unknown formats', () => {
+            expect(() => parseFormatOption('pdf')).toThrow('Unknown format "pdf"');
+        });
+    });
+
+    describe('junit', () => {
+        test('should group findings by file as failing test cases', () => {
+            const xml = formatResults(result, 'junit');
+            expect(xml).toContain('<testsuites name="AI Code Review" tests="3" failures="2">');
+            expect(xml).toContain('<testsuite name="src/app.js" tests="2" failures="2" errors="0">');
+            expect(xml).toContain('name="[critical] src/app.js:12"');
+            expect(xml).toContain('type="critical"');
+        });
+
+        test('should keep reviewed files without findings as passing test cases', () => {
+            const xml = formatResults(result, 'junit');
+            expect(xml).toContain('<testsuite name="src/utils.js" tests="1" failures="0" errors="0">');
+        });
+
+        test('should escape XML special characters', () => {
+            const xml = formatResults(result, 'junit');
+            expect(xml).toContain('&lt;unsafe&gt; &amp; &quot;quoted&quot;');
+        });
+
+        test('should emit a passing test case when nothing was reviewed', () => {
+            const xml = formatResults({ comments: [], hunks: [] }, 'junit');
+            expect(xml).toContain('tests="1" failures="0"');
+        });
+    });
+
+    describe('sarif', () => {
+        test('should produce a SARIF 2.1.0 log with locations and levels', () => {
+            const sarif = JSON.parse(formatResults(result, 'sarif'));
+            expect(sarif.version).toBe('2.1.0');
+
+            const [critical, info] = sarif.runs[0].results;
+            expect(critical.level).toBe('error');
+            expect(critical.ruleId).toBe('ai-review/critical');
+            expect(critical.locations[0].physicalLocation.artifactLocation.uri).toBe('src/app.js');
+            expect(critical.locations[0].physicalLocation.region.startLine).toBe(12);
+            expect(info.level).toBe('note');
+        });
+
+        test('should declare every rule used by a result', () => {
+            const sarif = JSON.parse(formatResults(result, 'sarif'));
+            const ruleIds = sarif.runs[0].tool.driver.rules.map(rule => rule.id);
+            expect(ruleIds).toEqual(['ai-review/critical', 'ai-review/info']);
+        });
+    });
+
+    describe('markdown', () => {
+        test('should include the summary, counts and findings by file', () => {
+            const markdown = formatResults(result, 'markdown');
+            expect(markdown).toContain('**Repository:** myorg/myrepo #123');
+            expect(markdown).toContain('| critical | 1 |');
+            expect(markdown).toContain('## Summary\n\nTwo issues found.');
+            expect(markdown).toContain('### `src/app.js`');
+            expect(markdown).toContain('- **Line 20** (info): Consider a constant here.');
+            expect(markdown).not.toContain('LLM usage');
+        });
+
+        test('should show LLM usage when recorded', () => {
+            const markdown = formatResults({
+                ...result,
+                metadata: { usage: { totalTokens: 12345, cost: 0.01234, estimated: true } }
+            }, 'markdown');
+            expect(markdown).toContain('**LLM usage:** 12,345 tokens (~$0.0123, estimated)');
+        });
+    });
+
+    describe('html', () => {
+        test('should render a standalone page with counts and findings', () => {
+            const html = formatResults(result, 'html');
+            expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+            expect(html).toContain('<strong>Repository:</strong> myorg/myrepo #123');
+            expect(html).toContain('<tr><td>critical</td><td>1</td></tr>');
+            expect(html).toContain('<h3><code>src/app.js</code></h3>');
+        });
+
+        test('should escape review text', () => {
+            const html = formatResults({ ...result, summary: '<script>alert(1)</script>' }, 'html');
+            expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+            expect(html).not.toContain('<script>');
+        });
+    });
+
+    describe('json', () => {
+        test('should match the results JSON written by main', () => {
+            expect(JSON.parse(formatResults(result, 'json'))).toEqual(result);
+        });
+    });
+});
@@ -0,0 +1,356 @@
+const { Octokit } = require('@octokit/rest');
+const { createGitHubProvider } = require('../../src/github-provider');
+const { SUMMARY_MARKER, OUTDATED_MARKER, commentFingerprint, buildFingerprintMarker } = require('../../src/markers');
+const { withOpenFindings } = require('../../src/review-posting');
+const { evaluateQualityGate } = require('../../src/quality-gate');
+
+describe('GitHub Provider', () => {
+    const octokit = new Octokit();
+    const logger = { debug: jest.fn(), info: jest.fn(), success: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const provider = createGitHubProvider({ getOctokit: async () => octokit, logger });
+    const details = { head: { sha: 'head123' } };
+
+    // One hunk adding lines 10 and 11 of src/app.js
+    const review = {
+        summary: 'Two things to fix.',
+        comments: [
+            { file: 'src/app.js', line: 10, severity: 'warning', message: 'First issue' },
+            { file: 'src/app.js', line: 11, severity: 'info', message: 'Second issue' }
+        ],
+        hunks: [{
+            filename: 'src/app.js',
+            hunkHeader: { oldStart: 9, newStart: 9 },
+            changes: [
+                { type: 'context', lineNumber: 9 },
+                { type: 'addition', lineNumber: 10 },
+                { type: 'addition', lineNumber: 11 }
+            ]
+        }]
+    };
+
+    const unprocessable = (message) => Object.assign(new Error(message), { status: 422 });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getOctokit', () => {
+        test('should authenticate once per repository for the whole run', async () => {
+            const getOctokit = jest.fn().mockResolvedValue(octokit);
+            const runProvider = createGitHubProvider({ getOctokit, logger });
+            octokit.rest.pulls.get.mockResolvedValueOnce({ data: { number: 7, head: { sha: 'head123' } } });
+            octokit.rest.repos.getContent.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { status: 404 }));
+
+            await runProvider.getPullRequest('org', 'repo', 7);
+            await runProvider.readFile('org', 'repo', 'head123', 'missing.js');
+            await runProvider.postReview('org', 'repo', 7, review, { details });
+            await runProvider.getOctokit('org', 'other');
+
+            expect(getOctokit.mock.calls).toEqual([['org', 'repo'], ['org', 'other']]);
+        });
+
+        test('should retry authentication after a failure', async () => {
+            const getOctokit = jest.fn()
+                .mockRejectedValueOnce(new Error('Installation not found'))
+                .mockResolvedValueOnce(octokit);
+            const runProvider = createGitHubProvider({ getOctokit, logger });
+
+            await expect(runProvider.getOctokit('org', 'repo')).rejects.toThrow('Installation not found');
+            await expect(runProvider.getOctokit('org', 'repo')).resolves.toBe(octokit);
+        });
+    });
+
+    describe('postReview', () => {
+        test('should post the summary and inline comments as one review', async () => {
+            const result = await provider.postReview('org', 'repo', 7, review, { details });
+
+            expect(octokit.rest.pulls.createReview).toHaveBeenCalledTimes(1);
+            const request = octokit.rest.pulls.createReview.mock.calls[0][0];
+            expect(request).toMatchObject({ owner: 'org', repo: 'repo', pull_number: 7, commit_id: 'head123', event: 'COMMENT' });
+            expect(request.body).toContain('Two things to fix.');
+            expect(request.body).toContain('<!-- ai-reviewer:reviewed-sha=head123 -->');
+            expect(request.comments.map(comment => [comment.path, comment.line, comment.side])).toEqual([
+                ['src/app.js', 10, 'RIGHT'],
+                ['src/app.js', 11, 'RIGHT']
+            ]);
+            expect(request.comments[0].body).toMatch(/^First issue\n\n<!-- ai-reviewer:fingerprint=[0-9a-f]{12} severity=warning -->$/);
+
+            expect(octokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ posted: true, reviewId: 67890, inlineComments: 2, dropped: [] });
+        });
+
+        test('should drop comments outside the diff and retry when GitHub rejects the review', async () => {
+            octokit.rest.pulls.createReview.mockRejectedValueOnce(unprocessable('Line could not be resolved'));
+            // The PR diff GitHub knows about no longer has line 11
+            octokit.rest.pulls.listFiles.mockResolvedValueOnce({
+                data: [{ filename: 'src/app.js', patch: '@@ -9,1 +9,2 @@\n context\n+added' }]
+            });
+
+            const result = await provider.postReview('org', 'repo', 7, review, { details });
+
+            expect(octokit.rest.pulls.listFiles).toHaveBeenCalledWith(expect.objectContaining({ owner: 'org', repo: 'repo', pull_number: 7 }));
+            expect(octokit.rest.pulls.createReview).toHaveBeenCalledTimes(2);
+            const retry = octokit.rest.pulls.createReview.mock.calls[1][0];
+            expect(retry.comments.map(comment => comment.line)).toEqual([10]);
+            expect(retry.body).toContain('### Could not place inline\n\n- `src/app.js:11`: Second issue');
+            expect(retry.body).not.toContain('fingerprint=');
+
+            expect(result).toMatchObject({
+                posted: true,
+                reviewId: 67890,
+                inlineComments: 1,
+                dropped: [{ file: 'src/app.js', line: 11, reason: 'Line is not part of the diff' }]
+            });
+            expect(result.error).toBeUndefined();
+        });
+
+        test('should post the summary alone when GitHub also rejects the retry', async () => {
+            octokit.rest.pulls.createReview
+                .mockRejectedValueOnce(unprocessable('Line could not be resolved'))
+                .mockRejectedValueOnce(unprocessable('Pull request review thread line must be part of the diff'));
+            octokit.rest.pulls.listFiles.mockResolvedValueOnce({
+                data: [{ filename: 'src/app.js', patch: '@@ -9,1 +9,2 @@\n context\n+added' }]
+            });
+
+            const result = await provider.postReview('org', 'repo', 7, review, { details });
+
+            expect(octokit.rest.pulls.createReview).toHaveBeenCalledTimes(3);
+            const last = octokit.rest.pulls.createReview.mock.calls[2][0];
+            expect(last.comments).toEqual([]);
+            expect(last.body).toContain('- `src/app.js:11`: Second issue');
+            expect(last.body).toContain('- `src/app.js:10`: First issue');
+
+            expect(result).toMatchObject({ posted: true, reviewId: 67890, inlineComments: 0 });
+            expect(result.dropped).toEqual([
+                { file: 'src/app.js', line: 11, reason: 'Line is not part of the diff' },
+                { file: 'src/app.js', line: 10, reason: 'Rejected by GitHub: Pull request review thread line must be part of the diff' }
+            ]);
+        });
+
+        describe('with an earlier run on the PR', () => {
+            const marker = buildFingerprintMarker(commentFingerprint('src/app.js', 10, 'First issue'));
+            const oldMarker = buildFingerprintMarker('aaaaaaaaaaaa');
+            let outdated;
+
+            beforeEach(() => {
+                // GitHub clears the line of comments whose code changed since
+                outdated = { id: 502, line: null, body: `Old issue\n\n${oldMarker}` };
+                octokit.rest.pulls.listReviews.mockResolvedValueOnce({
+                    data: [
+                        { id: 300, body: 'Human review' },
+                        { id: 301, body: `## Review Summary\n\nOld summary\n${SUMMARY_MARKER}\n<!-- ai-reviewer:reviewed-sha=old123 -->` }
+                    ]
+                });
+                octokit.rest.pulls.listReviewComments.mockResolvedValueOnce({
+                    data: [
+                        { id: 501, line: 10, body: `First issue\n\n${marker}` },
+                        { id: 503, line: 10, in_reply_to_id: 501, body: `Thanks\n\n${marker}` },
+                        outdated
+                    ]
+                });
+            });
+
+            test('should update the summary in place and post only new comments', async () => {
+                const result = await provider.postReview('org', 'repo', 7, review, { details });
+
+                expect(octokit.rest.pulls.updateReview).toHaveBeenCalledTimes(1);
+                const update = octokit.rest.pulls.updateReview.mock.calls[0][0];
+                expect(update).toMatchObject({ owner: 'org', repo: 'repo', pull_number: 7, review_id: 301 });
+                expect(update.body).toContain('Two things to fix.');
+                expect(update.body).toContain('<!-- ai-reviewer:reviewed-sha=head123 -->');
+
+                expect(octokit.rest.pulls.createReview).toHaveBeenCalledTimes(1);
+                const request = octokit.rest.pulls.createReview.mock.calls[0][0];
+                expect(request.body).toBe('New AI review comments for head123. See the review summary above.');
+                expect(request.comments.map(comment => comment.body.split('\n')[0])).toEqual(['Second issue']);
+
+                expect(result).toMatchObject({ posted: true, summaryUpdated: true, inlineComments: 1, duplicatesSkipped: 1 });
+                expect(octokit.rest.pulls.updateReviewComment).not.toHaveBeenCalled();
+            });
+
+            test('should only update the summary when every comment was already posted', async () => {
+                const result = await provider.postReview('org', 'repo', 7, { ...review, comments: review.comments.slice(0, 1) }, { details });
+
+                expect(octokit.rest.pulls.updateReview).toHaveBeenCalledTimes(1);
+                expect(octokit.rest.pulls.createReview).not.toHaveBeenCalled();
+                expect(result).toMatchObject({ posted: true, summaryUpdated: true, reviewId: 301, inlineComments: 0, duplicatesSkipped: 1 });
+            });
+
+            test('should mark outdated bot comments once', async () => {
+                const result = await provider.postReview('org', 'repo', 7, review, { details, outdatedComments: 'mark' });
+
+                expect(octokit.rest.pulls.updateReviewComment).toHaveBeenCalledTimes(1);
+                const update = octokit.rest.pulls.updateReviewComment.mock.calls[0][0];
+                expect(update).toMatchObject({ owner: 'org', repo: 'repo', comment_id: 502 });
+                expect(update.body.startsWith(`${OUTDATED_MARKER}\n> **Outdated:**`)).toBe(true);
+                expect(update.body).toContain(`Old issue\n\n${oldMarker}`);
+                expect(result.outdatedComments).toBe(1);
+            });
+
+            test('should leave comments already marked outdated alone', async () => {
+                outdated.body = `${OUTDATED_MARKER}\n> **Outdated:** gone.\n\nOld issue\n\n${oldMarker}`;
+
+                const result = await provider.postReview('org', 'repo', 7, review, { details, outdatedComments: 'mark' });
+
+                expect(octokit.rest.pulls.updateReviewComment).not.toHaveBeenCalled();
+                expect(result.outdatedComments).toBe(0);
+            });
+        });
+
+        test('should list comments on removed lines in the summary of an incremental review', async () => {
+            const incremental = {
+                summary: 'Incremental.',
+                comments: [
+                    { file: 'src/app.js', line: 10, severity: 'warning', message: 'On the new code' },
+                    { file: 'src/app.js', line: 4, side: 'LEFT', severity: 'warning', message: 'On the removed code' }
+                ],
+                hunks: [{
+                    filename: 'src/app.js',
+                    hunkHeader: { oldStart: 4, newStart: 9 },
+                    changes: [{ type: 'deletion', lineNumber: 4 }, { type: 'addition', lineNumber: 10 }]
+                }]
+            };
+
+            const result = await provider.postReview('org', 'repo', 7, incremental, { details, baseSha: 'a1b2c3d' });
+
+            const request = octokit.rest.pulls.createReview.mock.calls[0][0];
+            expect(request.comments.map(comment => [comment.line, comment.side])).toEqual([[10, 'RIGHT']]);
+            expect(request.body).toContain('- `src/app.js:4` (warning): On the removed code');
+            expect(result.unplaced).toEqual([{ file: 'src/app.js', line: 4, reason: 'Removed line of an incremental review' }]);
+        });
+
+        test('should report errors other than 422 without retrying', async () => {
+            octokit.rest.pulls.createReview.mockRejectedValueOnce(Object.assign(new Error('Bad credentials'), { status: 401 }));
+
+            const result = await provider.postReview('org', 'repo', 7, review, { details });
+
+            expect(octokit.rest.pulls.createReview).toHaveBeenCalledTimes(1);
+            expect(octokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ posted: false, error: 'Bad credentials' });
+        });
+    });
+
+    describe('listOpenFindings', () => {
+        const threads = (nodes) => ({
+            repository: { pullRequest: { reviewThreads: { pageInfo: { hasNextPage: false, endCursor: null }, nodes } } }
+        });
+        const thread = (commentId, isResolved = false) => ({ id: `T${commentId}`, isResolved, comments: { nodes: [{ databaseId: commentId }] } });
+
+        test('should return bot findings whose line is still in the PR and whose thread is open', async () => {
+            const finding = buildFingerprintMarker('0123456789ab', { severity: 'error' });
+            octokit.rest.pulls.listReviewComments.mockResolvedValueOnce({
+                data: [
+                    { id: 601, path: 'src/app.js', line: 10, body: `Open\n\n${finding}` },
+                    { id: 602, path: 'src/app.js', line: 20, body: `Resolved\n\n${buildFingerprintMarker('111111111111', { severity: 'error' })}` },
+                    { id: 603, path: 'src/app.js', line: null, body: `Code changed\n\n${buildFingerprintMarker('222222222222', { severity: 'error' })}` },
+                    { id: 604, path: 'src/app.js', line: 30, body: `${OUTDATED_MARKER}\nMarked\n\n${buildFingerprintMarker('333333333333')}` },
+                    { id: 605, path: 'src/app.js', line: 10, in_reply_to_id: 601, body: `Reply\n\n${finding}` },
+                    { id: 606, path: 'src/app.js', line: 12, body: 'A human comment' }
+                ]
+            });
+            octokit.graphql.mockResolvedValueOnce(threads([thread(601), thread(602, true), thread(606)]));
+
+            const findings = await provider.listOpenFindings('org', 'repo', 7);
+
+            expect(findings).toEqual([
+                { file: 'src/app.js', line: 10, severity: 'error', blocking: false, fingerprint: '0123456789ab' }
+            ]);
+        });
+
+        test('should not query threads when no bot finding is open', async () => {
+            octokit.rest.pulls.listReviewComments.mockResolvedValueOnce({ data: [{ id: 606, line: 12, body: 'A human comment' }] });
+
+            await expect(provider.listOpenFindings('org', 'repo', 7)).resolves.toEqual([]);
+            expect(octokit.graphql).not.toHaveBeenCalled();
+        });
+
+        test('should keep failing the gate on a blocking finding the next push does not touch', async () => {
+            // Run 1 posts a committed secret on line 10
+            await provider.postReview('org', 'repo', 7, {
+                summary: 'Secret found.',
+                comments: [{ file: 'src/app.js', line: 10, severity: 'critical', blocking: true, message: 'Possible AWS key' }],
+                hunks: review.hunks
+            }, { details });
+            const posted = octokit.rest.pulls.createReview.mock.calls[0][0].comments[0];
+
+            // Run 2 only reviews a push to another file, which brings a minor comment
+            octokit.rest.pulls.listReviewComments.mockResolvedValueOnce({ data: [{ id: 701, ...posted }] });
+            octokit.graphql.mockResolvedValueOnce(threads([thread(701)]));
+            const newComments = [{ file: 'src/other.js', line: 3, severity: 'info', message: 'Nit' }];
+
+            const open = await provider.listOpenFindings('org', 'repo', 7);
+            const gate = evaluateQualityGate(withOpenFindings(newComments, open), { failOn: 'error' });
+
+            expect(open).toEqual([expect.objectContaining({ file: 'src/app.js', line: 10, severity: 'critical', blocking: true })]);
+            expect(gate).toMatchObject({ status: 'failed', exitCode: 2 });
+            expect(gate.reasons).toEqual(['1 comment(s) at or above "error" severity', '1 blocking finding(s)']);
+            expect(evaluateQualityGate(newComments, { failOn: 'error' }).status).toBe('passed');
+        });
+    });
+
+    describe('getIncrementalDiff', () => {
+        const reviewed = (sha) => ({ data: [{ id: 301, body: `${SUMMARY_MARKER}\n<!-- ai-reviewer:reviewed-sha=${sha} -->` }] });
+
+        test('should review only the commits pushed since the last review', async () => {
+            octokit.rest.pulls.listReviews.mockResolvedValueOnce(reviewed('a1b2c3d'));
+            octokit.rest.repos.compareCommitsWithBasehead
+                .mockResolvedValueOnce({ data: { status: 'ahead', total_commits: 2 } })
+                .mockResolvedValueOnce({ data: 'diff --git a/src/app.js b/src/app.js\n' });
+
+            const scope = await provider.getIncrementalDiff('org', 'repo', 7, 'e4f5a6b');
+
+            expect(scope).toEqual({ headSha: 'e4f5a6b', baseSha: 'a1b2c3d', diff: 'diff --git a/src/app.js b/src/app.js\n' });
+            expect(octokit.rest.repos.compareCommitsWithBasehead).toHaveBeenLastCalledWith({
+                owner: 'org',
+                repo: 'repo',
+                basehead: 'a1b2c3d...e4f5a6b',
+                mediaType: { format: 'diff' }
+            });
+        });
+
+        test('should use the most recent reviewed commit', async () => {
+            octokit.rest.pulls.listReviews.mockResolvedValueOnce({
+                data: [...reviewed('0f0f0f0').data, { id: 302, body: 'Human review' }, ...reviewed('e4f5a6b').data]
+            });
+
+            const scope = await provider.getIncrementalDiff('org', 'repo', 7, 'e4f5a6b');
+
+            expect(scope).toEqual({ headSha: 'e4f5a6b', baseSha: 'e4f5a6b', diff: '' });
+            expect(octokit.rest.repos.compareCommitsWithBasehead).not.toHaveBeenCalled();
+        });
+
+        test('should fall back to a full review without an earlier review', async () => {
+            const scope = await provider.getIncrementalDiff('org', 'repo', 7, 'e4f5a6b');
+
+            expect(scope).toEqual({ headSha: 'e4f5a6b', baseSha: null, diff: null });
+            expect(octokit.rest.repos.compareCommitsWithBasehead).not.toHaveBeenCalled();
+        });
+
+        test('should fall back to a full review after a force-push', async () => {
+            octokit.rest.pulls.listReviews.mockResolvedValueOnce(reviewed('a1b2c3d'));
+            octokit.rest.repos.compareCommitsWithBasehead.mockResolvedValueOnce({ data: { status: 'diverged', total_commits: 3 } });
+
+            const scope = await provider.getIncrementalDiff('org', 'repo', 7, 'e4f5a6b');
+
+            expect(scope).toEqual({ headSha: 'e4f5a6b', baseSha: null, diff: null });
+            expect(octokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledTimes(1);
+        });
+
+        test('should fall back to a full review when the reviewed commit is gone', async () => {
+            octokit.rest.pulls.listReviews.mockResolvedValueOnce(reviewed('a1b2c3d'));
+            octokit.rest.repos.compareCommitsWithBasehead.mockRejectedValueOnce(Object.assign(new Error('No common ancestor'), { status: 404 }));
+
+            const scope = await provider.getIncrementalDiff('org', 'repo', 7, 'e4f5a6b');
+
+            expect(scope).toEqual({ headSha: 'e4f5a6b', baseSha: null, diff: null });
+        });
+
+        test('should fail on other compare errors', async () => {
+            octokit.rest.pulls.listReviews.mockResolvedValueOnce(reviewed('a1b2c3d'));
+            octokit.rest.repos.compareCommitsWithBasehead.mockRejectedValueOnce(Object.assign(new Error('Server Error'), { status: 500 }));
+
+            await expect(provider.getIncrementalDiff('org', 'repo', 7, 'e4f5a6b'))
+                .rejects.toThrow('Failed to get incremental diff: Server Error');
+        });
+    });
+});
@@ -0,0 +1,236 @@
+const http = require('http');
+const { toGitDiff, createGitLabProvider } = require('../../src/gitlab-provider');
+
+// Local stand-in for the GitLab API: records requests and answers from `route`
+function startStub(route) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+            requests.push(request);
+            const reply = route(request) || { status: 404, json: { message: '404 Not Found' } };
+            if (reply.text !== undefined) {
+                res.writeHead(reply.status || 200, { 'content-type': 'text/plain' });
+                res.end(reply.text);
+            } else {
+                res.writeHead(reply.status || 200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify(reply.json));
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+describe('GitLab Provider', () => {
+    const MR = '/api/v4/projects/group%2Fsub%2Fproject/merge_requests/5';
+    const mergeRequest = {
+        iid: 5,
+        title: 'Add b',
+        description: 'Fixes #1',
+        draft: true,
+        labels: ['backend'],
+        author: { username: 'alice' },
+        source_branch: 'feature',
+        target_branch: 'main',
+        sha: 'head1',
+        diff_refs: { base_sha: 'base1', start_sha: 'start1', head_sha: 'head1' }
+    };
+
+    let stub;
+    let provider;
+
+    beforeAll(async () => {
+        stub = await startStub((request) => {
+            if (request.method === 'GET' && request.url === MR) {
+                return { json: mergeRequest };
+            }
+            if (request.method === 'GET' && request.url.startsWith(`${MR}/changes`)) {
+                return {
+                    json: {
+                        changes: [
+                            { old_path: 'src/a.js', new_path: 'src/a.js', diff: '@@ -1 +1,2 @@\n a\n+b\n' },
+                            { old_path: 'new.js', new_path: 'new.js', new_file: true, b_mode: '100755', diff: '@@ -0,0 +1 @@\n+x\n' }
+                        ]
+                    }
+                };
+            }
+            if (request.url.startsWith('/api/v4/projects/group%2Fsub%2Fproject/repository/files/.ai-reviewer.yml/raw')) {
+                return { text: 'language: German\n' };
+            }
+            if (request.method === 'POST' && request.url === `${MR}/notes`) {
+                return { status: 201, json: { id: 11 } };
+            }
+            if (request.method === 'GET' && request.url.startsWith(`${MR}/notes?`)) {
+                // A full first page, then the rest
+                const page = new URL(request.url, 'http://stub').searchParams.get('page');
+                return page === '1'
+                    ? { json: Array.from({ length: 100 }, (_, i) => ({ id: i + 1, body: `Note ${i + 1}`, system: i > 0 })) }
+                    : { json: [{ id: 101, body: 'Last note', system: false }] };
+            }
+            if (request.method === 'PUT' && request.url === `${MR}/notes/11`) {
+                return { json: { id: 11 } };
+            }
+            if (request.method === 'POST' && request.url === `${MR}/discussions`) {
+                return request.body.position.new_line === 99
+                    ? { status: 400, json: { message: { base: ['line_code can not be blank'] } } }
+                    : { status: 201, json: { id: 'abc' } };
+            }
+            if (request.method === 'POST' && request.url === '/api/v4/projects/group%2Fsub%2Fproject/statuses/head1') {
+                return { status: 201, json: {} };
+            }
+            if (request.url === '/api/v4/projects/group%2Fsub%2Fproject/merge_requests/500') {
+                return { status: 500, json: { message: 'boom' } };
+            }
+            return null;
+        });
+        const { port } = stub.server.address();
+        provider = createGitLabProvider({ env: { GITLAB_TOKEN: 'glpat-test', GITLAB_BASE_URL: `http://127.0.0.1:${port}/api/v4` } });
+    });
+
+    afterAll(() => new Promise(resolve => stub.server.close(resolve)));
+
+    beforeEach(() => {
+        stub.requests.length = 0;
+    });
+
+    test('should require a token', () => {
+        expect(() => createGitLabProvider({ env: {} }).checkEnvironment()).toThrow('GITLAB_TOKEN environment variable is required');
+    });
+
+    test('should return the merge request in the pull request shape', async () => {
+        const details = await provider.getPullRequest('group/sub', 'project', '5');
+
+        expect(details).toMatchObject({
+            number: 5,
+            title: 'Add b',
+            body: 'Fixes #1',
+            draft: true,
+            labels: [{ name: 'backend' }],
+            user: { login: 'alice', type: 'User' },
+            base: { ref: 'main', sha: 'base1' },
+            head: { ref: 'feature', sha: 'head1' }
+        });
+        expect(stub.requests[0].headers['private-token']).toBe('glpat-test');
+    });
+
+    test('should report missing merge requests and API errors', async () => {
+        await expect(provider.getPullRequest('group/sub', 'project', '6')).rejects.toThrow('MR !6 not found in group/sub/project');
+        await expect(provider.getPullRequest('group/sub', 'project', '500'))
+            .rejects.toMatchObject({ status: 500, message: expect.stringContaining('returned 500: boom') });
+    });
+
+    test('should rebuild a git diff from the merge request changes', async () => {
+        const diff = await provider.getDiff('group/sub', 'project', '5');
+
+        expect(stub.requests[0].url).toBe(`${MR}/changes?access_raw_diffs=true`);
+        expect(diff).toBe([
+            'diff --git a/src/a.js b/src/a.js',
+            '--- a/src/a.js',
+            '+++ b/src/a.js',
+            '@@ -1 +1,2 @@',
+            ' a',
+            '+b',
+            'diff --git a/new.js b/new.js',
+            'new file mode 100755',
+            '--- /dev/null',
+            '+++ b/new.js',
+            '@@ -0,0 +1 @@',
+            '+x',
+            ''
+        ].join('\n'));
+    });
+
+    test('should read files at a ref and return null when missing', async () => {
+        expect(await provider.readFile('group/sub', 'project', 'main', '.ai-reviewer.yml')).toBe('language: German\n');
+        expect(stub.requests[0].url).toContain('?ref=main');
+        expect(await provider.readFile('group/sub', 'project', 'main', '.ai-reviewer.json')).toBeNull();
+    });
+
+    test('should post the summary as a note', async () => {
+        expect(await provider.postSummary('group/sub', 'project', '5', 'Summary')).toEqual({ id: 11 });
+        expect(stub.requests[0].body).toEqual({ body: 'Summary' });
+    });
+
+    test('should list notes across pages without system notes', async () => {
+        expect(await provider.listComments('group/sub', 'project', '5')).toEqual([
+            { id: 1, body: 'Note 1' },
+            { id: 101, body: 'Last note' }
+        ]);
+        expect(stub.requests.map(request => request.url)).toEqual([
+            `${MR}/notes?sort=asc&order_by=created_at&per_page=100&page=1`,
+            `${MR}/notes?sort=asc&order_by=created_at&per_page=100&page=2`
+        ]);
+    });
+
+    test('should update the summary note in place', async () => {
+        expect(await provider.updateSummary('group/sub', 'project', '5', { id: 11 }, 'New summary')).toEqual({ id: 11 });
+        expect(stub.requests[0]).toMatchObject({ method: 'PUT', url: `${MR}/notes/11`, body: { body: 'New summary' } });
+    });
+
+    test('should anchor inline comments with the diff refs', async () => {
+        const details = await provider.getPullRequest('group/sub', 'project', '5');
+        stub.requests.length = 0;
+
+        await provider.postInlineComment('group/sub', 'project', '5', { path: 'src/a.js', line: 2, side: 'RIGHT', body: 'Added' }, details);
+        await provider.postInlineComment('group/sub', 'project', '5', {
+            path: 'src/a.js',
+            line: 1,
+            side: 'RIGHT',
+            body: 'Context',
+            lineInfo: { type: 'context', oldLine: 1, newLine: 1 }
+        }, details);
+        await provider.postInlineComment('group/sub', 'project', '5', { path: 'src/old.js', line: 3, side: 'LEFT', body: 'Removed' }, details);
+
+        const positions = stub.requests.map(request => request.body.position);
+        expect(positions[0]).toEqual({
+            position_type: 'text',
+            base_sha: 'base1',
+            start_sha: 'start1',
+            head_sha: 'head1',
+            old_path: 'src/a.js',
+            new_path: 'src/a.js',
+            new_line: 2
+        });
+        expect(positions[1]).toMatchObject({ old_line: 1, new_line: 1 });
+        expect(positions[2]).toMatchObject({ old_line: 3 });
+        expect(positions[2].new_line).toBeUndefined();
+    });
+
+    test('should write multi-line suggestions relative to the commented line', async () => {
+        await provider.postInlineComment('group/sub', 'project', '5', {
+            path: 'src/a.js',
+            line: 4,
+            start_line: 2,
+            side: 'RIGHT',
+            body: 'Simplify:\n\n```suggestion\nconst x = 1;\n```'
+        }, { diffRefs: mergeRequest.diff_refs });
+
+        expect(stub.requests[0].body.body).toBe('Simplify:\n\n```suggestion:-2+0\nconst x = 1;\n```');
+    });
+
+    test('should surface rejected positions with their status', async () => {
+        await expect(provider.postInlineComment('group/sub', 'project', '5', { path: 'a.js', line: 99, side: 'RIGHT', body: 'x' }, {}))
+            .rejects.toMatchObject({ status: 400, message: expect.stringContaining('line_code can not be blank') });
+    });
+
+    test('should map statuses to GitLab commit status states', async () => {
+        await provider.setStatus('group/sub', 'project', 'head1', { state: 'pending', description: 'Running', url: 'http://jenkins/1' });
+        await provider.setStatus('group/sub', 'project', 'head1', { state: 'error', description: 'Failed' });
+
+        expect(stub.requests.map(request => request.body)).toEqual([
+            { state: 'running', name: 'AI Code Review', description: 'Running', target_url: 'http://jenkins/1' },
+            { state: 'failed', name: 'AI Code Review', description: 'Failed' }
+        ]);
+    });
+
+    describe('toGitDiff', () => {
+        test('should mark deleted and renamed files', () => {
+            expect(toGitDiff({ old_path: 'a.js', new_path: 'a.js', deleted_file: true, diff: '@@ -1 +0,0 @@\n-a\n' }))
+                .toBe('diff --git a/a.js b/a.js\ndeleted file mode 100644\n--- a/a.js\n+++ /dev/null\n@@ -1 +0,0 @@\n-a\n');
+            expect(toGitDiff({ old_path: 'a.js', new_path: 'b.js', renamed_file: true, diff: '' }))
+                .toBe('diff --git a/a.js b/b.js\nrename from a.js\nrename to b.js\n');
+        });
+    });
+});
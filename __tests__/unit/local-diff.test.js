@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { readDiffFile, getGitDiff, readGitFile, getLocalDiff } = require('../../src/local-diff');
+
+describe('Local Diff', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-review-local-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('readDiffFile', () => {
+        test('should read a diff from a file', () => {
+            const diffPath = path.join(tmpDir, 'changes.patch');
+            fs.writeFileSync(diffPath, 'diff --git a/a.js b/a.js\n');
+            expect(readDiffFile(diffPath)).toBe('diff --git a/a.js b/a.js\n');
+        });
+
+        test('should reject a missing file', () => {
+            expect(() => readDiffFile(path.join(tmpDir, 'missing.patch'))).toThrow('Diff file not found');
+        });
+    });
+
+    describe('getGitDiff', () => {
+        const git = (...args) => execFileSync('git', args, { cwd: tmpDir, stdio: 'pipe' });
+
+        beforeEach(() => {
+            git('init', '-q');
+            git('config', 'user.email', 'test@example.com');
+            git('config', 'user.name', 'Test');
+            fs.writeFileSync(path.join(tmpDir, 'app.js'), 'const a = 1;\n');
+            git('add', '.');
+            git('commit', '-qm', 'base');
+            git('tag', 'base');
+            fs.writeFileSync(path.join(tmpDir, 'app.js'), 'const a = 2;\n');
+            git('commit', '-qam', 'change');
+        });
+
+        test('should diff head against base', () => {
+            const diff = getGitDiff('base', 'HEAD', tmpDir);
+            expect(diff).toMatch(/diff --git a\/app.js b\/app.js/);
+            expect(diff).toContain('+const a = 2;');
+        });
+
+        test('should reject refs that look like options', () => {
+            expect(() => getGitDiff('--output=/tmp/x', 'HEAD', tmpDir)).toThrow('Invalid git ref');
+        });
+
+        test('should report unknown refs', () => {
+            expect(() => getGitDiff('does-not-exist', 'HEAD', tmpDir)).toThrow('git diff does-not-exist...HEAD failed');
+        });
+
+        describe('readGitFile', () => {
+            test('should read the file at the ref, not from the working tree', () => {
+                fs.writeFileSync(path.join(tmpDir, 'app.js'), 'const a = 3;\n');
+                expect(readGitFile('base', 'app.js', tmpDir)).toBe('const a = 1;\n');
+                expect(readGitFile('HEAD', 'app.js', tmpDir)).toBe('const a = 2;\n');
+            });
+
+            test('should return null for a path missing at the ref', () => {
+                fs.writeFileSync(path.join(tmpDir, 'new.js'), 'untracked\n');
+                expect(readGitFile('HEAD', 'new.js', tmpDir)).toBeNull();
+                expect(readGitFile('HEAD', 'gone.js', tmpDir)).toBeNull();
+            });
+
+            test('should report unknown refs', () => {
+                expect(() => readGitFile('does-not-exist', 'app.js', tmpDir)).toThrow('git show does-not-exist:app.js failed');
+                expect(() => readGitFile('--output=/tmp/x', 'app.js', tmpDir)).toThrow('Invalid git ref');
+            });
+        });
+    });
+
+    describe('getLocalDiff', () => {
+        test('should return null when no local source is requested', () => {
+            expect(getLocalDiff({})).toBeNull();
+        });
+
+        test('should describe the diff file source', () => {
+            const diffPath = path.join(tmpDir, 'changes.patch');
+            fs.writeFileSync(diffPath, 'diff --git a/a.js b/a.js\n');
+            expect(getLocalDiff({ diffFile: diffPath }).source).toEqual({ type: 'diff-file', path: diffPath });
+        });
+
+        test('should reject an empty diff', () => {
+            const diffPath = path.join(tmpDir, 'empty.patch');
+            fs.writeFileSync(diffPath, '\n');
+            expect(() => getLocalDiff({ diffFile: diffPath })).toThrow('No differences found in local diff');
+        });
+    });
+});
@@ -0,0 +1,122 @@
+const {
+    buildReviewedShaMarker,
+    parseReviewedShaMarker,
+    hasSummaryMarker,
+    SUMMARY_MARKER,
+    hasSkippedMarker,
+    SKIPPED_MARKER,
+    commentFingerprint,
+    buildFingerprintMarker,
+    parseFingerprintMarker,
+    parseFindingMarker,
+    stripFingerprintMarker,
+    toLinkReferenceMarkers
+} = require('../../src/markers');
+
+describe('Review Markers', () => {
+    describe('reviewed SHA marker', () => {
+        const sha = 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678';
+
+        test('should round-trip the reviewed SHA through a review body', () => {
+            const body = `## Review Summary\n\nLooks good.\n\n---\n${buildReviewedShaMarker(sha)}`;
+            expect(parseReviewedShaMarker(body)).toBe(sha);
+        });
+
+        test('should render as a hidden HTML comment', () => {
+            expect(buildReviewedShaMarker(sha)).toMatch(/^<!-- .* -->$/);
+        });
+
+        test('should return null when no marker is present', () => {
+            expect(parseReviewedShaMarker('## Review Summary\n\nNo marker here')).toBeNull();
+            expect(parseReviewedShaMarker(null)).toBeNull();
+            expect(parseReviewedShaMarker(undefined)).toBeNull();
+        });
+
+        test('should ignore malformed SHAs', () => {
+            expect(parseReviewedShaMarker('<!-- ai-reviewer:reviewed-sha=not-a-sha -->')).toBeNull();
+        });
+    });
+
+    describe('summary marker', () => {
+        test('should detect the summary marker in a review body', () => {
+            expect(hasSummaryMarker(`## Review Summary\n\n${SUMMARY_MARKER}`)).toBe(true);
+            expect(hasSummaryMarker('## Review Summary')).toBe(false);
+            expect(hasSummaryMarker(null)).toBe(false);
+        });
+    });
+
+    describe('skipped marker', () => {
+        test('should detect the skipped marker in a PR comment', () => {
+            expect(hasSkippedMarker(`${SKIPPED_MARKER}\n🤖 AI review skipped: Pull request is a draft.`)).toBe(true);
+            expect(hasSkippedMarker('AI review skipped')).toBe(false);
+            expect(hasSkippedMarker(undefined)).toBe(false);
+        });
+    });
+
+    describe('comment fingerprints', () => {
+        test('should be stable for the same file, line and text', () => {
+            const first = commentFingerprint('src/app.js', 12, 'Consider adding error handling.');
+            const second = commentFingerprint('src/app.js', 12, '  Consider   adding\nerror handling.  ');
+            expect(first).toBe(second);
+            expect(first).toMatch(/^[0-9a-f]{12}$/);
+        });
+
+        test('should differ when file, line or text changes', () => {
+            const base = commentFingerprint('src/app.js', 12, 'Consider adding error handling.');
+            expect(commentFingerprint('src/other.js', 12, 'Consider adding error handling.')).not.toBe(base);
+            expect(commentFingerprint('src/app.js', 13, 'Consider adding error handling.')).not.toBe(base);
+            expect(commentFingerprint('src/app.js', 12, 'Consider adding logging.')).not.toBe(base);
+        });
+
+        test('should round-trip through a comment body', () => {
+            const fingerprint = commentFingerprint('src/app.js', 12, 'Consider adding error handling.');
+            const body = `Consider adding error handling.\n\n${buildFingerprintMarker(fingerprint)}`;
+            expect(parseFingerprintMarker(body)).toBe(fingerprint);
+            expect(parseFingerprintMarker('Consider adding error handling.')).toBeNull();
+        });
+
+        test('should strip the fingerprint from a comment body', () => {
+            const body = `Consider adding error handling.\n\n${buildFingerprintMarker('0123456789ab')}`;
+            expect(stripFingerprintMarker(body)).toBe('Consider adding error handling.');
+        });
+
+        test('should record the severity and blocking flag of a finding', () => {
+            const marker = buildFingerprintMarker('0123456789ab', { severity: 'critical', blocking: true });
+            expect(marker).toBe('<!-- ai-reviewer:fingerprint=0123456789ab severity=critical blocking -->');
+
+            const body = `Hard-coded token.\n\n${marker}`;
+            expect(parseFingerprintMarker(body)).toBe('0123456789ab');
+            expect(parseFindingMarker(body)).toEqual({ fingerprint: '0123456789ab', severity: 'critical', blocking: true });
+            expect(stripFingerprintMarker(body)).toBe('Hard-coded token.');
+        });
+
+        test('should read findings posted before severities were recorded', () => {
+            const body = `Consider adding error handling.\n\n${buildFingerprintMarker('0123456789ab')}`;
+            expect(parseFindingMarker(body)).toEqual({ fingerprint: '0123456789ab', severity: null, blocking: false });
+            expect(parseFindingMarker('A human comment')).toBeNull();
+        });
+    });
+
+    describe('link reference markers', () => {
+        const summary = `## Review Summary\n\nOK\n---\n*Generated by CodeWhisperer*\n${SUMMARY_MARKER}\n${buildReviewedShaMarker('abc1234')}`;
+
+        test('should put each marker in its own block after a blank line', () => {
+            expect(toLinkReferenceMarkers(summary)).toBe(
+                '## Review Summary\n\nOK\n---\n*Generated by CodeWhisperer*\n\n[//]: # (ai-reviewer:summary)\n\n[//]: # (ai-reviewer:reviewed-sha=abc1234)'
+            );
+        });
+
+        test('should be read like the HTML markers', () => {
+            const linked = toLinkReferenceMarkers(summary);
+            expect(hasSummaryMarker(linked)).toBe(true);
+            expect(parseReviewedShaMarker(linked)).toBe('abc1234');
+
+            const comment = toLinkReferenceMarkers(`Use the logger.\n\n${buildFingerprintMarker('0123456789ab')}`);
+            expect(parseFingerprintMarker(comment)).toBe('0123456789ab');
+            expect(stripFingerprintMarker(comment)).toBe('Use the logger.');
+
+            const finding = toLinkReferenceMarkers(`Use the logger.\n\n${buildFingerprintMarker('0123456789ab', { severity: 'warning' })}`);
+            expect(parseFindingMarker(finding)).toEqual({ fingerprint: '0123456789ab', severity: 'warning', blocking: false });
+        });
+    });
+});
@@ -0,0 +1,84 @@
+const { globToRegExp, createPathFilter, filterDiff } = require('../../src/path-filter');
+
+describe('Path Filter', () => {
+    describe('globToRegExp', () => {
+        test('should match file names at any depth when the pattern has no slash', () => {
+            expect(globToRegExp('package-lock.json').test('package-lock.json')).toBe(true);
+            expect(globToRegExp('package-lock.json').test('packages/api/package-lock.json')).toBe(true);
+            expect(globToRegExp('*.snap').test('src/__tests__/app.test.js.snap')).toBe(true);
+        });
+
+        test('should anchor patterns containing a slash to the repository root', () => {
+            expect(globToRegExp('src/*.js').test('src/app.js')).toBe(true);
+            expect(globToRegExp('src/*.js').test('src/lib/app.js')).toBe(false);
+            expect(globToRegExp('src/*.js').test('other/src/app.js')).toBe(false);
+        });
+
+        test('should support globstars, trailing slashes, ? and braces', () => {
+            expect(globToRegExp('src/**/*.js').test('src/app.js')).toBe(true);
+            expect(globToRegExp('src/**/*.js').test('src/a/b/app.js')).toBe(true);
+            expect(globToRegExp('docs/').test('docs/guide/intro.md')).toBe(true);
+            expect(globToRegExp('file?.txt').test('file1.txt')).toBe(true);
+            expect(globToRegExp('*.{js,ts}').test('src/app.ts')).toBe(true);
+            expect(globToRegExp('*.{js,ts}').test('src/app.py')).toBe(false);
+        });
+
+        test('should treat regex characters literally', () => {
+            expect(globToRegExp('a+b.js').test('a+b.js')).toBe(true);
+            expect(globToRegExp('a+b.js').test('aab.js')).toBe(false);
+        });
+    });
+
+    describe('createPathFilter', () => {
+        test('should exclude lockfiles, bundles, vendored code and snapshots by default', () => {
+            const filter = createPathFilter();
+            expect(filter('package-lock.json').included).toBe(false);
+            expect(filter('dist/bundle.js').included).toBe(false);
+            expect(filter('packages/ui/dist/index.js').included).toBe(false);
+            expect(filter('vendor/lib.go').included).toBe(false);
+            expect(filter('src/__snapshots__/app.test.js.snap').included).toBe(false);
+            expect(filter('src/index.js').included).toBe(true);
+        });
+
+        test('should allow turning the default excludes off', () => {
+            expect(createPathFilter({ defaultExcludes: false })('package-lock.json').included).toBe(true);
+        });
+
+        test('should explain why a file was skipped', () => {
+            const filter = createPathFilter({ include: ['src/**'], exclude: ['**/*.test.js'] });
+            expect(filter('docs/readme.md')).toEqual({ included: false, reason: 'Not matched by any include pattern' });
+            expect(filter('src/app.test.js')).toEqual({ included: false, reason: 'Excluded by pattern "**/*.test.js"' });
+            expect(filter('src/app.js')).toEqual({ included: true });
+        });
+    });
+
+    describe('filterDiff', () => {
+        const section = (file) => [
+            `diff --git a/${file} b/${file}`,
+            `--- a/${file}`,
+            `+++ b/${file}`,
+            '@@ -1 +1 @@',
+            '-old',
+            '+new',
+            ''
+        ].join('\n');
+
+        test('should drop excluded files and list them with a reason', () => {
+            const result = filterDiff(section('src/app.js') + section('package-lock.json'));
+            expect(result.reviewedFiles).toEqual(['src/app.js']);
+            expect(result.diff).toBe(section('src/app.js'));
+            expect(result.skippedFiles).toEqual([
+                { file: 'package-lock.json', reason: 'Excluded by pattern "package-lock.json"' }
+            ]);
+        });
+
+        test('should return an empty diff when every file is excluded', () => {
+            expect(filterDiff(section('yarn.lock')).diff).toBe('');
+        });
+
+        test('should pass through diffs without git file headers', () => {
+            const plain = '--- a\n+++ b\n@@ -1 +1 @@\n-x\n+y\n';
+            expect(filterDiff(plain).diff).toBe(plain);
+        });
+    });
+});
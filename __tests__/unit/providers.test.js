@@ -0,0 +1,41 @@
+const http = require('http');
+const { PROVIDERS, createProvider } = require('../../src/providers');
+const { createHttpClient } = require('../../src/http-client');
+
+// A local port nothing listens on
+function closedPort() {
+    const server = http.createServer();
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    }));
+}
+
+describe('Providers', () => {
+    describe('createProvider', () => {
+        test('should create the GitLab and Bitbucket Server providers', () => {
+            expect(PROVIDERS).toEqual(['github', 'gitlab', 'bitbucket-server']);
+            expect(createProvider('gitlab', { env: {} }).label).toBe('GitLab');
+            expect(createProvider('bitbucket-server', { env: {} }).label).toBe('Bitbucket Server');
+        });
+
+        test('should reject unknown providers', () => {
+            expect(() => createProvider('gitea')).toThrow('Unknown provider "gitea" (expected one of: github, gitlab, bitbucket-server)');
+        });
+    });
+
+    describe('createHttpClient', () => {
+        test('should run every request through the retry wrapper', async () => {
+            const retry = jest.fn(fn => fn());
+            const request = createHttpClient({ service: 'GitLab', baseUrl: `http://127.0.0.1:${await closedPort()}/api`, retry });
+
+            await expect(request('GET', '/projects')).rejects.toThrow('GitLab API request failed');
+            expect(retry).toHaveBeenCalledTimes(1);
+        });
+
+        test('should expose the network error code so connection resets are retried', async () => {
+            const request = createHttpClient({ service: 'GitLab', baseUrl: `http://127.0.0.1:${await closedPort()}` });
+            await expect(request('GET', '/')).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+        });
+    });
+});
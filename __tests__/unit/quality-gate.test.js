@@ -0,0 +1,92 @@
+const {
+    EXIT_CODES,
+    normalizeSeverity,
+    countBySeverity,
+    sortBySeverity,
+    evaluateQualityGate
+} = require('../../src/quality-gate');
+
+describe('Quality Gate', () => {
+    const comments = [
+        { file: 'a.js', line: 1, message: 'Style nit', severity: 'info' },
+        { file: 'a.js', line: 2, message: 'Missing error handling', severity: 'warning' },
+        { file: 'b.js', line: 3, message: 'SQL injection', severity: 'critical' },
+        { file: 'b.js', line: 4, message: 'No severity given' }
+    ];
+
+    describe('normalizeSeverity', () => {
+        test('should keep known severities', () => {
+            expect(normalizeSeverity('warning')).toBe('warning');
+            expect(normalizeSeverity('CRITICAL')).toBe('critical');
+        });
+
+        test('should map common aliases', () => {
+            expect(normalizeSeverity('high')).toBe('error');
+            expect(normalizeSeverity('medium')).toBe('warning');
+            expect(normalizeSeverity('blocker')).toBe('critical');
+        });
+
+        test('should treat unknown or missing severities as info', () => {
+            expect(normalizeSeverity(undefined)).toBe('info');
+            expect(normalizeSeverity('whatever')).toBe('info');
+        });
+    });
+
+    describe('countBySeverity', () => {
+        test('should count every level, including empty ones', () => {
+            expect(countBySeverity(comments)).toEqual({ info: 2, warning: 1, error: 0, critical: 1 });
+            expect(countBySeverity([])).toEqual({ info: 0, warning: 0, error: 0, critical: 0 });
+        });
+    });
+
+    describe('sortBySeverity', () => {
+        test('should order comments most severe first without mutating the input', () => {
+            const sorted = sortBySeverity(comments);
+            expect(sorted.map(comment => comment.line)).toEqual([3, 2, 1, 4]);
+            expect(comments[0].line).toBe(1);
+        });
+    });
+
+    describe('evaluateQualityGate', () => {
+        test('should pass when no thresholds are configured', () => {
+            const gate = evaluateQualityGate(comments);
+            expect(gate.status).toBe('passed');
+            expect(gate.exitCode).toBe(EXIT_CODES.SUCCESS);
+            expect(gate.reasons).toEqual([]);
+        });
+
+        test('should fail when comments reach the fail-on severity', () => {
+            const gate = evaluateQualityGate(comments, { failOn: 'error' });
+            expect(gate.status).toBe('failed');
+            expect(gate.exitCode).toBe(EXIT_CODES.BLOCKING_ISSUES);
+            expect(gate.reasons[0]).toContain('1 comment(s) at or above "error"');
+        });
+
+        test('should be unstable when only the unstable-on severity is reached', () => {
+            const gate = evaluateQualityGate(comments, { failOn: 'critical', unstableOn: 'warning' });
+            expect(gate.status).toBe('failed');
+
+            const unstable = evaluateQualityGate(comments.slice(0, 2), { failOn: 'critical', unstableOn: 'warning' });
+            expect(unstable.status).toBe('unstable');
+            expect(unstable.exitCode).toBe(EXIT_CODES.UNSTABLE);
+        });
+
+        test('should fail when the comment count exceeds the maximum', () => {
+            expect(evaluateQualityGate(comments, { maxComments: 3 }).status).toBe('failed');
+            expect(evaluateQualityGate(comments, { maxComments: 4 }).status).toBe('passed');
+            expect(evaluateQualityGate(comments, { maxComments: 0 }).status).toBe('failed');
+        });
+
+        test('should always fail on blocking findings', () => {
+            const gate = evaluateQualityGate([...comments, { severity: 'critical', blocking: true }], { unstableOn: 'critical' });
+            expect(gate.status).toBe('failed');
+            expect(gate.exitCode).toBe(EXIT_CODES.BLOCKING_ISSUES);
+            expect(gate.reasons).toEqual(['1 blocking finding(s)']);
+        });
+
+        test('should record the thresholds used', () => {
+            const gate = evaluateQualityGate([], { unstableOn: 'warning' });
+            expect(gate.thresholds).toEqual({ failOn: null, unstableOn: 'warning', maxComments: null });
+        });
+    });
+});
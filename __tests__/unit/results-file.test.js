@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadResultsFile, validateResults, resolveReplayTarget } = require('../../src/results-file');
+
+describe('Saved Results', () => {
+    const valid = {
+        success: true,
+        repository: 'myorg/myrepo',
+        pullRequest: '123',
+        summary: 'Looks good.',
+        comments: [{ file: 'src/app.js', line: 4, message: 'Check this', severity: 'warning' }],
+        hunks: []
+    };
+
+    describe('loadResultsFile', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-review-results-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should parse a results file', () => {
+            const file = path.join(dir, 'review-results.json');
+            fs.writeFileSync(file, JSON.stringify(valid));
+            expect(loadResultsFile(file)).toEqual(valid);
+        });
+
+        test('should report missing and unparseable files', () => {
+            expect(() => loadResultsFile(path.join(dir, 'missing.json'))).toThrow('Results file not found');
+
+            const file = path.join(dir, 'broken.json');
+            fs.writeFileSync(file, '{ nope');
+            expect(() => loadResultsFile(file)).toThrow('Could not parse results file');
+        });
+    });
+
+    describe('validateResults', () => {
+        test('should accept a successful review', () => {
+            expect(validateResults(valid, 'r.json')).toBe(valid);
+        });
+
+        test('should accept a project in nested GitLab groups', () => {
+            const nested = { ...valid, repository: 'group/subgroup/myrepo' };
+            expect(validateResults(nested, 'r.json')).toBe(nested);
+            expect(() => validateResults({ ...valid, repository: 'group//myrepo' }, 'r.json')).toThrow('repository must look like "org/repo"');
+        });
+
+        test('should refuse failed and skipped runs', () => {
+            expect(() => validateResults({ success: false, error: 'boom' }, 'r.json')).toThrow('records a failed review (boom)');
+            expect(() => validateResults({ success: true, skipped: true, reason: 'no changes' }, 'r.json')).toThrow('records a skipped review');
+        });
+
+        test('should list every schema problem', () => {
+            const result = { success: true, summary: 5, comments: [null, { file: 3, line: 0 }], repository: 'myrepo', pullRequest: 'abc' };
+
+            expect(() => validateResults(result, 'r.json')).toThrow([
+                'Invalid results file r.json:',
+                '  - summary must be a string',
+                '  - comments[0] must be an object',
+                '  - comments[1].file must be a string',
+                '  - comments[1].line must be a positive integer',
+                '  - repository must look like "org/repo"',
+                '  - pullRequest must be a PR number'
+            ].join('\n'));
+        });
+
+        test('should require a comments list', () => {
+            expect(() => validateResults({ success: true }, 'r.json')).toThrow('comments must be a list');
+        });
+    });
+
+    describe('resolveReplayTarget', () => {
+        test('should use the recorded pull request by default', () => {
+            expect(resolveReplayTarget(valid)).toEqual({ org: 'myorg', repo: 'myrepo', pr: '123' });
+        });
+
+        test('should keep nested GitLab groups in the organization', () => {
+            expect(resolveReplayTarget({ ...valid, repository: 'group/sub/myrepo' })).toEqual({ org: 'group/sub', repo: 'myrepo', pr: '123' });
+        });
+
+        test('should accept a matching target and reject a different one', () => {
+            expect(resolveReplayTarget(valid, { org: 'myorg', repo: 'myrepo', pr: '123' })).toEqual({ org: 'myorg', repo: 'myrepo', pr: '123' });
+            expect(() => resolveReplayTarget(valid, { org: 'myorg', repo: 'myrepo', pr: '124' }))
+                .toThrow('Results are for myorg/myrepo#123, not myorg/myrepo#124');
+        });
+
+        test('should need a target for local reviews', () => {
+            const local = { ...valid, repository: undefined, pullRequest: undefined };
+            expect(() => resolveReplayTarget(local)).toThrow('pass <org> <repo> <pr>');
+            expect(resolveReplayTarget(local, { org: 'a', repo: 'b', pr: '7' })).toEqual({ org: 'a', repo: 'b', pr: '7' });
+        });
+    });
+});
@@ -0,0 +1,187 @@
+const {
+    findLinkedIssues,
+    collectFileContents,
+    collectReviewContext,
+    buildContextInstructions,
+    describeContext
+} = require('../../src/review-context');
+
+describe('Review Context', () => {
+    const diff = [
+        'diff --git a/src/app.js b/src/app.js',
+        '--- a/src/app.js',
+        '+++ b/src/app.js',
+        '@@ -1,1 +1,2 @@',
+        ' const a = 1;',
+        '+const b = 2;',
+        'diff --git a/src/old.js b/src/old.js',
+        'deleted file mode 100644',
+        '--- a/src/old.js',
+        '+++ /dev/null',
+        '@@ -1,1 +0,0 @@',
+        '-gone();',
+        'diff --git a/src/big.js b/src/big.js',
+        '--- a/src/big.js',
+        '+++ b/src/big.js',
+        '@@ -1,1 +1,1 @@',
+        '-x',
+        '+y',
+        ''
+    ].join('\n');
+
+    const files = {
+        'src/app.js': 'const a = 1;\nconst b = 2;\n',
+        'src/big.js': 'y'.repeat(100)
+    };
+    const readFile = jest.fn(async file => files[file] ?? null);
+
+    beforeEach(() => {
+        readFile.mockClear();
+    });
+
+    describe('findLinkedIssues', () => {
+        test('should find issues linked with closing keywords', () => {
+            expect(findLinkedIssues('Fixes #12 and closes other/lib#3.\nRelated to #99. Resolves: #12', 'org', 'repo')).toEqual([
+                { org: 'org', repo: 'repo', number: 12 },
+                { org: 'other', repo: 'lib', number: 3 }
+            ]);
+        });
+
+        test('should handle empty descriptions and cap the number of issues', () => {
+            expect(findLinkedIssues(null, 'org', 'repo')).toEqual([]);
+            expect(findLinkedIssues('fix #1 fix #2 fix #3 fix #4', 'org', 'repo')).toHaveLength(3);
+        });
+    });
+
+    describe('collectFileContents', () => {
+        test('should read touched files that still exist, within the size limits', async () => {
+            const result = await collectFileContents(diff, readFile, { maxFileSize: 50 });
+
+            expect(readFile.mock.calls.map(([file]) => file)).toEqual(['src/app.js', 'src/big.js']);
+            expect(result.files).toEqual([{ file: 'src/app.js', content: files['src/app.js'] }]);
+            expect(result.skipped).toEqual([{ file: 'src/big.js', reason: 'Larger than 50 characters' }]);
+        });
+
+        test('should stop adding files at the total size limit', async () => {
+            const result = await collectFileContents(diff, readFile, { maxFileSize: 1000, maxTotalSize: 50 });
+            expect(result.files.map(entry => entry.file)).toEqual(['src/app.js']);
+            expect(result.skipped[0].reason).toBe('Context size limit of 50 characters reached');
+        });
+
+        test('should skip missing, binary and unreadable files', async () => {
+            const reader = async (file) => {
+                if (file === 'src/big.js') {
+                    throw new Error('File is too large for the contents API');
+                }
+                return 'PNG\0data';
+            };
+            const result = await collectFileContents(diff, reader);
+            expect(result.files).toEqual([]);
+            expect(result.skipped).toEqual([
+                { file: 'src/app.js', reason: 'Binary file' },
+                { file: 'src/big.js', reason: 'Could not read file: File is too large for the contents API' }
+            ]);
+
+            const missing = await collectFileContents(diff, async () => null);
+            expect(missing.skipped[0]).toEqual({ file: 'src/app.js', reason: 'Not found at the head commit' });
+        });
+    });
+
+    describe('collectReviewContext', () => {
+        const pullRequest = { title: 'Add b', body: 'Adds b.\n\nFixes #7' };
+        const readIssue = jest.fn(async ({ number }) => (number === 7 ? { title: 'Need b', body: 'We need b.' } : null));
+
+        test('should only gather the enabled kinds', async () => {
+            const context = await collectReviewContext({
+                diff,
+                options: { files: false, pullRequest: true, issues: false },
+                readFile,
+                pullRequest,
+                readIssue,
+                org: 'org',
+                repo: 'repo'
+            });
+
+            expect(readFile).not.toHaveBeenCalled();
+            expect(readIssue).not.toHaveBeenCalled();
+            expect(context).toEqual({
+                files: [],
+                skippedFiles: [],
+                pullRequest: { title: 'Add b', body: 'Adds b.\n\nFixes #7' },
+                issues: []
+            });
+        });
+
+        test('should gather files, the PR and linked issues', async () => {
+            const context = await collectReviewContext({
+                diff,
+                options: { files: true, pullRequest: true, issues: true, maxFileSize: 50 },
+                readFile,
+                pullRequest,
+                readIssue,
+                org: 'org',
+                repo: 'repo'
+            });
+
+            expect(context.files.map(entry => entry.file)).toEqual(['src/app.js']);
+            expect(context.issues).toEqual([{ org: 'org', repo: 'repo', number: 7, title: 'Need b', body: 'We need b.' }]);
+            expect(describeContext(context)).toEqual({
+                files: ['src/app.js'],
+                skippedFiles: [{ file: 'src/big.js', reason: 'Larger than 50 characters' }],
+                pullRequest: true,
+                issues: ['org/repo#7']
+            });
+        });
+
+        test('should pass every text through redact', async () => {
+            const context = await collectReviewContext({
+                diff,
+                options: { files: true, pullRequest: true, issues: true, maxFileSize: 50 },
+                readFile,
+                pullRequest,
+                readIssue,
+                org: 'org',
+                repo: 'repo',
+                redact: text => text.replace(/b/g, '[REDACTED]')
+            });
+
+            expect(context.files[0].content).not.toContain('b');
+            expect(context.pullRequest).toEqual({ title: 'Add [REDACTED]', body: 'Adds [REDACTED].\n\nFixes #7' });
+            expect(context.issues[0]).toMatchObject({ title: 'Need [REDACTED]', body: 'We need [REDACTED].' });
+        });
+
+        test('should work without a pull request', async () => {
+            const context = await collectReviewContext({ diff, options: { pullRequest: true, issues: true }, pullRequest: null, readIssue });
+            expect(context.pullRequest).toBeNull();
+            expect(context.issues).toEqual([]);
+        });
+    });
+
+    describe('buildContextInstructions', () => {
+        const context = {
+            files: [{ file: 'src/app.js', content: 'const a = 1;\n' }, { file: 'src/b.js', content: 'b();\n' }],
+            skippedFiles: [],
+            pullRequest: { title: 'Add b', body: '' },
+            issues: [{ org: 'org', repo: 'repo', number: 7, title: 'Need b', body: 'We need b.' }]
+        };
+
+        test('should describe the PR, issues and file contents', () => {
+            const instructions = buildContextInstructions(context);
+            expect(instructions).toMatch(/^# Context for this review/);
+            expect(instructions).toContain('Title: Add b\n\n(no description)');
+            expect(instructions).toContain('## Linked issue org/repo#7: Need b\n\nWe need b.');
+            expect(instructions).toContain('### src/app.js\n\n```\nconst a = 1;\n```');
+            expect(instructions).toContain('### src/b.js');
+        });
+
+        test('should limit file contents to the given files', () => {
+            const instructions = buildContextInstructions(context, ['src/b.js']);
+            expect(instructions).not.toContain('src/app.js');
+            expect(instructions).toContain('### src/b.js');
+        });
+
+        test('should be empty without any context', () => {
+            expect(buildContextInstructions({ files: [], skippedFiles: [], pullRequest: null, issues: [] })).toBe('');
+        });
+    });
+});
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    buildHistoryRecord,
+    appendHistory,
+    loadHistory,
+    buildHistoryReport,
+    formatHistoryReport
+} = require('../../src/review-history');
+
+describe('Review History', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-review-history-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    // History record with the given comment counts per file and severity
+    function run(timestamp, repository, pullRequest, author, comments) {
+        return buildHistoryRecord({
+            timestamp,
+            repository,
+            pullRequest,
+            comments: comments.map(([file, severity]) => ({ file, severity, message: 'x' }))
+        }, { author });
+    }
+
+    describe('buildHistoryRecord', () => {
+        test('should count comments by severity and file without keeping their text', () => {
+            const record = buildHistoryRecord({
+                timestamp: '2024-03-04T10:00:00.000Z',
+                provider: 'github',
+                repository: 'myorg/myrepo',
+                pullRequest: '12',
+                comments: [
+                    { file: 'src/a.js', line: 3, severity: 'error', message: 'Bug' },
+                    { filename: 'src/a.js', line: 9, severity: 'warning', message: 'Smell' },
+                    { file: 'src/b.js', line: 1, severity: 'major', message: 'Bug' }
+                ],
+                metadata: { runId: 'abc123', usage: { totalTokens: 1200, cost: 0.01 } },
+                reviewScope: { mode: 'incremental', headSha: 'head1' },
+                qualityGate: { status: 'failed' }
+            }, { author: 'dev1' });
+
+            expect(record).toEqual({
+                timestamp: '2024-03-04T10:00:00.000Z',
+                runId: 'abc123',
+                provider: 'github',
+                repository: 'myorg/myrepo',
+                pullRequest: '12',
+                author: 'dev1',
+                headSha: 'head1',
+                scope: 'incremental',
+                comments: 3,
+                bySeverity: { info: 0, warning: 1, error: 2, critical: 0 },
+                files: { 'src/a.js': 2, 'src/b.js': 1 },
+                qualityGate: 'failed',
+                tokens: 1200,
+                cost: 0.01
+            });
+            expect(JSON.stringify(record)).not.toContain('Bug');
+        });
+    });
+
+    describe('appendHistory / loadHistory', () => {
+        test('should append one line per run and read them back', () => {
+            const file = path.join(tempDir, 'nested', 'history.jsonl');
+            appendHistory(file, run('2024-03-04T10:00:00.000Z', 'myorg/myrepo', '1', 'dev1', []));
+            appendHistory(file, run('2024-03-05T10:00:00.000Z', 'myorg/myrepo', '2', 'dev2', []));
+
+            expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(2);
+            const { records, invalidLines } = loadHistory(file);
+            expect(records.map(record => record.pullRequest)).toEqual(['1', '2']);
+            expect(invalidLines).toBe(0);
+        });
+
+        test('should ignore unreadable lines', () => {
+            const file = path.join(tempDir, 'history.jsonl');
+            fs.writeFileSync(file, `${JSON.stringify(run('2024-03-04T10:00:00.000Z', 'o/r', '1', null, []))}\n{"timest\n[]\n\n`);
+
+            const { records, invalidLines } = loadHistory(file);
+            expect(records).toHaveLength(1);
+            expect(invalidLines).toBe(2);
+        });
+
+        test('should fail for a missing file', () => {
+            expect(() => loadHistory(path.join(tempDir, 'missing.jsonl'))).toThrow('History file not found');
+        });
+    });
+
+    describe('buildHistoryReport', () => {
+        const records = [
+            run('2024-03-04T10:00:00.000Z', 'myorg/api', '1', 'dev1', [['src/a.js', 'error'], ['src/a.js', 'warning'], ['src/b.js', 'info']]),
+            run('2024-03-06T10:00:00.000Z', 'myorg/api', '1', 'dev1', [['src/a.js', 'error']]),
+            run('2024-03-12T10:00:00.000Z', 'myorg/api', '2', 'dev2', []),
+            run('2024-03-13T10:00:00.000Z', 'myorg/web', '5', 'dev1', [['index.js', 'critical'], ['index.js', 'critical']]),
+            run('2024-03-01T10:00:00.000Z', null, null, null, [['local.js', 'warning']])
+        ];
+
+        test('should total runs, PRs and comments per repository', () => {
+            const report = buildHistoryReport(records);
+
+            expect(report.runs).toBe(5);
+            expect(report.firstRun).toBe('2024-03-01T10:00:00.000Z');
+            expect(report.lastRun).toBe('2024-03-13T10:00:00.000Z');
+            expect(report.repositories.map(row => [row.repository, row.runs, row.pullRequests, row.comments, row.commentsPerRun])).toEqual([
+                ['myorg/api', 3, 2, 4, 1.33],
+                ['myorg/web', 1, 1, 2, 2],
+                ['(local)', 1, 0, 1, 1]
+            ]);
+            expect(report.repositories[0].bySeverity).toEqual({ info: 1, warning: 1, error: 2, critical: 0 });
+        });
+
+        test('should group runs by week starting on Monday', () => {
+            const weekly = buildHistoryReport(records).weekly;
+            expect(weekly.map(row => [row.week, row.repository, row.runs, row.comments])).toEqual([
+                ['2024-02-26', '(local)', 1, 1],
+                ['2024-03-04', 'myorg/api', 2, 4],
+                ['2024-03-11', 'myorg/api', 1, 0],
+                ['2024-03-11', 'myorg/web', 1, 2]
+            ]);
+        });
+
+        test('should rank files and authors by comments', () => {
+            const report = buildHistoryReport(records, { limit: 2 });
+
+            expect(report.files).toEqual([
+                { repository: 'myorg/api', file: 'src/a.js', runs: 2, pullRequests: 1, comments: 3 },
+                { repository: 'myorg/web', file: 'index.js', runs: 1, pullRequests: 1, comments: 2 }
+            ]);
+            expect(report.authors.map(row => [row.author, row.runs, row.pullRequests, row.comments])).toEqual([
+                ['dev1', 3, 2, 6],
+                ['dev2', 1, 1, 0]
+            ]);
+        });
+
+        test('should filter by repository and start date', () => {
+            const report = buildHistoryReport(records, { repository: 'myorg/api', since: '2024-03-05' });
+
+            expect(report.runs).toBe(2);
+            expect(report.filters).toEqual({ repository: 'myorg/api', since: '2024-03-05' });
+            expect(report.files.map(row => row.file)).toEqual(['src/a.js']);
+        });
+    });
+
+    describe('formatHistoryReport', () => {
+        const report = buildHistoryReport([
+            run('2024-03-04T10:00:00.000Z', 'myorg/api', '1', 'dev1', [['src/a.js', 'error']])
+        ], { repository: 'myorg/api' });
+
+        test('should render Markdown trend tables', () => {
+            const markdown = formatHistoryReport(report, 'markdown');
+
+            expect(markdown).toContain('# AI Code Review Trends');
+            expect(markdown).toContain('**Repository:** myorg/api');
+            expect(markdown).toContain('| Repository | Runs | PRs | Comments | Per run | Critical | Error | Warning | Info |');
+            expect(markdown).toContain('| myorg/api | 1 | 1 | 1 | 1 | 0 | 1 | 0 | 0 |');
+            expect(markdown).toContain('| 2024-03-04 | myorg/api | 1 | 1 | 1 | 0 | 1 | 0 | 0 |');
+            expect(markdown).toContain('| myorg/api | `src/a.js` | 1 | 1 | 1 |');
+            expect(markdown).toContain('| dev1 | 1 | 1 | 1 | 1 | 0 | 1 | 0 | 0 |');
+        });
+
+        test('should say when there are no runs', () => {
+            expect(formatHistoryReport(buildHistoryReport([]), 'markdown')).toContain('No review runs recorded.');
+        });
+
+        test('should render JSON', () => {
+            expect(JSON.parse(formatHistoryReport(report, 'json')).repositories[0].repository).toBe('myorg/api');
+        });
+
+        test('should reject unknown formats', () => {
+            expect(() => formatHistoryReport(report, 'html')).toThrow('Unknown report format "html"');
+        });
+    });
+});
@@ -0,0 +1,141 @@
+const { postReviewAsComments, postSkipCommentAsComment, withOpenFindings } = require('../../src/review-posting');
+const { SUMMARY_MARKER, SKIPPED_MARKER, commentFingerprint, buildFingerprintMarker, toLinkReferenceMarkers } = require('../../src/markers');
+
+describe('Review Posting', () => {
+    describe('postReviewAsComments', () => {
+        const logger = { debug: jest.fn(), info: jest.fn(), success: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        const diff = 'diff --git a/src/a.js b/src/a.js\n--- a/src/a.js\n+++ b/src/a.js\n@@ -1 +1,3 @@\n a\n+b\n+c\n';
+        const review = {
+            summary: 'Two findings.',
+            comments: [
+                { file: 'src/a.js', line: 2, severity: 'warning', message: 'First' },
+                { file: 'src/a.js', line: 3, severity: 'info', message: 'Second' }
+            ],
+            hunks: [{
+                filename: 'src/a.js',
+                hunkHeader: { oldStart: 1, newStart: 1 },
+                changes: [
+                    { type: 'context', lineNumber: 1 },
+                    { type: 'addition', lineNumber: 2 },
+                    { type: 'addition', lineNumber: 3 }
+                ]
+            }]
+        };
+        const options = { details: { head: { sha: 'abc1234' } }, diff };
+
+        const createProvider = (existing = []) => ({
+            label: 'Bitbucket Server',
+            listComments: jest.fn().mockResolvedValue(existing),
+            postInlineComment: jest.fn().mockResolvedValue({ id: 1 }),
+            postSummary: jest.fn().mockResolvedValue({ id: 2 }),
+            updateSummary: jest.fn().mockResolvedValue({ id: 3 })
+        });
+
+        test('should post inline comments and then the summary', async () => {
+            const provider = createProvider();
+
+            const result = await postReviewAsComments(provider, 'PROJ', 'repo', 7, review, options, logger);
+
+            expect(provider.postInlineComment.mock.calls.map(([, , , comment]) => [comment.line, comment.lineInfo.type]))
+                .toEqual([[2, 'added'], [3, 'added']]);
+            const [, , , summaryBody] = provider.postSummary.mock.calls[0];
+            expect(summaryBody).toContain('Two findings.');
+            expect(summaryBody).toContain('<!-- ai-reviewer:reviewed-sha=abc1234 -->');
+            expect(provider.updateSummary).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ posted: true, summaryId: 2, summaryUpdated: false, inlineComments: 2, duplicatesSkipped: 0 });
+        });
+
+        test('should skip comments and edit the summary an earlier run posted', async () => {
+            // As Bitbucket stores them: markers as link reference definitions
+            const earlierSummary = { id: 40, body: toLinkReferenceMarkers(`Old summary\n${SUMMARY_MARKER}`) };
+            const provider = createProvider([
+                { id: 39, body: toLinkReferenceMarkers(`Older summary\n${SUMMARY_MARKER}`) },
+                { id: 41, body: toLinkReferenceMarkers(`First\n\n${buildFingerprintMarker(commentFingerprint('src/a.js', 2, 'First'))}`) },
+                { id: 42, body: 'A human comment' },
+                earlierSummary
+            ]);
+
+            const result = await postReviewAsComments(provider, 'PROJ', 'repo', 7, review, options, logger);
+
+            expect(provider.postInlineComment).toHaveBeenCalledTimes(1);
+            expect(provider.postInlineComment.mock.calls[0][3].body).toMatch(/^Second\n\n<!-- ai-reviewer:fingerprint=/);
+            expect(provider.postSummary).not.toHaveBeenCalled();
+            expect(provider.updateSummary).toHaveBeenCalledWith('PROJ', 'repo', 7, earlierSummary, expect.stringContaining('Two findings.'));
+            expect(result).toMatchObject({ posted: true, summaryId: 3, summaryUpdated: true, inlineComments: 1, duplicatesSkipped: 1 });
+        });
+
+        test('should list comments the host rejects in the summary', async () => {
+            const provider = createProvider();
+            provider.postInlineComment.mockRejectedValueOnce(Object.assign(new Error('The line is not part of the diff'), { status: 409 }));
+
+            const result = await postReviewAsComments(provider, 'PROJ', 'repo', 7, review, options, logger);
+
+            expect(provider.postSummary.mock.calls[0][3]).toContain('- `src/a.js:2`: First');
+            expect(result).toMatchObject({
+                inlineComments: 1,
+                dropped: [{ file: 'src/a.js', line: 2, reason: 'Rejected by Bitbucket Server: The line is not part of the diff' }]
+            });
+        });
+    });
+
+    describe('postSkipCommentAsComment', () => {
+        const logger = { warn: jest.fn() };
+        const body = `${SKIPPED_MARKER}\n🤖 AI review skipped: PR is a draft.`;
+        const createProvider = (existing = []) => ({
+            listComments: jest.fn().mockResolvedValue(existing),
+            postSummary: jest.fn().mockResolvedValue({ id: 2 }),
+            updateSummary: jest.fn().mockResolvedValue({ id: 3 })
+        });
+
+        test('should post a new skip note', async () => {
+            const provider = createProvider([{ id: 1, body: 'A human comment' }]);
+
+            const result = await postSkipCommentAsComment(provider, 'PROJ', 'repo', 5, 'PR is a draft', logger);
+
+            expect(provider.postSummary).toHaveBeenCalledWith('PROJ', 'repo', 5, body);
+            expect(result).toEqual({ posted: true, updated: false, commentId: 2 });
+        });
+
+        test('should edit the note of an earlier skipped run', async () => {
+            const earlier = { id: 7, body: toLinkReferenceMarkers(`${SKIPPED_MARKER}\n🤖 AI review skipped: PR has the label "wip".`) };
+            const provider = createProvider([earlier]);
+
+            const result = await postSkipCommentAsComment(provider, 'PROJ', 'repo', 5, 'PR is a draft', logger);
+
+            expect(provider.updateSummary).toHaveBeenCalledWith('PROJ', 'repo', 5, earlier, body);
+            expect(provider.postSummary).not.toHaveBeenCalled();
+            expect(result).toEqual({ posted: true, updated: true, commentId: 3 });
+        });
+
+        test('should leave an identical note alone, whichever marker form the host stored', async () => {
+            const provider = createProvider([{ id: 7, body: toLinkReferenceMarkers(body) }]);
+
+            const result = await postSkipCommentAsComment(provider, 'PROJ', 'repo', 5, 'PR is a draft', logger);
+
+            expect(provider.postSummary).not.toHaveBeenCalled();
+            expect(provider.updateSummary).not.toHaveBeenCalled();
+            expect(result).toEqual({ posted: false, reason: 'Skip comment already posted', commentId: 7 });
+        });
+
+        test('should only warn when the note cannot be posted', async () => {
+            const provider = createProvider();
+            provider.postSummary.mockRejectedValueOnce(new Error('GitLab API error: 403 Forbidden'));
+
+            const result = await postSkipCommentAsComment(provider, 'group/sub', 'repo', 5, 'PR is a draft', logger);
+
+            expect(result).toEqual({ posted: false, error: 'GitLab API error: 403 Forbidden' });
+            expect(logger.warn).toHaveBeenCalledWith('Could not post skip comment: GitLab API error: 403 Forbidden');
+        });
+    });
+
+    describe('withOpenFindings', () => {
+        test('should add open findings of earlier runs the new review did not report again', () => {
+            const comments = [{ file: 'src/a.js', line: 2, severity: 'warning', message: 'First' }];
+            const reported = { file: 'src/a.js', line: 2, severity: 'warning', fingerprint: commentFingerprint('src/a.js', 2, 'First') };
+            const open = { file: 'src/b.js', line: 8, severity: 'error', blocking: false, fingerprint: '0123456789ab' };
+
+            expect(withOpenFindings(comments, [reported, open])).toEqual([open, ...comments]);
+            expect(withOpenFindings(comments)).toEqual(comments);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+const {
+    describeRuleErrors,
+    parseRuleFile,
+    combineRules,
+    rulesForFiles,
+    buildRuleInstructions,
+    tagRuleComments,
+    withRuleTag
+} = require('../../src/review-rules');
+
+describe('Review Rules', () => {
+    const rules = combineRules([{
+        source: '.ai-reviewer.yml',
+        rules: [
+            { id: 'no-console', name: 'No console logging', description: 'Use the shared logger.', paths: ['src/**/*.js'], severity: 'warning' },
+            { id: 'sql-params', description: 'Never build SQL from strings.', paths: ['db/**'], severity: 'critical' },
+            { id: 'naming', description: 'Use camelCase names.' }
+        ]
+    }]);
+
+    describe('describeRuleErrors', () => {
+        test('should accept valid rules', () => {
+            expect(describeRuleErrors([{ id: 'team/no-console', description: 'x', paths: ['**'], severity: 'info' }])).toEqual([]);
+        });
+
+        test('should name the rule and setting of each problem', () => {
+            expect(describeRuleErrors([{ description: 'x' }, 'text'], 'rules')).toEqual([
+                'rules[0].id must be letters, digits, ".", "_", "-" or "/"',
+                'rules[1] must be a mapping'
+            ]);
+            expect(describeRuleErrors(null)).toEqual(['rules must be a list of rules']);
+        });
+    });
+
+    describe('parseRuleFile', () => {
+        test('should read a YAML list or a mapping with rules', () => {
+            expect(parseRuleFile('- id: a\n  description: Rule A\n', 'rules.yml')).toEqual([{ id: 'a', description: 'Rule A' }]);
+            expect(parseRuleFile('{"rules": [{"id": "b", "description": "Rule B"}]}', 'rules.json'))
+                .toEqual([{ id: 'b', description: 'Rule B' }]);
+        });
+
+        test('should name the file in errors', () => {
+            expect(() => parseRuleFile('{ nope', 'rules.json')).toThrow('Could not parse rule file rules.json');
+            expect(() => parseRuleFile('- id: a\n', 'ci/rules.yml'))
+                .toThrow('Invalid rules in ci/rules.yml:\n  - rules[0].description must be a non-empty string');
+            expect(() => parseRuleFile('language: German\n', 'rules.yml')).toThrow('rules must be a list of rules');
+        });
+    });
+
+    describe('combineRules', () => {
+        test('should fill in defaults and keep the source', () => {
+            expect(rules[2]).toEqual({
+                id: 'naming',
+                name: null,
+                description: 'Use camelCase names.',
+                paths: [],
+                severity: null,
+                source: '.ai-reviewer.yml'
+            });
+        });
+
+        test('should reject an ID defined in two sources', () => {
+            expect(() => combineRules([
+                { source: '.ai-reviewer.yml', rules: [{ id: 'a', description: 'x' }] },
+                { source: 'ci/rules.yml', rules: [{ id: 'a', description: 'y' }] }
+            ])).toThrow('Rule "a" is defined in both .ai-reviewer.yml and ci/rules.yml');
+        });
+    });
+
+    describe('rulesForFiles', () => {
+        test('should keep rules matching any of the files', () => {
+            expect(rulesForFiles(rules, ['src/app/index.js']).map(rule => rule.id)).toEqual(['no-console', 'naming']);
+            expect(rulesForFiles(rules, ['db/schema.sql', 'README.md']).map(rule => rule.id)).toEqual(['sql-params', 'naming']);
+            expect(rulesForFiles(rules, [])).toBe(rules);
+        });
+    });
+
+    describe('buildRuleInstructions', () => {
+        test('should list each rule with its severity and files', () => {
+            const instructions = buildRuleInstructions(rules);
+
+            expect(instructions).toContain('# Team review rules');
+            expect(instructions).toContain('"[rule-id] ..."');
+            expect(instructions).toContain('- [no-console] No console logging (warning; files: src/**/*.js): Use the shared logger.');
+            expect(instructions).toContain('- [naming]: Use camelCase names.');
+        });
+
+        test('should be empty without rules', () => {
+            expect(buildRuleInstructions([])).toBe('');
+        });
+    });
+
+    describe('tagRuleComments', () => {
+        test('should move the rule tag into ruleId and apply the rule severity', () => {
+            const [tagged, bold] = tagRuleComments([
+                { file: 'src/a.js', line: 3, severity: 'info', message: '[no-console] Use logger.debug here.' },
+                { file: 'db/query.js', line: 8, severity: 'error', message: '**[sql-params]**: Query built with +.' }
+            ], rules);
+
+            expect(tagged).toEqual({ file: 'src/a.js', line: 3, severity: 'warning', ruleId: 'no-console', message: 'Use logger.debug here.' });
+            expect(bold).toMatchObject({ ruleId: 'sql-params', severity: 'critical', message: 'Query built with +.' });
+        });
+
+        test('should keep the comment severity when the rule has none', () => {
+            const [comment] = tagRuleComments([{ filename: 'lib/x.js', line: 1, severity: 'info', body: '[naming] Rename foo_bar.' }], rules);
+            expect(comment).toEqual({ filename: 'lib/x.js', line: 1, severity: 'info', ruleId: 'naming', body: 'Rename foo_bar.' });
+        });
+
+        test('should leave comments about unknown or non-matching rules alone', () => {
+            const comments = [
+                { file: 'src/a.js', line: 1, message: '[made-up] Something.' },
+                { file: 'docs/a.md', line: 1, message: '[no-console] Not a source file.' },
+                { file: 'src/a.js', line: 2, message: 'Plain comment.' }
+            ];
+            expect(tagRuleComments(comments, rules)).toEqual(comments);
+        });
+    });
+
+    describe('withRuleTag', () => {
+        test('should append the rule ID', () => {
+            expect(withRuleTag('Use the logger.', 'no-console')).toBe('Use the logger.\n\n_Rule: `no-console`_');
+            expect(withRuleTag('Use the logger.', undefined)).toBe('Use the logger.');
+        });
+    });
+});
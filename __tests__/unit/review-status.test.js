@@ -0,0 +1,52 @@
+const { buildStatusOutcome } = require('../../src/review-status');
+const { evaluateQualityGate } = require('../../src/quality-gate');
+
+describe('Review Status', () => {
+    describe('buildStatusOutcome', () => {
+        const comments = [
+            { file: 'a.js', line: 1, message: 'Missing error handling', severity: 'warning' },
+            { file: 'b.js', line: 2, message: 'SQL injection', severity: 'critical' }
+        ];
+
+        test('should report success when the quality gate passes', () => {
+            const outcome = buildStatusOutcome({ qualityGate: evaluateQualityGate(comments) });
+            expect(outcome.conclusion).toBe('success');
+            expect(outcome.state).toBe('success');
+            expect(outcome.description).toBe('AI review passed: 1 critical, 0 error, 1 warning, 0 info');
+        });
+
+        test('should report neutral for an unstable gate and failure for a failed gate', () => {
+            const unstable = buildStatusOutcome({ qualityGate: evaluateQualityGate(comments, { unstableOn: 'warning' }) });
+            expect(unstable.conclusion).toBe('neutral');
+            expect(unstable.state).toBe('success');
+
+            const failed = buildStatusOutcome({ qualityGate: evaluateQualityGate(comments, { failOn: 'critical' }) });
+            expect(failed.conclusion).toBe('failure');
+            expect(failed.state).toBe('failure');
+            expect(failed.summary).toContain('at or above "critical"');
+        });
+
+        test('should include per-severity counts and the Jenkins build link in the summary', () => {
+            const outcome = buildStatusOutcome({
+                qualityGate: evaluateQualityGate(comments),
+                buildUrl: 'https://jenkins.example.com/job/review/42/'
+            });
+            expect(outcome.summary).toContain('| critical | 1 |');
+            expect(outcome.summary).toContain('| warning | 1 |');
+            expect(outcome.summary).toContain('[Jenkins build](https://jenkins.example.com/job/review/42/)');
+        });
+
+        test('should report an error when the review failed to run', () => {
+            const outcome = buildStatusOutcome({ error: 'LLM endpoint unreachable' });
+            expect(outcome.conclusion).toBe('failure');
+            expect(outcome.state).toBe('error');
+            expect(outcome.summary).toContain('LLM endpoint unreachable');
+        });
+
+        test('should keep commit status descriptions within 140 characters', () => {
+            const outcome = buildStatusOutcome({ error: 'x'.repeat(500) });
+            expect(outcome.description.length).toBe(140);
+            expect(outcome.description.endsWith('...')).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+const { evaluateSkipRules } = require('../../src/skip-rules');
+
+describe('Skip Rules', () => {
+    // Fields used from the pulls.get response
+    const pr = {
+        draft: false,
+        labels: [{ name: 'enhancement' }, { name: 'Skip-AI-Review' }],
+        user: { login: 'dependabot[bot]', type: 'Bot' },
+        base: { ref: 'release/2.4' },
+        additions: 120,
+        deletions: 30
+    };
+
+    test('should not skip without rules', () => {
+        expect(evaluateSkipRules({ ...pr, draft: true }, {})).toBeNull();
+    });
+
+    test('should skip drafts', () => {
+        expect(evaluateSkipRules({ ...pr, draft: true }, { drafts: true })).toEqual({ rule: 'drafts', reason: 'Pull request is a draft' });
+        expect(evaluateSkipRules(pr, { drafts: true })).toBeNull();
+    });
+
+    test('should match labels case-insensitively', () => {
+        expect(evaluateSkipRules(pr, { labels: ['skip-ai-review'] }))
+            .toEqual({ rule: 'labels', reason: 'Pull request has the "skip-ai-review" label' });
+        expect(evaluateSkipRules(pr, { labels: ['wip'] })).toBeNull();
+    });
+
+    test('should skip bots and authors matching a glob', () => {
+        expect(evaluateSkipRules(pr, { bots: true }).reason).toBe('Pull request author dependabot[bot] is a bot');
+        expect(evaluateSkipRules(pr, { authors: ['renovate*', 'dependabot*'] }))
+            .toEqual({ rule: 'authors', reason: 'Pull request author dependabot[bot] matches "dependabot*"' });
+        expect(evaluateSkipRules({ ...pr, user: { login: 'alice', type: 'User' } }, { bots: true, authors: ['*[bot]'] })).toBeNull();
+    });
+
+    test('should skip base branches matching a glob', () => {
+        expect(evaluateSkipRules(pr, { baseBranches: ['release/*'] }))
+            .toEqual({ rule: 'baseBranches', reason: 'Base branch release/2.4 matches "release/*"' });
+        expect(evaluateSkipRules(pr, { baseBranches: ['main'] })).toBeNull();
+    });
+
+    test('should apply changed-line thresholds', () => {
+        expect(evaluateSkipRules(pr, { maxChangedLines: 100 }).reason).toBe('Pull request changes 150 lines, more than the limit of 100');
+        expect(evaluateSkipRules(pr, { minChangedLines: 200 }).reason).toBe('Pull request changes 150 lines, fewer than the minimum of 200');
+        expect(evaluateSkipRules(pr, { maxChangedLines: 150, minChangedLines: 150 })).toBeNull();
+        expect(evaluateSkipRules({ draft: false }, { maxChangedLines: 1 })).toBeNull();
+    });
+
+    test('should report the first matching rule', () => {
+        expect(evaluateSkipRules({ ...pr, draft: true }, { drafts: true, labels: ['skip-ai-review'], bots: true }).rule).toBe('drafts');
+    });
+});
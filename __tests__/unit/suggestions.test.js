@@ -0,0 +1,140 @@
+const { SUGGESTION_INSTRUCTIONS, extractSuggestion, checkSuggestionRange, fenceCode, buildSuggestionBody } = require('../../src/suggestions');
+const { indexHunks } = require('../../src/comment-anchors');
+const { buildReviewComments } = require('../../src/review-posting');
+
+describe('Suggested Changes', () => {
+    // Shape produced by the review core (see improved-test.json)
+    const hunks = [
+        {
+            filename: 'src/app.js',
+            hunkHeader: { oldStart: 8, newStart: 8 },
+            changes: [
+                { content: ' const users = [];', type: 'context', lineNumber: 8 },
+                { content: '-const SECRET = \'abc\';', type: 'deletion', lineNumber: 9 },
+                { content: '+const SECRET = process.env.SECRET;', type: 'addition', lineNumber: 9 },
+                { content: '+const TTL = 3600;', type: 'addition', lineNumber: 10 },
+                { content: ' ', type: 'context', lineNumber: 11 }
+            ]
+        },
+        {
+            filename: 'src/app.js',
+            hunkHeader: { oldStart: 40, newStart: 41 },
+            changes: [
+                { content: '+app.listen(3000);', type: 'addition', lineNumber: 41 }
+            ]
+        }
+    ];
+
+    describe('checkSuggestionRange', () => {
+        const index = indexHunks(hunks);
+
+        test('should accept single and multi-line ranges inside one hunk', () => {
+            expect(checkSuggestionRange(index, 'src/app.js', 9, 9)).toEqual({ valid: true });
+            expect(checkSuggestionRange(index, 'src/app.js', 8, 11)).toEqual({ valid: true });
+        });
+
+        test('should reject ranges outside the diff or spanning hunks', () => {
+            expect(checkSuggestionRange(index, 'src/app.js', 12, 12).reason).toBe('Suggestion targets lines outside the diff');
+            expect(checkSuggestionRange(index, 'src/app.js', 11, 41).valid).toBe(false);
+        });
+
+        test('should reject unknown files and inverted ranges', () => {
+            expect(checkSuggestionRange(index, 'other.js', 1, 1).reason).toBe('No hunk data for file');
+            expect(checkSuggestionRange(index, 'src/app.js', 10, 9).reason).toBe('Invalid suggestion line range');
+        });
+    });
+
+    describe('fenceCode', () => {
+        test('should fence code with an info string', () => {
+            expect(fenceCode('const a = 1;\n', 'suggestion')).toBe('```suggestion\nconst a = 1;\n```');
+        });
+
+        test('should use a longer fence when the code contains backticks', () => {
+            expect(fenceCode('```js\nx\n```')).toBe('````\n```js\nx\n```\n````');
+        });
+    });
+
+    describe('buildSuggestionBody', () => {
+        test('should append a suggestion block when anchored', () => {
+            expect(buildSuggestionBody('Use the env var.', 'const SECRET = process.env.SECRET;', true))
+                .toBe('Use the env var.\n\n```suggestion\nconst SECRET = process.env.SECRET;\n```');
+        });
+
+        test('should fall back to a plain code block when not anchored', () => {
+            expect(buildSuggestionBody('Use the env var.', 'x();', false))
+                .toBe('Use the env var.\n\nSuggested change:\n\n```\nx();\n```');
+        });
+    });
+
+    describe('extractSuggestion', () => {
+        test('should ask for the block extractSuggestion reads', () => {
+            expect(SUGGESTION_INSTRUCTIONS).toContain('info string is `suggestion`');
+            expect(SUGGESTION_INSTRUCTIONS).toContain('`suggestion:START-END`');
+        });
+
+        test('should move a single-line suggestion out of the comment body', () => {
+            expect(extractSuggestion({
+                body: 'Read the secret from the environment.\n\n```suggestion\nconst SECRET = process.env.SECRET;\n```',
+                line: 9,
+                filename: 'src/app.js'
+            })).toEqual({
+                body: 'Read the secret from the environment.',
+                line: 9,
+                filename: 'src/app.js',
+                suggestion: 'const SECRET = process.env.SECRET;'
+            });
+        });
+
+        test('should take the replaced range from the info string', () => {
+            const comment = extractSuggestion({
+                message: 'Group the constants.\n````suggestion:9-10\nconst SECRET = process.env.SECRET; // ``` ok\nconst TTL = 60;\n````\nSee the style guide.',
+                line: 9,
+                file: 'src/app.js'
+            });
+
+            expect(comment).toMatchObject({
+                message: 'Group the constants.\nSee the style guide.',
+                suggestion: 'const SECRET = process.env.SECRET; // ``` ok\nconst TTL = 60;',
+                startLine: 9,
+                line: 10
+            });
+        });
+
+        test('should leave comments without a suggestion block alone', () => {
+            const example = { body: 'For example:\n\n```js\nfoo();\n```', line: 9, filename: 'src/app.js' };
+            const given = { body: '```suggestion\nx\n```', suggestion: 'y', line: 9 };
+
+            expect(extractSuggestion(example)).toBe(example);
+            expect(extractSuggestion(given)).toBe(given);
+        });
+
+        test('should turn core output into one-click suggestions', () => {
+            // Comments as the review core returns them: body, line, filename and hunk header, no suggestion field
+            const comments = [
+                {
+                    body: 'Avoid a hard-coded fallback.\n\n```suggestion\nconst SECRET = process.env.SECRET;\n```',
+                    line: 9,
+                    filename: 'src/app.js',
+                    hunkHeader: { oldStart: 8, newStart: 8 }
+                },
+                {
+                    body: 'Make the port configurable.\n\n```suggestion:40-41\napp.listen(PORT);\n```',
+                    line: 41,
+                    filename: 'src/app.js',
+                    hunkHeader: { oldStart: 40, newStart: 41 }
+                }
+            ].map(extractSuggestion);
+
+            const { inline, suggestions } = buildReviewComments(comments, hunks);
+
+            expect(inline[0]).toMatchObject({ path: 'src/app.js', line: 9, side: 'RIGHT' });
+            expect(inline[0].body).toMatch(/^Avoid a hard-coded fallback\.\n\n```suggestion\nconst SECRET = process\.env\.SECRET;\n```\n\n<!-- ai-reviewer:fingerprint=/);
+            // Line 40 is outside the hunk, so the code is posted as a plain block
+            expect(inline[1].body).toContain('Make the port configurable.\n\nSuggested change:\n\n```\napp.listen(PORT);\n```');
+            expect(suggestions).toEqual({
+                anchored: 1,
+                unanchored: [{ file: 'src/app.js', line: 41, reason: 'Suggestion targets lines outside the diff' }]
+            });
+        });
+    });
+});
@@ -0,0 +1,136 @@
+const {
+    estimateTokens,
+    readReportedUsage,
+    findPrice,
+    costOf,
+    checkBudget,
+    describeUnpricedBudget,
+    createUsageMeter
+} = require('../../src/usage');
+
+describe('LLM Usage', () => {
+    describe('readReportedUsage', () => {
+        test('should read OpenAI and camelCase usage shapes', () => {
+            expect(readReportedUsage({ usage: { prompt_tokens: 10, completion_tokens: 2 } })).toEqual({ promptTokens: 10, completionTokens: 2 });
+            expect(readReportedUsage({ metadata: { usage: { promptTokens: 5, completionTokens: 1 } } })).toEqual({ promptTokens: 5, completionTokens: 1 });
+        });
+
+        test('should return null without usage data', () => {
+            expect(readReportedUsage({ summary: 'x' })).toBeNull();
+            expect(readReportedUsage({ usage: { total_tokens: 12 } })).toBeNull();
+        });
+    });
+
+    describe('findPrice', () => {
+        test('should match exact and dated model names', () => {
+            expect(findPrice('gpt-4o')).toEqual({ input: 2.5, output: 10 });
+            expect(findPrice('gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+        });
+
+        test('should not price other variants as the model they start with', () => {
+            expect(findPrice('gpt-4.1-nano')).toBeNull();
+            expect(findPrice('gpt-4o-audio-preview')).toBeNull();
+            expect(findPrice('gpt-4.1-nano-2025-04-14')).toBeNull();
+            expect(describeUnpricedBudget('gpt-4.1-nano', { maxCost: 0.5 }))
+                .toBe('No price for the cost budget of $0.5: model "gpt-4.1-nano" is not priced. Add it under pricing in the repository config');
+        });
+
+        test('should return null for unknown models', () => {
+            expect(findPrice('my-model')).toBeNull();
+            expect(findPrice(null)).toBeNull();
+            expect(findPrice('my-model', { 'my-model': { input: 1, output: 2 } })).toEqual({ input: 1, output: 2 });
+        });
+    });
+
+    describe('costOf', () => {
+        test('should price prompt and completion tokens per million', () => {
+            expect(costOf({ promptTokens: 1000000, completionTokens: 500000 }, { input: 2, output: 8 })).toBe(6);
+            expect(costOf({ promptTokens: 1234, completionTokens: 56 }, { input: 2.5, output: 10 })).toBe(0.003645);
+            expect(costOf({ promptTokens: 1, completionTokens: 1 }, null)).toBeNull();
+        });
+    });
+
+    describe('checkBudget', () => {
+        test('should report the limit that was reached', () => {
+            expect(checkBudget({ totalTokens: 100, cost: 0.1 }, { maxTokens: 100 })).toBe('token budget reached (100 of 100 tokens)');
+            expect(checkBudget({ totalTokens: 100, cost: 0.5 }, { maxCost: 0.5 })).toBe('cost budget reached ($0.5000 of $0.5000)');
+        });
+
+        test('should ignore missing limits and unpriced usage', () => {
+            expect(checkBudget({ totalTokens: 100, cost: null }, { maxCost: 0.01 })).toBeNull();
+            expect(checkBudget({ totalTokens: 100, cost: 1 }, {})).toBeNull();
+        });
+    });
+
+    describe('describeUnpricedBudget', () => {
+        test('should accept a cost budget for a priced model', () => {
+            expect(describeUnpricedBudget('gpt-4o-2024-08-06', { maxCost: 0.5 })).toBeNull();
+            expect(describeUnpricedBudget('my-model', { maxCost: 0.5 }, { 'my-model': { input: 1, output: 2 } })).toBeNull();
+        });
+
+        test('should explain why a cost budget cannot be priced', () => {
+            expect(describeUnpricedBudget(undefined, { maxCost: 0.5 })).toBe('No price for the cost budget of $0.5: LLM_MODEL is not set');
+            expect(describeUnpricedBudget('llama-3', { maxCost: 0.5 }))
+                .toBe('No price for the cost budget of $0.5: model "llama-3" is not priced. Add it under pricing in the repository config');
+        });
+
+        test('should not need a price without a cost budget', () => {
+            expect(describeUnpricedBudget(null, { maxTokens: 1000, maxCost: null })).toBeNull();
+            expect(describeUnpricedBudget(null)).toBeNull();
+        });
+    });
+
+    describe('createUsageMeter', () => {
+        test('should total reported usage and price it by the reported model', () => {
+            const meter = createUsageMeter();
+            meter.record('diff', { usage: { prompt_tokens: 1000, completion_tokens: 200 }, metadata: { llmModel: 'gpt-4o' } });
+            meter.record('diff', { usage: { prompt_tokens: 500, completion_tokens: 100 } });
+
+            const report = meter.report();
+            expect(report).toMatchObject({
+                model: 'gpt-4o',
+                promptTokens: 1500,
+                completionTokens: 300,
+                totalTokens: 1800,
+                cost: 0.00675,
+                currency: 'USD',
+                priced: true,
+                estimated: false,
+                calls: 2
+            });
+        });
+
+        test('should estimate from text when usage is not reported', () => {
+            const meter = createUsageMeter({ model: 'unknown-model' });
+            meter.record('x'.repeat(400), { summary: 'ok', comments: [] });
+
+            expect(meter.report()).toMatchObject({ promptTokens: 100, cost: null, priced: false, estimated: true });
+        });
+
+        test('should break usage down per hunk', () => {
+            const meter = createUsageMeter({ model: 'gpt-4o' });
+            const report = meter.report({
+                hunks: [
+                    { filename: 'a.js', changes: [{ type: 'addition', lineNumber: 3, content: '+'.repeat(80) }] },
+                    { filename: 'b.js', changes: [], usage: { promptTokens: 40, completionTokens: 10 } }
+                ],
+                comments: [{ file: 'a.js', line: 3, message: 'm'.repeat(40) }, { file: 'a.js', line: 9, message: 'elsewhere' }],
+                budget: { maxTokens: 1000 }
+            });
+
+            expect(report.hunks).toEqual([
+                { file: 'a.js', line: 3, promptTokens: 20, completionTokens: 10, cost: 0.00015, estimated: true },
+                { file: 'b.js', line: null, promptTokens: 40, completionTokens: 10, cost: 0.0002, estimated: false }
+            ]);
+            expect(report.budget).toEqual({ maxTokens: 1000, maxCost: null });
+        });
+
+        test('should report when the budget is exceeded', () => {
+            const meter = createUsageMeter();
+            expect(meter.exceeded({ maxTokens: 10 })).toBeNull();
+            meter.record('x'.repeat(40), { summary: '', comments: [] });
+            expect(meter.exceeded({ maxTokens: 10 })).toMatch(/token budget reached/);
+            expect(estimateTokens('')).toBe(0);
+        });
+    });
+});
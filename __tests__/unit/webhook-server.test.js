@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const {
+    verifySignature,
+    createReviewQueue,
+    toReviewJob,
+    toReplyJob,
+    createWebhookServer
+} = require('../../src/webhook-server');
+
+const SECRET = 'webhook-secret';
+
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const pullRequestEvent = (action, pullRequest = {}) => ({
+    action,
+    installation: { id: 42 },
+    repository: { name: 'repo', owner: { login: 'org' } },
+    pull_request: { number: 7, draft: false, head: { sha: 'abc123' }, ...pullRequest }
+});
+
+const reviewCommentEvent = (action, comment = {}) => ({
+    action,
+    installation: { id: 42 },
+    repository: { name: 'repo', owner: { login: 'org' } },
+    pull_request: { number: 7 },
+    comment: { id: 900, body: 'Why is this a problem?', in_reply_to_id: 800, ...comment }
+});
+
+// Resolvable promise so tests control when a queued job finishes
+function deferred() {
+    let resolve;
+    const promise = new Promise((res) => { resolve = res; });
+    return { promise, resolve };
+}
+
+describe('Webhook Server', () => {
+    describe('verifySignature', () => {
+        const body = Buffer.from('{"action":"opened"}');
+
+        test('should accept a valid signature', () => {
+            expect(verifySignature(SECRET, body, sign(body))).toBe(true);
+        });
+
+        test('should reject wrong, missing or malformed signatures', () => {
+            expect(verifySignature(SECRET, body, sign(body, 'other'))).toBe(false);
+            expect(verifySignature(SECRET, body, undefined)).toBe(false);
+            expect(verifySignature(SECRET, body, 'sha1=abc')).toBe(false);
+            expect(verifySignature(SECRET, body, 'sha256=short')).toBe(false);
+        });
+
+        test('should reject everything without a secret', () => {
+            expect(verifySignature('', body, sign(body, ''))).toBe(false);
+        });
+    });
+
+    describe('toReviewJob', () => {
+        test('should build a job for reviewable actions', () => {
+            expect(toReviewJob(pullRequestEvent('synchronize')).job).toEqual({
+                key: 'org/repo#7',
+                org: 'org',
+                repo: 'repo',
+                pr: '7',
+                headSha: 'abc123',
+                installationId: 42,
+                action: 'synchronize'
+            });
+        });
+
+        test('should ignore other actions and draft PRs', () => {
+            expect(toReviewJob(pullRequestEvent('closed')).ignored).toMatch(/does not trigger a review/);
+            expect(toReviewJob(pullRequestEvent('opened', { draft: true })).ignored).toBe('Pull request is a draft');
+            expect(toReviewJob(pullRequestEvent('ready_for_review', { draft: false })).job).toBeDefined();
+        });
+    });
+
+    describe('toReplyJob', () => {
+        test('should build a reply job keyed apart from reviews', () => {
+            expect(toReplyJob(reviewCommentEvent('created')).job).toEqual({
+                key: 'org/repo#7:reply',
+                type: 'reply',
+                org: 'org',
+                repo: 'repo',
+                pr: '7',
+                commentId: 900,
+                installationId: 42,
+                action: 'created'
+            });
+        });
+
+        test('should ignore edits and the reviewer\'s own comments', () => {
+            expect(toReplyJob(reviewCommentEvent('edited')).ignored).toMatch(/does not trigger a reply/);
+            expect(toReplyJob(reviewCommentEvent('created', { body: 'Answer\n\n<!-- ai-reviewer:reply-to=900 -->' })).ignored)
+                .toBe('Comment was posted by the reviewer');
+        });
+    });
+
+    describe('createReviewQueue', () => {
+        test('should run at most `concurrency` jobs at once', async () => {
+            const gates = {};
+            const started = [];
+            const queue = createReviewQueue({
+                concurrency: 2,
+                worker: (job) => {
+                    started.push(job.key);
+                    gates[job.key] = deferred();
+                    return gates[job.key].promise;
+                }
+            });
+
+            queue.push({ key: 'a' });
+            queue.push({ key: 'b' });
+            queue.push({ key: 'c' });
+            await Promise.resolve();
+
+            expect(started).toEqual(['a', 'b']);
+            expect(queue.stats()).toMatchObject({ pending: 1, active: 2 });
+
+            gates.a.resolve();
+            await new Promise(resolve => setImmediate(resolve));
+            expect(started).toEqual(['a', 'b', 'c']);
+
+            gates.b.resolve();
+            gates.c.resolve();
+            await queue.onIdle();
+            expect(queue.stats()).toMatchObject({ pending: 0, active: 0, completed: 3, failed: 0 });
+        });
+
+        test('should replace a pending job for the same PR and never run a PR twice at once', async () => {
+            const gate = deferred();
+            const seen = [];
+            const queue = createReviewQueue({
+                concurrency: 2,
+                worker: (job) => {
+                    seen.push(job.sha);
+                    return job.sha === 1 ? gate.promise : undefined;
+                }
+            });
+
+            expect(queue.push({ key: 'pr', sha: 1 })).toBe('queued');
+            expect(queue.push({ key: 'pr', sha: 2 })).toBe('queued');
+            expect(queue.push({ key: 'pr', sha: 3 })).toBe('updated');
+            await Promise.resolve();
+            expect(seen).toEqual([1]);
+
+            gate.resolve();
+            await queue.onIdle();
+            expect(seen).toEqual([1, 3]);
+        });
+
+        test('should reject jobs once the queue is full', () => {
+            const queue = createReviewQueue({ concurrency: 1, maxSize: 1, worker: () => new Promise(() => {}) });
+
+            expect(queue.push({ key: 'a' })).toBe('queued');
+            expect(queue.push({ key: 'b' })).toBe('queued');
+            expect(queue.push({ key: 'c' })).toBe('full');
+        });
+
+        test('should drop pending jobs on close and wait only for running ones', async () => {
+            const gate = deferred();
+            const started = [];
+            const queue = createReviewQueue({
+                concurrency: 1,
+                worker: (job) => {
+                    started.push(job.key);
+                    return gate.promise;
+                }
+            });
+
+            queue.push({ key: 'a' });
+            queue.push({ key: 'b' });
+            queue.push({ key: 'c' });
+            await Promise.resolve();
+
+            let closed = null;
+            queue.close().then((dropped) => { closed = dropped; });
+            expect(queue.push({ key: 'd' })).toBe('closed');
+            await new Promise(resolve => setImmediate(resolve));
+            expect(closed).toBeNull();
+
+            gate.resolve();
+            await new Promise(resolve => setImmediate(resolve));
+            expect(closed).toEqual([{ key: 'b' }, { key: 'c' }]);
+            expect(started).toEqual(['a']);
+            expect(queue.stats()).toMatchObject({ pending: 0, active: 0, completed: 1 });
+        });
+
+        test('should report failed jobs and keep going', async () => {
+            const onError = jest.fn();
+            const queue = createReviewQueue({
+                worker: (job) => {
+                    if (job.key === 'bad') {
+                        throw new Error('boom');
+                    }
+                },
+                onError
+            });
+
+            queue.push({ key: 'bad' });
+            queue.push({ key: 'good' });
+            await queue.onIdle();
+
+            expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }), { key: 'bad' });
+            expect(queue.stats()).toMatchObject({ completed: 1, failed: 1 });
+        });
+    });
+
+    describe('createWebhookServer', () => {
+        let server;
+        let baseUrl;
+        const queue = {
+            push: jest.fn(() => 'queued'),
+            stats: () => ({ pending: 0, active: 0 })
+        };
+        const logger = { info: jest.fn(), warn: jest.fn() };
+
+        beforeAll(async () => {
+            server = createWebhookServer({ secret: SECRET, queue, logger });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterAll(() => new Promise(resolve => server.close(resolve)));
+
+        beforeEach(() => {
+            queue.push.mockClear();
+        });
+
+        const deliver = async (event, payload, signature) => {
+            const body = JSON.stringify(payload);
+            const response = await fetch(`${baseUrl}/webhook`, {
+                method: 'POST',
+                body,
+                headers: {
+                    'x-github-event': event,
+                    'x-github-delivery': 'delivery-1',
+                    'x-hub-signature-256': signature === undefined ? sign(body) : signature
+                }
+            });
+            return { status: response.status, body: await response.json() };
+        };
+
+        test('should queue reviewable pull_request events', async () => {
+            const response = await deliver('pull_request', pullRequestEvent('opened'));
+
+            expect(response).toEqual({ status: 202, body: { status: 'queued', pullRequest: 'org/repo#7' } });
+            expect(queue.push).toHaveBeenCalledWith(expect.objectContaining({ key: 'org/repo#7', delivery: 'delivery-1' }));
+        });
+
+        test('should queue follow-up replies for new review comments', async () => {
+            const response = await deliver('pull_request_review_comment', reviewCommentEvent('created'));
+
+            expect(response).toEqual({ status: 202, body: { status: 'queued', pullRequest: 'org/repo#7:reply' } });
+            expect(queue.push).toHaveBeenCalledWith(expect.objectContaining({ type: 'reply', commentId: 900 }));
+        });
+
+        test('should reject invalid signatures without queuing', async () => {
+            const response = await deliver('pull_request', pullRequestEvent('opened'), 'sha256=0000');
+
+            expect(response.status).toBe(401);
+            expect(queue.push).not.toHaveBeenCalled();
+        });
+
+        test('should acknowledge ignored events', async () => {
+            expect((await deliver('ping', {})).body).toEqual({ status: 'pong' });
+            expect((await deliver('issues', {})).body.status).toBe('ignored');
+            expect((await deliver('pull_request', pullRequestEvent('labeled'))).body.status).toBe('ignored');
+            expect(queue.push).not.toHaveBeenCalled();
+        });
+
+        test('should answer 503 when the queue is full', async () => {
+            queue.push.mockReturnValueOnce('full');
+            expect((await deliver('pull_request', pullRequestEvent('opened'))).status).toBe(503);
+        });
+
+        test('should answer 503 while shutting down', async () => {
+            queue.push.mockReturnValueOnce('closed');
+            const response = await deliver('pull_request', pullRequestEvent('opened'));
+            expect(response).toEqual({ status: 503, body: { error: 'Server is shutting down' } });
+        });
+
+        test('should serve a health endpoint', async () => {
+            const response = await fetch(`${baseUrl}/health`);
+            const body = await response.json();
+
+            expect(response.status).toBe(200);
+            expect(body).toMatchObject({ status: 'ok', queue: { pending: 0, active: 0 } });
+        });
+    });
+});
@@ -36,7 +36,14 @@ indexContent = indexContent.replace(
 fs.writeFileSync(path.join(jobDir, 'ai-review'), indexContent);
 execSync(`chmod +x "${path.join(jobDir, 'ai-review')}"`);
 
+// Copy supporting modules required by the main script
+console.log('📄 Copying supporting modules...');
+const modules = fs.readdirSync(srcDir).filter(file => file.endsWith('.js') && file !== 'index.js');
+for (const file of modules) {
+    fs.copyFileSync(path.join(srcDir, file), path.join(jobDir, file));
+}
+
 console.log('✅ Package built successfully!');
 console.log(`📁 Location: dist/ai-review-job/`);
-console.log(`📦 Files: ai-review (single executable file)`);
+console.log(`📦 Files: ai-review (executable) + ${modules.length} supporting module(s)`);
 console.log(`🚀 Ready for Jenkins!`);
@@ -0,0 +1,176 @@
+/**
+ * Bitbucket Server / Data Center pull requests through the REST API (1.0), for the provider interface in providers.js
+ */
+
+const { createHttpClient } = require('./http-client');
+const { STATUS_NAME } = require('./review-status');
+const { toLinkReferenceMarkers } = require('./markers');
+
+// Build status key; Bitbucket shows one status per key and commit
+const STATUS_KEY = 'ai-code-review';
+
+const STATUS_STATES = {
+    pending: 'INPROGRESS',
+    success: 'SUCCESSFUL',
+    failure: 'FAILED',
+    error: 'FAILED'
+};
+
+function resolveBitbucketConfig(env = process.env) {
+    if (!env.BITBUCKET_BASE_URL) {
+        throw new Error('BITBUCKET_BASE_URL environment variable is required (Bitbucket Server URL, e.g. https://bitbucket.example.com)');
+    }
+    if (env.BITBUCKET_TOKEN) {
+        return { baseUrl: env.BITBUCKET_BASE_URL, authorization: `Bearer ${env.BITBUCKET_TOKEN}` };
+    }
+    if (env.BITBUCKET_USERNAME && env.BITBUCKET_PASSWORD) {
+        const credentials = Buffer.from(`${env.BITBUCKET_USERNAME}:${env.BITBUCKET_PASSWORD}`).toString('base64');
+        return { baseUrl: env.BITBUCKET_BASE_URL, authorization: `Basic ${credentials}` };
+    }
+    throw new Error('Bitbucket credentials are required: set BITBUCKET_TOKEN, or BITBUCKET_USERNAME with BITBUCKET_PASSWORD');
+}
+
+// Pull request in the pulls.get shape the skip rules and review context read; Bitbucket has no labels or line counts
+function toPullRequest(pr) {
+    const author = pr.author?.user || {};
+    return {
+        number: pr.id,
+        title: pr.title,
+        body: pr.description || '',
+        draft: !!pr.draft,
+        labels: [],
+        user: { login: author.slug || author.name, type: author.type === 'SERVICE' ? 'Bot' : 'User' },
+        base: { ref: pr.toRef?.displayId, sha: pr.toRef?.latestCommit },
+        head: { ref: pr.fromRef?.displayId, sha: pr.fromRef?.latestCommit },
+        webUrl: pr.links?.self?.[0]?.href
+    };
+}
+
+// Comment anchor; context lines are CONTEXT on the new side
+function toAnchor(comment) {
+    const left = comment.side === 'LEFT';
+    const lineType = comment.lineInfo?.type === 'context' ? 'CONTEXT' : (left ? 'REMOVED' : 'ADDED');
+    return {
+        path: comment.path,
+        ...(comment.oldPath && comment.oldPath !== comment.path ? { srcPath: comment.oldPath } : {}),
+        line: comment.lineInfo?.type === 'context' ? comment.lineInfo.newLine : comment.line,
+        lineType,
+        fileType: left && lineType !== 'CONTEXT' ? 'FROM' : 'TO',
+        diffType: 'EFFECTIVE'
+    };
+}
+
+function createBitbucketServerProvider({ env = process.env, retry } = {}) {
+    let client = null;
+    const connect = () => {
+        if (!client) {
+            const config = resolveBitbucketConfig(env);
+            const baseUrl = config.baseUrl.replace(/\/+$/, '');
+            client = {
+                baseUrl,
+                request: createHttpClient({ service: 'Bitbucket', baseUrl, headers: { authorization: config.authorization }, retry })
+            };
+        }
+        return client;
+    };
+    const api = (...args) => connect().request(...args);
+
+    // org is the project key, repo the repository slug
+    const repository = (org, repo) => `/rest/api/1.0/projects/${encodeURIComponent(org)}/repos/${encodeURIComponent(repo)}`;
+    const pullRequest = (org, repo, id) => `${repository(org, repo)}/pull-requests/${parseInt(id)}`;
+
+    return {
+        name: 'bitbucket-server',
+        label: 'Bitbucket Server',
+
+        checkEnvironment() {
+            resolveBitbucketConfig(env);
+        },
+
+        async getPullRequest(org, repo, id) {
+            try {
+                return toPullRequest(await api('GET', pullRequest(org, repo, id)));
+            } catch (error) {
+                if (error.status === 404) {
+                    throw new Error(`PR #${id} not found in ${org}/${repo}`);
+                }
+                throw error;
+            }
+        },
+
+        async getDiff(org, repo, id) {
+            const diff = await api('GET', `${pullRequest(org, repo, id)}.diff`, { accept: 'text/plain' });
+            if (typeof diff !== 'string' || !diff.trim()) {
+                throw new Error('No differences found in pull request');
+            }
+            return diff;
+        },
+
+        async readFile(org, repo, ref, filePath) {
+            const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+            try {
+                return await api('GET', `${repository(org, repo)}/raw/${encodedPath}`, { query: { at: ref }, accept: 'text/plain' });
+            } catch (error) {
+                if (error.status === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        // Top-level comments on the PR, oldest first (activities are listed newest first)
+        async listComments(org, repo, id) {
+            const comments = [];
+            let start = 0;
+            for (;;) {
+                const page = await api('GET', `${pullRequest(org, repo, id)}/activities`, { query: { start, limit: 100 } });
+                comments.push(...page.values
+                    .filter(activity => activity.action === 'COMMENTED' && activity.commentAction === 'ADDED')
+                    .map(activity => ({ id: activity.comment.id, body: activity.comment.text })));
+                if (page.isLastPage || page.nextPageStart === undefined) {
+                    break;
+                }
+                start = page.nextPageStart;
+            }
+            return comments.reverse();
+        },
+
+        // Bitbucket escapes HTML in comments, so the hidden markers are written as link reference definitions
+        async postSummary(org, repo, id, body) {
+            const comment = await api('POST', `${pullRequest(org, repo, id)}/comments`, { body: { text: toLinkReferenceMarkers(body) } });
+            return { id: comment.id };
+        },
+
+        // Edits need the comment's current version, which changes with every edit
+        async updateSummary(org, repo, id, summary, body) {
+            const url = `${pullRequest(org, repo, id)}/comments/${parseInt(summary.id)}`;
+            const { version } = await api('GET', url);
+            const comment = await api('PUT', url, { body: { text: toLinkReferenceMarkers(body), version } });
+            return { id: comment.id };
+        },
+
+        async postInlineComment(org, repo, id, comment) {
+            const posted = await api('POST', `${pullRequest(org, repo, id)}/comments`, {
+                body: { text: toLinkReferenceMarkers(comment.body), anchor: toAnchor(comment) }
+            });
+            return { id: posted.id };
+        },
+
+        // Build statuses need a link; without BUILD_URL it points at the commit
+        async setStatus(org, repo, sha, { state, description, url }) {
+            await api('POST', `/rest/build-status/1.0/commits/${sha}`, {
+                body: {
+                    state: STATUS_STATES[state],
+                    key: STATUS_KEY,
+                    name: STATUS_NAME,
+                    description,
+                    url: url || `${connect().baseUrl}/projects/${org}/repos/${repo}/commits/${sha}`
+                }
+            });
+        }
+    };
+}
+
+module.exports = {
+    createBitbucketServerProvider
+};
@@ -0,0 +1,233 @@
+/**
+ * Split large diffs into size-bounded chunks and review them in parallel
+ */
+
+const { splitDiffByFile } = require('./diff-utils');
+
+const DEFAULT_MAX_CHUNK_SIZE = 60000;
+const DEFAULT_MAX_DIFF_SIZE = 500000;
+const DEFAULT_CONCURRENCY = 3;
+
+// Split one file section into pieces of whole hunks, each repeating the file header
+function splitFileByHunks(file, maxChunkSize) {
+    const lines = file.text.replace(/\n$/, '').split('\n');
+    const firstHunk = lines.findIndex(line => line.startsWith('@@'));
+    if (firstHunk === -1) {
+        return [file.text];
+    }
+
+    const header = `${lines.slice(0, firstHunk).join('\n')}\n`;
+    const hunks = [];
+    for (const line of lines.slice(firstHunk)) {
+        if (line.startsWith('@@')) {
+            hunks.push([]);
+        }
+        hunks[hunks.length - 1].push(line);
+    }
+
+    // A single hunk larger than the limit still becomes its own piece
+    const pieces = [];
+    let current = '';
+    for (const hunk of hunks.map(hunkLines => `${hunkLines.join('\n')}\n`)) {
+        if (current && header.length + current.length + hunk.length > maxChunkSize) {
+            pieces.push(header + current);
+            current = '';
+        }
+        current += hunk;
+    }
+    pieces.push(header + current);
+
+    return pieces;
+}
+
+// Pack a unified diff into chunks of at most maxChunkSize characters, splitting huge files per hunk
+function splitDiffIntoChunks(diff, maxChunkSize = DEFAULT_MAX_CHUNK_SIZE) {
+    const files = splitDiffByFile(diff);
+    if (files.length === 0) {
+        return [{ files: [], text: diff }];
+    }
+
+    const pieces = [];
+    for (const file of files) {
+        const texts = file.text.length > maxChunkSize ? splitFileByHunks(file, maxChunkSize) : [file.text];
+        pieces.push(...texts.map(text => ({ filename: file.filename, text })));
+    }
+
+    const chunks = [];
+    let current = null;
+    for (const piece of pieces) {
+        if (!current || current.text.length + piece.text.length > maxChunkSize) {
+            current = { files: [], text: '' };
+            chunks.push(current);
+        }
+        current.text += piece.text;
+        if (!current.files.includes(piece.filename)) {
+            current.files.push(piece.filename);
+        }
+    }
+
+    return chunks;
+}
+
+// Keep chunks (in diff order) until the total size cap is reached; always keeps the first one
+function capChunks(chunks, maxDiffSize = DEFAULT_MAX_DIFF_SIZE) {
+    const kept = [];
+    let total = 0;
+
+    for (const chunk of chunks) {
+        if (kept.length > 0 && total + chunk.text.length > maxDiffSize) {
+            break;
+        }
+        kept.push(chunk);
+        total += chunk.text.length;
+    }
+
+    const keptFiles = new Set(kept.flatMap(chunk => chunk.files));
+    const droppedFiles = [...new Set(chunks.slice(kept.length).flatMap(chunk => chunk.files))];
+    const omittedFiles = droppedFiles.filter(file => !keptFiles.has(file));
+    // A file split across the cut is only partially reviewed
+    const partialFiles = droppedFiles.filter(file => keptFiles.has(file));
+
+    return {
+        chunks: kept,
+        omittedFiles,
+        partialFiles,
+        reviewedSize: total,
+        totalSize: chunks.reduce((sum, chunk) => sum + chunk.text.length, 0)
+    };
+}
+
+// Run fn over items with at most `limit` in flight, keeping results in input order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+// Combine per-chunk reviews into the single summary/comments/hunks shape main() expects
+function mergeReviews(chunks, outcomes, capInfo) {
+    const reviewed = outcomes.filter(outcome => outcome.review);
+    const failed = outcomes
+        .map((outcome, index) => ({ outcome, chunk: chunks[index] }))
+        .filter(({ outcome }) => outcome.error);
+    const stopped = outcomes
+        .map((outcome, index) => ({ outcome, chunk: chunks[index] }))
+        .filter(({ outcome }) => outcome.budgetExceeded);
+
+    // Files whose chunks were skipped for the budget, unless another chunk covered part of them
+    const reviewedFiles = new Set(chunks.filter((chunk, index) => !outcomes[index].budgetExceeded).flatMap(chunk => chunk.files));
+    const budgetFiles = [...new Set(stopped.flatMap(({ chunk }) => chunk.files))];
+    const budgetOmitted = budgetFiles.filter(file => !reviewedFiles.has(file));
+    const budgetPartial = budgetFiles.filter(file => reviewedFiles.has(file));
+    const omittedFiles = [...new Set([...budgetOmitted, ...capInfo.omittedFiles])];
+    const partialFiles = [...new Set([...budgetPartial, ...capInfo.partialFiles])].filter(file => !omittedFiles.includes(file));
+
+    const notes = [];
+    if (stopped.length > 0) {
+        const notReviewed = [...budgetOmitted, ...budgetPartial.map(file => `${file} (partially)`)];
+        notes.push(`> ⚠️ **Review stopped early:** ${stopped[0].outcome.budgetExceeded}. ` +
+            `Not reviewed: ${notReviewed.map(file => `\`${file}\``).join(', ')}`);
+    }
+    if (capInfo.omittedFiles.length > 0 || capInfo.partialFiles.length > 0) {
+        const notReviewed = [...capInfo.omittedFiles, ...capInfo.partialFiles.map(file => `${file} (partially)`)];
+        notes.push(`> ⚠️ **This PR is too large to review fully.** Reviewed ${capInfo.reviewedSize} of ${capInfo.totalSize} characters of diff. ` +
+            `Not reviewed: ${notReviewed.map(file => `\`${file}\``).join(', ')}`);
+    }
+    if (failed.length > 0) {
+        const files = [...new Set(failed.flatMap(({ chunk }) => chunk.files))];
+        notes.push(`> ⚠️ Review failed for part of the diff: ${files.map(file => `\`${file}\``).join(', ')}`);
+    }
+
+    const summaries = reviewed.map(outcome => outcome.review.summary).filter(summary => summary && summary.trim());
+
+    return {
+        summary: [...notes, ...summaries].join('\n\n'),
+        comments: reviewed.flatMap(outcome => outcome.review.comments || []),
+        hunks: reviewed.flatMap(outcome => outcome.review.hunks || []),
+        metadata: {
+            ...(reviewed[0]?.review.metadata || {}),
+            totalHunks: reviewed.reduce((sum, outcome) => sum + (outcome.review.hunks?.length || 0), 0),
+            totalComments: reviewed.reduce((sum, outcome) => sum + (outcome.review.comments?.length || 0), 0),
+            chunks: {
+                total: chunks.length,
+                failed: failed.map(({ chunk, outcome }) => ({ files: chunk.files, error: outcome.error.message }))
+            },
+            partialReview: omittedFiles.length > 0 || partialFiles.length > 0,
+            notReviewedFiles: omittedFiles,
+            partiallyReviewedFiles: partialFiles,
+            budgetExceeded: stopped.length > 0 ? stopped[0].outcome.budgetExceeded : null
+        }
+    };
+}
+
+// Review a diff, chunking and parallelizing when it is too big for one LLM call
+async function reviewInChunks(reviewer, diff, reviewOptions = {}, options = {}) {
+    const {
+        maxChunkSize = DEFAULT_MAX_CHUNK_SIZE,
+        maxDiffSize = DEFAULT_MAX_DIFF_SIZE,
+        concurrency = DEFAULT_CONCURRENCY,
+        meter = null,
+        budget = {},
+        chunkReviewOptions = null,
+        onChunk = () => {}
+    } = options;
+
+    const capInfo = capChunks(splitDiffIntoChunks(diff, maxChunkSize), maxDiffSize);
+    const { chunks } = capInfo;
+
+    // Extra options for the files of one chunk (e.g. their full contents as context)
+    const optionsFor = chunk => (chunkReviewOptions ? { ...reviewOptions, ...chunkReviewOptions(chunk.files) } : reviewOptions);
+    // The instructions are part of the prompt, so they count towards the estimated usage
+    const review = async (text, chunkOptions) => {
+        const result = await reviewer.reviewChanges(text, chunkOptions);
+        meter?.record(`${text}${chunkOptions.customInstructions || ''}`, result);
+        return result;
+    };
+
+    // Small diffs keep the original single-call behavior
+    if (chunks.length === 1 && capInfo.omittedFiles.length === 0 && capInfo.partialFiles.length === 0) {
+        return review(diff, optionsFor(chunks[0]));
+    }
+
+    const outcomes = await mapWithConcurrency(chunks, concurrency, async (chunk, index) => {
+        // Chunks already in flight finish; later ones are skipped once the budget is used up
+        const budgetExceeded = meter?.exceeded(budget);
+        if (budgetExceeded) {
+            return { budgetExceeded };
+        }
+
+        onChunk({ index, total: chunks.length, files: chunk.files, size: chunk.text.length });
+        try {
+            return { review: await review(chunk.text, optionsFor(chunk)) };
+        } catch (error) {
+            return { error };
+        }
+    });
+
+    // Nothing to merge: surface the real failure
+    if (outcomes.every(outcome => outcome.error)) {
+        throw outcomes[0].error;
+    }
+
+    return mergeReviews(chunks, outcomes, capInfo);
+}
+
+module.exports = {
+    DEFAULT_MAX_CHUNK_SIZE,
+    DEFAULT_MAX_DIFF_SIZE,
+    DEFAULT_CONCURRENCY,
+    splitDiffIntoChunks,
+    capChunks,
+    mapWithConcurrency,
+    reviewInChunks
+};
@@ -0,0 +1,127 @@
+/**
+ * Place review comments on diff lines (LEFT/RIGHT side, single line or range) from hunk data
+ */
+
+const SIDES = ['RIGHT', 'LEFT'];
+
+// The core uses addition/deletion/context; parse-diff style hunks use add/del/normal
+const CHANGE_TYPES = {
+    addition: 'addition',
+    add: 'addition',
+    deletion: 'deletion',
+    del: 'deletion',
+    context: 'context',
+    normal: 'context'
+};
+
+// Old-file (LEFT) and new-file (RIGHT) line numbers covered by one hunk
+function hunkSides(hunk) {
+    const sides = { LEFT: new Set(), RIGHT: new Set() };
+    // Walk from the hunk header where given, for context lines that only carry their new line number
+    let oldLine = hunk.hunkHeader ? hunk.hunkHeader.oldStart : null;
+    let newLine = hunk.hunkHeader ? hunk.hunkHeader.newStart : null;
+
+    for (const change of hunk.changes) {
+        const type = CHANGE_TYPES[change.type];
+
+        if (type === 'addition') {
+            newLine = change.lineNumber ?? change.ln ?? newLine;
+            sides.RIGHT.add(newLine);
+            newLine = Number.isInteger(newLine) ? newLine + 1 : null;
+        } else if (type === 'deletion') {
+            oldLine = change.lineNumber ?? change.ln ?? oldLine;
+            sides.LEFT.add(oldLine);
+            oldLine = Number.isInteger(oldLine) ? oldLine + 1 : null;
+        } else if (type === 'context') {
+            newLine = change.ln2 ?? change.lineNumber ?? newLine;
+            oldLine = change.ln1 ?? oldLine;
+            sides.RIGHT.add(newLine);
+            sides.LEFT.add(oldLine);
+            newLine = Number.isInteger(newLine) ? newLine + 1 : null;
+            oldLine = Number.isInteger(oldLine) ? oldLine + 1 : null;
+        }
+    }
+
+    for (const side of SIDES) {
+        sides[side] = new Set([...sides[side]].filter(Number.isInteger));
+    }
+    return sides;
+}
+
+// Map each file to the LEFT/RIGHT line sets of each of its hunks
+function indexHunks(hunks = []) {
+    const index = new Map();
+
+    for (const hunk of hunks || []) {
+        const file = hunk.filename || hunk.file;
+        if (!file || !Array.isArray(hunk.changes)) {
+            continue;
+        }
+
+        if (!index.has(file)) {
+            index.set(file, []);
+        }
+        index.get(file).push(hunkSides(hunk));
+    }
+
+    return index;
+}
+
+// True when every line from start to end is on `side` of the hunk
+function coversRange(hunk, side, start, end) {
+    for (let line = start; line <= end; line++) {
+        if (!hunk[side].has(line)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Decide where a comment goes: { placed, side, line, startLine?, verified } or { placed: false, reason }
+function anchorComment(hunkIndex, file, { line, startLine, side } = {}) {
+    const hunks = hunkIndex.get(file);
+
+    // No hunk data for the file: post on the new side as before and let GitHub validate it
+    if (!hunks) {
+        return { placed: true, side: side || 'RIGHT', line, verified: false };
+    }
+
+    const sides = SIDES.includes(side) ? [side] : SIDES;
+    for (const candidate of sides) {
+        const hunk = hunks.find(lines => lines[candidate].has(line));
+        if (!hunk) {
+            continue;
+        }
+
+        const anchor = { placed: true, side: candidate, line, verified: true };
+        // A range that leaves the hunk is narrowed to its last line
+        if (Number.isInteger(startLine) && startLine < line && coversRange(hunk, candidate, startLine, line)) {
+            anchor.startLine = startLine;
+        }
+        return anchor;
+    }
+
+    return { placed: false, reason: 'Line is not part of the diff' };
+}
+
+// Summary section listing comments that could not be anchored to a diff line
+function buildUnplacedSection(comments = []) {
+    if (comments.length === 0) {
+        return '';
+    }
+
+    const items = comments.map((comment) => {
+        const location = comment.line ? `${comment.file}:${comment.line}` : comment.file;
+        const severity = comment.severity ? ` (${comment.severity})` : '';
+        return `- \`${location}\`${severity}: ${comment.body.replace(/\n/g, '\n  ')}`;
+    });
+
+    return `### Could not place inline\n\n${items.join('\n')}`;
+}
+
+module.exports = {
+    indexHunks,
+    anchorComment,
+    coversRange,
+    buildUnplacedSection
+};
@@ -0,0 +1,229 @@
+/**
+ * Per-repository configuration (.ai-reviewer.yml / .ai-reviewer.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { SEVERITY_LEVELS } = require('./quality-gate');
+const { DEFAULT_MAX_CHUNK_SIZE, DEFAULT_MAX_DIFF_SIZE, DEFAULT_CONCURRENCY } = require('./chunked-review');
+const { CONTEXT_KINDS, DEFAULT_MAX_CONTEXT_FILE_SIZE, DEFAULT_MAX_CONTEXT_SIZE } = require('./review-context');
+const { describeRuleErrors } = require('./review-rules');
+
+// Looked up in this order, in the base branch or the local workspace
+const CONFIG_FILES = ['.ai-reviewer.yml', '.ai-reviewer.yaml', '.ai-reviewer.json'];
+
+// Value checks: return true when valid, a description of what was expected, or a list of complete error messages
+const CHECKS = {
+    string: value => (typeof value === 'string' && value.trim() !== '') || 'must be a non-empty string',
+    boolean: value => typeof value === 'boolean' || 'must be true or false',
+    count: value => (Number.isInteger(value) && value >= 0) || 'must be a non-negative integer',
+    positive: value => (Number.isInteger(value) && value > 0) || 'must be a positive integer',
+    amount: value => (typeof value === 'number' && Number.isFinite(value) && value > 0) || 'must be a positive number',
+    prices: value => (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.values(value).every(price =>
+        typeof price === 'object' && price !== null
+        && ['input', 'output'].every(key => typeof price[key] === 'number' && price[key] >= 0)))
+        || 'must map model names to { input, output } prices per million tokens',
+    strings: value => (Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== ''))
+        || 'must be a list of strings',
+    globs: value => (Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== ''))
+        || 'must be a list of glob strings',
+    severity: value => SEVERITY_LEVELS.includes(value) || `must be one of: ${SEVERITY_LEVELS.join(', ')}`,
+    rules: (value) => {
+        const errors = describeRuleErrors(value);
+        return errors.length === 0 || errors;
+    }
+};
+
+// Supported keys and the check each value must pass
+const SCHEMA = {
+    paths: {
+        include: 'globs',
+        exclude: 'globs',
+        defaultExcludes: 'boolean'
+    },
+    qualityGate: {
+        failOn: 'severity',
+        unstableOn: 'severity',
+        maxComments: 'count'
+    },
+    chunking: {
+        maxChunkSize: 'positive',
+        maxDiffSize: 'positive',
+        concurrency: 'positive'
+    },
+    budget: {
+        maxTokens: 'positive',
+        maxCost: 'amount'
+    },
+    pricing: 'prices',
+    skip: {
+        drafts: 'boolean',
+        bots: 'boolean',
+        labels: 'strings',
+        authors: 'globs',
+        baseBranches: 'globs',
+        maxChangedLines: 'positive',
+        minChangedLines: 'positive',
+        comment: 'boolean'
+    },
+    context: {
+        files: 'boolean',
+        pullRequest: 'boolean',
+        issues: 'boolean',
+        maxFileSize: 'positive',
+        maxTotalSize: 'positive'
+    },
+    secrets: {
+        scan: 'boolean',
+        abortReview: 'boolean',
+        exclude: 'globs'
+    },
+    rules: 'rules',
+    ruleFiles: 'strings',
+    language: 'string',
+    instructions: 'string',
+    maxInlineComments: 'count'
+};
+
+// Parse YAML or JSON config content based on the file name
+function parseConfig(content, fileName) {
+    try {
+        const config = fileName.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+        return config === undefined || config === null ? {} : config;
+    } catch (error) {
+        throw new Error(`Could not parse ${fileName}: ${error.message}`);
+    }
+}
+
+// Check a parsed config against SCHEMA, reporting every problem at once
+function validateConfig(config, source) {
+    const errors = [];
+
+    const check = (value, schema, keyPath) => {
+        if (typeof schema === 'string') {
+            const result = CHECKS[schema](value);
+            if (Array.isArray(result)) {
+                errors.push(...result);
+            } else if (result !== true) {
+                errors.push(`${keyPath} ${result}`);
+            }
+            return;
+        }
+
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            errors.push(`${keyPath || 'configuration'} must be a mapping`);
+            return;
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = keyPath ? `${keyPath}.${key}` : key;
+            if (!(key in schema)) {
+                errors.push(`${childPath} is not a supported setting`);
+            } else {
+                check(child, schema[key], childPath);
+            }
+        }
+    };
+
+    check(config, SCHEMA, '');
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration in ${source}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return config;
+}
+
+// Read and validate a config file from the local workspace; with no explicit file, look for the defaults
+function loadLocalConfig(configFile, cwd = process.cwd()) {
+    const candidates = configFile ? [configFile] : CONFIG_FILES;
+
+    for (const candidate of candidates) {
+        const filePath = path.resolve(cwd, candidate);
+        if (fs.existsSync(filePath)) {
+            const config = parseConfig(fs.readFileSync(filePath, 'utf8'), candidate);
+            return { config: validateConfig(config, candidate), source: candidate };
+        }
+    }
+
+    if (configFile) {
+        throw new Error(`Config file not found: ${configFile}`);
+    }
+    return { config: {}, source: null };
+}
+
+// Combine file settings with CLI flags; CLI values win when given
+function mergeConfig(fileConfig = {}, cli = {}) {
+    const paths = fileConfig.paths || {};
+    const qualityGate = fileConfig.qualityGate || {};
+    const chunking = fileConfig.chunking || {};
+    const budget = fileConfig.budget || {};
+    const skip = fileConfig.skip || {};
+    const context = fileConfig.context || {};
+    const secrets = fileConfig.secrets || {};
+    const pickList = (cliValue, fileValue) => (cliValue && cliValue.length > 0 ? cliValue : (fileValue || []));
+    const pick = (cliValue, fileValue) => (cliValue !== undefined ? cliValue : fileValue);
+    // --context lists every kind to include, replacing the file's selection
+    const contextKind = key => (cli.context && cli.context.length > 0
+        ? cli.context.some(kind => CONTEXT_KINDS[kind] === key)
+        : context[key] === true);
+
+    return {
+        paths: {
+            include: cli.include && cli.include.length > 0 ? cli.include : (paths.include || []),
+            exclude: cli.exclude && cli.exclude.length > 0 ? cli.exclude : (paths.exclude || []),
+            defaultExcludes: pick(cli.defaultExcludes, paths.defaultExcludes) !== false
+        },
+        qualityGate: {
+            failOn: pick(cli.failOn, qualityGate.failOn) || null,
+            unstableOn: pick(cli.unstableOn, qualityGate.unstableOn) || null,
+            maxComments: pick(cli.maxComments, qualityGate.maxComments) ?? null
+        },
+        chunking: {
+            maxChunkSize: pick(cli.maxChunkSize, chunking.maxChunkSize) ?? DEFAULT_MAX_CHUNK_SIZE,
+            maxDiffSize: pick(cli.maxDiffSize, chunking.maxDiffSize) ?? DEFAULT_MAX_DIFF_SIZE,
+            concurrency: pick(cli.concurrency, chunking.concurrency) ?? DEFAULT_CONCURRENCY
+        },
+        budget: {
+            maxTokens: pick(cli.maxTokens, budget.maxTokens) ?? null,
+            maxCost: pick(cli.maxCost, budget.maxCost) ?? null
+        },
+        pricing: fileConfig.pricing || {},
+        skip: {
+            drafts: pick(cli.skipDrafts, skip.drafts) === true,
+            bots: pick(cli.skipBots, skip.bots) === true,
+            labels: pickList(cli.skipLabel, skip.labels),
+            authors: pickList(cli.skipAuthor, skip.authors),
+            baseBranches: pickList(cli.skipBase, skip.baseBranches),
+            maxChangedLines: pick(cli.maxChangedLines, skip.maxChangedLines) ?? null,
+            minChangedLines: pick(cli.minChangedLines, skip.minChangedLines) ?? null,
+            comment: pick(cli.skipComment, skip.comment) === true
+        },
+        context: {
+            files: contextKind('files'),
+            pullRequest: contextKind('pullRequest'),
+            issues: contextKind('issues'),
+            maxFileSize: pick(cli.maxContextFileSize, context.maxFileSize) ?? DEFAULT_MAX_CONTEXT_FILE_SIZE,
+            maxTotalSize: pick(cli.maxContextSize, context.maxTotalSize) ?? DEFAULT_MAX_CONTEXT_SIZE
+        },
+        secrets: {
+            scan: pick(cli.secretScan, secrets.scan) !== false,
+            abortReview: pick(cli.abortOnSecrets, secrets.abortReview) === true,
+            exclude: secrets.exclude || []
+        },
+        rules: fileConfig.rules || [],
+        ruleFiles: fileConfig.ruleFiles || [],
+        language: pick(cli.language, fileConfig.language) || null,
+        instructions: fileConfig.instructions || null,
+        maxInlineComments: pick(cli.maxInlineComments, fileConfig.maxInlineComments) ?? null
+    };
+}
+
+module.exports = {
+    CONFIG_FILES,
+    parseConfig,
+    validateConfig,
+    loadLocalConfig,
+    mergeConfig
+};
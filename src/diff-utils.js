@@ -0,0 +1,125 @@
+/**
+ * Unified diff helpers
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+// Describe every line of a file patch a comment can be anchored to: its type and the line numbers on both sides.
+// RIGHT maps new-file lines to added/context lines, LEFT maps old-file lines to removed/context lines.
+function describeDiffLines(patch) {
+    const lines = { LEFT: new Map(), RIGHT: new Map() };
+    if (!patch) {
+        return lines;
+    }
+
+    let oldLine = 0;
+    let newLine = 0;
+    let inHunk = false;
+
+    for (const raw of patch.split('\n')) {
+        const header = raw.match(HUNK_HEADER);
+        if (header) {
+            oldLine = parseInt(header[1]);
+            newLine = parseInt(header[2]);
+            inHunk = true;
+            continue;
+        }
+
+        // Skip file headers and "\ No newline at end of file" markers
+        if (!inHunk || raw === '' || raw.startsWith('\\')) {
+            continue;
+        }
+
+        if (raw.startsWith('+')) {
+            lines.RIGHT.set(newLine, { type: 'added', newLine });
+            newLine++;
+        } else if (raw.startsWith('-')) {
+            lines.LEFT.set(oldLine, { type: 'removed', oldLine });
+            oldLine++;
+        } else if (raw.startsWith(' ')) {
+            const line = { type: 'context', oldLine, newLine };
+            lines.LEFT.set(oldLine++, line);
+            lines.RIGHT.set(newLine++, line);
+        } else {
+            // Next file section in a multi-file diff
+            inHunk = false;
+        }
+    }
+
+    return lines;
+}
+
+// Collect the line numbers a review comment can be anchored to on each side of a file patch
+function getCommentableLines(patch) {
+    const lines = describeDiffLines(patch);
+    return { LEFT: new Set(lines.LEFT.keys()), RIGHT: new Set(lines.RIGHT.keys()) };
+}
+
+// Split a multi-file unified diff into one section per file
+function splitDiffByFile(diff) {
+    const files = [];
+    let current = null;
+
+    for (const line of (diff || '').split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            const match = line.match(/^diff --git a\/(.+?) b\/(.+)$/);
+            current = {
+                filename: match ? match[2] : null,
+                oldFilename: match ? match[1] : null,
+                inHeader: true,
+                lines: [line]
+            };
+            files.push(current);
+            continue;
+        }
+
+        if (!current) {
+            continue;
+        }
+
+        if (line.startsWith('@@')) {
+            current.inHeader = false;
+        }
+
+        // The ---/+++ headers (never hunk content) are authoritative when paths contain spaces
+        if (current.inHeader) {
+            if (line.startsWith('+++ b/')) {
+                current.filename = line.substring(6);
+            } else if (line.startsWith('--- a/')) {
+                current.oldFilename = line.substring(6);
+            } else if (line === '+++ /dev/null') {
+                current.filename = current.oldFilename;
+                current.deleted = true;
+            }
+        }
+
+        current.lines.push(line);
+    }
+
+    return files.map(file => ({
+        filename: file.filename,
+        oldFilename: file.oldFilename,
+        deleted: !!file.deleted,
+        text: file.lines.join('\n').replace(/\n*$/, '\n')
+    }));
+}
+
+// Line details per file of a multi-file diff, keyed by the new file name
+function indexDiffLines(diff) {
+    return new Map(splitDiffByFile(diff)
+        .filter(file => file.filename)
+        .map(file => [file.filename, { oldFilename: file.oldFilename, lines: describeDiffLines(file.text) }]));
+}
+
+// Reassemble file sections produced by splitDiffByFile
+function joinDiffFiles(files) {
+    return files.map(file => file.text).join('');
+}
+
+module.exports = {
+    describeDiffLines,
+    getCommentableLines,
+    splitDiffByFile,
+    indexDiffLines,
+    joinDiffFiles
+};
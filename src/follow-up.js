@@ -0,0 +1,105 @@
+/**
+ * Follow-up replies: find developer replies to the bot in review threads and build the prompt to answer them
+ */
+
+const { parseFingerprintMarker, parseReplyMarker, buildReplyMarker } = require('./markers');
+
+// Upper bound on LLM calls for one run, however many threads are waiting
+const MAX_FOLLOW_UPS = 10;
+
+// Anything this tool posted carries one of its markers
+function isBotComment(comment) {
+    return !!parseFingerprintMarker(comment.body) || parseReplyMarker(comment.body) !== null;
+}
+
+function mentions(body, mention) {
+    if (!mention) {
+        return false;
+    }
+    const handle = mention.replace(/^@/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\w-])@${handle}(?![\\w-])`, 'i').test(body || '');
+}
+
+// Group review comments into threads: the root comment followed by its replies, oldest first
+function groupThreads(comments = []) {
+    const threads = new Map();
+    const byId = (a, b) => a.id - b.id;
+
+    for (const comment of [...comments].sort(byId)) {
+        const rootId = comment.in_reply_to_id || comment.id;
+        if (!threads.has(rootId)) {
+            threads.set(rootId, []);
+        }
+        threads.get(rootId).push(comment);
+    }
+
+    // Replies whose root was deleted have no thread to answer in
+    return [...threads.entries()]
+        .filter(([rootId, thread]) => thread[0].id === rootId)
+        .map(([, thread]) => thread);
+}
+
+// Threads with a developer comment the bot has not answered yet: replies in threads the bot started,
+// or comments mentioning the bot anywhere. Only the latest such comment per thread is answered.
+function findPendingFollowUps(comments, { mention = null, limit = MAX_FOLLOW_UPS } = {}) {
+    const pending = [];
+
+    for (const thread of groupThreads(comments)) {
+        const [root] = thread;
+        const startedByBot = isBotComment(root);
+        const answeredUpTo = Math.max(0, ...thread.map(comment => parseReplyMarker(comment.body) || 0));
+
+        const waiting = thread.filter(comment => !isBotComment(comment)
+            && comment.id > answeredUpTo
+            && ((startedByBot && comment !== root) || mentions(comment.body, mention)));
+
+        if (waiting.length > 0) {
+            pending.push({ root, thread, replyTo: waiting[waiting.length - 1] });
+        }
+    }
+
+    return pending.slice(0, limit);
+}
+
+// Minimal unified diff for the thread's hunk, so the reviewer sees the code under discussion
+function threadDiff(root) {
+    const file = root.path;
+    return `diff --git a/${file} b/${file}\n--- a/${file}\n+++ b/${file}\n${(root.diff_hunk || '').replace(/\n?$/, '\n')}`;
+}
+
+// Instructions asking the reviewer to answer the latest message of the thread
+function buildFollowUpInstructions(thread, replyTo) {
+    const conversation = thread
+        .filter(comment => comment.id <= replyTo.id)
+        .map((comment) => {
+            const author = isBotComment(comment) ? 'AI reviewer' : `@${comment.user?.login || 'developer'}`;
+            const body = (comment.body || '').replace(/<!-- ai-reviewer:[^>]* -->/g, '').trim();
+            return `${author}:\n${body}`;
+        })
+        .join('\n\n');
+
+    return [
+        'You are answering a follow-up in a pull request review thread about the code in this diff, not reviewing it again.',
+        `Reply to the last message from @${replyTo.user?.login || 'the developer'}: explain, reconsider or correct the earlier review comment as needed.`,
+        'Put the complete reply, in Markdown and without a heading, in the summary. Keep it short.',
+        '',
+        'Conversation so far:',
+        '',
+        conversation
+    ].join('\n');
+}
+
+// Reply body with the marker that stops the same comment from being answered again
+function buildFollowUpBody(answer, replyTo) {
+    return `${answer.trim()}\n\n${buildReplyMarker(replyTo.id)}`;
+}
+
+module.exports = {
+    MAX_FOLLOW_UPS,
+    isBotComment,
+    groupThreads,
+    findPendingFollowUps,
+    threadDiff,
+    buildFollowUpInstructions,
+    buildFollowUpBody
+};
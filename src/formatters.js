@@ -0,0 +1,315 @@
+/**
+ * Render review results as JSON, JUnit XML, SARIF, Markdown or HTML
+ */
+
+const { SEVERITY_LEVELS, normalizeSeverity, countBySeverity } = require('./quality-gate');
+
+const TOOL_NAME = 'ai-reviewer-jenkins';
+const TOOL_URI = 'https://github.com/nawaz-adobe/ai-reviewer-jenkins';
+
+// Default output path per format when --format has no explicit path
+const DEFAULT_PATHS = {
+    json: 'review-results.json',
+    junit: 'review-results.xml',
+    sarif: 'review-results.sarif',
+    markdown: 'review-results.md',
+    html: 'review-results.html'
+};
+
+// SARIF only knows error / warning / note
+const SARIF_LEVELS = {
+    critical: 'error',
+    error: 'error',
+    warning: 'warning',
+    info: 'note'
+};
+
+// Normalize the different comment shapes returned by ai-reviewer-core
+function normalizeComment(comment) {
+    return {
+        file: comment.file || comment.filename || 'unknown',
+        line: comment.line || null,
+        message: comment.message || comment.body || '',
+        severity: normalizeSeverity(comment.severity),
+        ruleId: comment.ruleId || `ai-review/${normalizeSeverity(comment.severity)}`
+    };
+}
+
+// Group normalized comments by file, keeping files that were reviewed without findings
+function groupByFile(result) {
+    const files = new Map();
+
+    for (const hunk of result.hunks || []) {
+        if (hunk.filename && !files.has(hunk.filename)) {
+            files.set(hunk.filename, []);
+        }
+    }
+
+    for (const comment of (result.comments || []).map(normalizeComment)) {
+        if (!files.has(comment.file)) {
+            files.set(comment.file, []);
+        }
+        files.get(comment.file).push(comment);
+    }
+
+    return files;
+}
+
+// Escape text for XML attributes and content
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Results JSON as written by main()
+function formatJson(result) {
+    return JSON.stringify(result, null, 2);
+}
+
+// JUnit XML: one test suite per file, one failing test case per finding
+function formatJunit(result) {
+    const files = groupByFile(result);
+    const suites = [];
+    let totalTests = 0;
+    let totalFailures = 0;
+
+    for (const [file, comments] of files) {
+        const cases = comments.length > 0
+            ? comments.map(comment => {
+                const location = comment.line ? `${file}:${comment.line}` : file;
+                return [
+                    `    <testcase classname="${escapeXml(file)}" name="${escapeXml(`[${comment.severity}] ${location}`)}">`,
+                    `      <failure message="${escapeXml(comment.message.split('\n')[0])}" type="${comment.severity}">${escapeXml(comment.message)}</failure>`,
+                    '    </testcase>'
+                ].join('\n');
+            })
+            : [`    <testcase classname="${escapeXml(file)}" name="No findings"/>`];
+
+        const tests = Math.max(comments.length, 1);
+        totalTests += tests;
+        totalFailures += comments.length;
+
+        suites.push([
+            `  <testsuite name="${escapeXml(file)}" tests="${tests}" failures="${comments.length}" errors="0">`,
+            ...cases,
+            '  </testsuite>'
+        ].join('\n'));
+    }
+
+    // An empty report fails the Jenkins JUnit step, so always emit at least one test case
+    if (suites.length === 0) {
+        totalTests = 1;
+        suites.push([
+            '  <testsuite name="AI Code Review" tests="1" failures="0" errors="0">',
+            '    <testcase classname="AI Code Review" name="No findings"/>',
+            '  </testsuite>'
+        ].join('\n'));
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="AI Code Review" tests="${totalTests}" failures="${totalFailures}">`,
+        ...suites,
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+// SARIF 2.1.0 for the Warnings NG plugin and other static analysis viewers
+function formatSarif(result) {
+    const comments = (result.comments || []).map(normalizeComment);
+    const rules = new Map();
+
+    for (const comment of comments) {
+        if (!rules.has(comment.ruleId)) {
+            rules.set(comment.ruleId, {
+                id: comment.ruleId,
+                shortDescription: { text: `AI review finding (${comment.severity})` },
+                defaultConfiguration: { level: SARIF_LEVELS[comment.severity] }
+            });
+        }
+    }
+
+    const results = comments.map(comment => ({
+        ruleId: comment.ruleId,
+        level: SARIF_LEVELS[comment.severity],
+        message: { text: comment.message },
+        locations: [{
+            physicalLocation: {
+                artifactLocation: { uri: comment.file },
+                ...(comment.line ? { region: { startLine: comment.line } } : {})
+            }
+        }],
+        properties: { severity: comment.severity }
+    }));
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    informationUri: TOOL_URI,
+                    rules: [...rules.values()]
+                }
+            },
+            results
+        }]
+    }, null, 2);
+}
+
+// One-line LLM usage for report headers, e.g. "12,345 tokens (~$0.0123, estimated)"
+function describeUsage(usage) {
+    if (!usage) {
+        return null;
+    }
+    const details = [
+        usage.cost !== null && usage.cost !== undefined ? `~$${usage.cost.toFixed(4)}` : null,
+        usage.estimated ? 'estimated' : null
+    ].filter(Boolean);
+    return `${usage.totalTokens.toLocaleString('en-US')} tokens${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+// Markdown report for archiving as a build artifact
+function formatMarkdown(result) {
+    const files = groupByFile(result);
+    const counts = countBySeverity(result.comments || []);
+    const lines = ['# AI Code Review', ''];
+
+    if (result.repository) {
+        lines.push(`**Repository:** ${result.repository}${result.pullRequest ? ` #${result.pullRequest}` : ''}  `);
+    }
+    const usage = describeUsage(result.metadata?.usage);
+    if (usage) {
+        lines.push(`**Reviewed:** ${result.timestamp}  `, `**LLM usage:** ${usage}`, '');
+    } else {
+        lines.push(`**Reviewed:** ${result.timestamp}`, '');
+    }
+
+    if (result.qualityGate) {
+        lines.push(`**Quality gate:** ${result.qualityGate.status}`, '');
+    }
+
+    lines.push('| Severity | Comments |', '|----------|----------|');
+    for (const level of [...SEVERITY_LEVELS].reverse()) {
+        lines.push(`| ${level} | ${counts[level]} |`);
+    }
+    lines.push('');
+
+    if (result.summary) {
+        lines.push('## Summary', '', result.summary, '');
+    }
+
+    const withFindings = [...files].filter(([, comments]) => comments.length > 0);
+    if (withFindings.length > 0) {
+        lines.push('## Findings', '');
+        for (const [file, comments] of withFindings) {
+            lines.push(`### \`${file}\``, '');
+            for (const comment of comments) {
+                const location = comment.line ? `Line ${comment.line}` : 'File';
+                lines.push(`- **${location}** (${comment.severity}): ${comment.message.replace(/\n/g, '\n  ')}`);
+            }
+            lines.push('');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+// Standalone HTML page for the Jenkins HTML Publisher plugin
+function formatHtml(result) {
+    const files = groupByFile(result);
+    const counts = countBySeverity(result.comments || []);
+    const withFindings = [...files].filter(([, comments]) => comments.length > 0);
+    const meta = [];
+
+    if (result.repository) {
+        meta.push(`<strong>Repository:</strong> ${escapeXml(result.repository)}${result.pullRequest ? ` #${escapeXml(result.pullRequest)}` : ''}`);
+    }
+    meta.push(`<strong>Reviewed:</strong> ${escapeXml(result.timestamp)}`);
+    const usage = describeUsage(result.metadata?.usage);
+    if (usage) {
+        meta.push(`<strong>LLM usage:</strong> ${escapeXml(usage)}`);
+    }
+    if (result.qualityGate) {
+        meta.push(`<strong>Quality gate:</strong> ${escapeXml(result.qualityGate.status)}`);
+    }
+
+    const findings = withFindings.map(([file, comments]) => [
+        `<h3><code>${escapeXml(file)}</code></h3>`,
+        '<ul>',
+        ...comments.map(comment => `<li class="${comment.severity}"><strong>${comment.line ? `Line ${comment.line}` : 'File'}</strong> `
+            + `(${comment.severity}): <span class="message">${escapeXml(comment.message)}</span></li>`),
+        '</ul>'
+    ].join('\n'));
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<title>AI Code Review</title>',
+        '<style>',
+        'body { font-family: sans-serif; max-width: 960px; margin: 2em auto; }',
+        'table { border-collapse: collapse; } td, th { border: 1px solid #ccc; padding: 4px 12px; }',
+        '.summary, .message { white-space: pre-wrap; }',
+        '.critical, .error { color: #b00020; } .warning { color: #8a6d00; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        '<h1>AI Code Review</h1>',
+        `<p>${meta.join('<br>\n')}</p>`,
+        '<table>',
+        '<tr><th>Severity</th><th>Comments</th></tr>',
+        ...[...SEVERITY_LEVELS].reverse().map(level => `<tr><td>${level}</td><td>${counts[level]}</td></tr>`),
+        '</table>',
+        ...(result.summary ? ['<h2>Summary</h2>', `<div class="summary">${escapeXml(result.summary)}</div>`] : []),
+        ...(withFindings.length > 0 ? ['<h2>Findings</h2>', ...findings] : []),
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+const FORMATTERS = {
+    json: formatJson,
+    junit: formatJunit,
+    sarif: formatSarif,
+    markdown: formatMarkdown,
+    html: formatHtml
+};
+
+// Commander collector for repeatable "--format <format>[:<path>]" options
+function parseFormatOption(value, previous = []) {
+    const separator = value.indexOf(':');
+    const format = (separator === -1 ? value : value.substring(0, separator)).toLowerCase();
+    const outputPath = separator === -1 ? DEFAULT_PATHS[format] : value.substring(separator + 1);
+
+    if (!FORMATTERS[format]) {
+        throw new Error(`Unknown format "${format}" (expected one of: ${Object.keys(FORMATTERS).join(', ')})`);
+    }
+    if (!outputPath) {
+        throw new Error(`Missing output path for format "${format}"`);
+    }
+
+    return [...previous, { format, path: outputPath }];
+}
+
+// Render results in the requested format
+function formatResults(result, format) {
+    if (!FORMATTERS[format]) {
+        throw new Error(`Unknown format "${format}"`);
+    }
+    return FORMATTERS[format](result);
+}
+
+module.exports = {
+    DEFAULT_PATHS,
+    formatResults,
+    parseFormatOption
+};
@@ -0,0 +1,93 @@
+/**
+ * GitHub credentials: App installation (key inline or from a file) or a plain token
+ */
+
+const fs = require('fs');
+
+const AUTH_MODES = ['app', 'token'];
+
+// Installation IDs by "org/repo", looked up once per process or learned from webhook payloads
+const installationIds = new Map();
+
+// Env vars pasted as one line often carry literal "\n" instead of newlines
+function readPrivateKey(env) {
+    if (env.GITHUB_APP_PRIVATE_KEY) {
+        return env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+    }
+
+    try {
+        return fs.readFileSync(env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+    } catch (error) {
+        throw new Error(`Could not read GitHub App private key from GITHUB_APP_PRIVATE_KEY_PATH (${env.GITHUB_APP_PRIVATE_KEY_PATH}): ${error.message}`);
+    }
+}
+
+// Pick the auth mode from the environment and check only the variables that mode needs
+function resolveAuthConfig(env = process.env) {
+    const mode = env.GITHUB_AUTH_MODE || (env.GITHUB_APP_ID ? 'app' : (env.GITHUB_TOKEN ? 'token' : null));
+
+    if (!mode) {
+        throw new Error('GitHub credentials are required: set GITHUB_TOKEN, or GITHUB_APP_ID with GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH');
+    }
+    if (!AUTH_MODES.includes(mode)) {
+        throw new Error(`GITHUB_AUTH_MODE must be one of: ${AUTH_MODES.join(', ')}`);
+    }
+
+    if (mode === 'token') {
+        if (!env.GITHUB_TOKEN) {
+            throw new Error('GITHUB_TOKEN environment variable is required (GitHub token)');
+        }
+        return { mode, token: env.GITHUB_TOKEN };
+    }
+
+    if (!env.GITHUB_APP_ID) {
+        throw new Error('GITHUB_APP_ID environment variable is required (GitHub App ID)');
+    }
+    if (!env.GITHUB_APP_PRIVATE_KEY && !env.GITHUB_APP_PRIVATE_KEY_PATH) {
+        throw new Error('GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH environment variable is required (GitHub App private key)');
+    }
+
+    return {
+        mode,
+        appId: env.GITHUB_APP_ID,
+        privateKey: readPrivateKey(env),
+        installationId: env.GITHUB_INSTALLATION_ID || null
+    };
+}
+
+// Record an installation ID already known for a repository (e.g. from a webhook)
+function rememberInstallationId(org, repo, installationId) {
+    if (org && repo && installationId) {
+        installationIds.set(`${org}/${repo}`, installationId);
+    }
+}
+
+// Find the App installation covering a repository, using an app-authenticated (JWT) Octokit
+async function getInstallationId(org, repo, createAppOctokit) {
+    const key = `${org}/${repo}`;
+    if (installationIds.has(key)) {
+        return installationIds.get(key);
+    }
+
+    if (!org || !repo) {
+        throw new Error('GITHUB_INSTALLATION_ID environment variable is required when no repository is given');
+    }
+
+    try {
+        const { data } = await createAppOctokit().rest.apps.getRepoInstallation({ owner: org, repo });
+        installationIds.set(key, data.id);
+        return data.id;
+    } catch (error) {
+        if (error.status === 404) {
+            throw new Error(`GitHub App is not installed on ${key}; install it or set GITHUB_INSTALLATION_ID`);
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    AUTH_MODES,
+    resolveAuthConfig,
+    rememberInstallationId,
+    getInstallationId
+};
@@ -0,0 +1,625 @@
+/**
+ * GitHub pull requests through Octokit, for the provider interface in providers.js.
+ * Unlike the other hosts, a review is posted as one batched pull request review that later runs find again
+ * by its markers, and the last reviewed commit allows incremental reviews.
+ */
+
+const { getCommentableLines } = require('./diff-utils');
+const {
+    OUTDATED_MARKER,
+    SKIPPED_MARKER,
+    parseReviewedShaMarker,
+    hasSummaryMarker,
+    hasSkippedMarker,
+    hasOutdatedMarker,
+    parseFingerprintMarker,
+    parseFindingMarker,
+    stripFingerprintMarker
+} = require('./markers');
+const { sortBySeverity } = require('./quality-gate');
+const { resolveAuthConfig } = require('./github-auth');
+const { buildUnplacedSection } = require('./comment-anchors');
+const { buildReviewComments, buildSummaryBody } = require('./review-posting');
+
+// Requests left before waiting for the rate limit window to reset
+const RATE_LIMIT_FLOOR = 10;
+
+// `getOctokit(org, repo)` resolves to an authenticated Octokit; `retry` wraps every API request.
+// Create one provider per review run: it authenticates once per repository and reuses that client.
+function createGitHubProvider({ getOctokit, retry = fn => fn(), logger }) {
+    const octokits = new Map();
+    const octokitFor = (org, repo) => {
+        const key = `${org}/${repo}`;
+        if (!octokits.has(key)) {
+            // A failed authentication is not cached, so the next request tries again
+            octokits.set(key, Promise.resolve(getOctokit(org, repo)).catch((error) => {
+                octokits.delete(key);
+                throw error;
+            }));
+        }
+        return octokits.get(key);
+    };
+
+    // Wait for the rate limit window when a response says it is nearly used up
+    const checkRateLimit = async (response) => {
+        const remaining = parseInt(response.headers['x-ratelimit-remaining'] || '5000');
+        const resetTime = parseInt(response.headers['x-ratelimit-reset'] || '0');
+
+        if (remaining < RATE_LIMIT_FLOOR) {
+            const waitTime = Math.max(0, (resetTime * 1000) - Date.now() + 1000);
+            if (waitTime > 0) {
+                logger.warn(`Rate limit low (${remaining} remaining), waiting ${Math.round(waitTime / 1000)}s`);
+                await new Promise(resolve => setTimeout(resolve, waitTime));
+            }
+        }
+    };
+
+    // Find the head SHA recorded by the most recent AI review on the PR
+    const getLastReviewedSha = async (octokit, org, repo, prNumber) => {
+        const reviews = await retry(() => octokit.paginate(octokit.rest.pulls.listReviews, {
+            owner: org,
+            repo: repo,
+            pull_number: parseInt(prNumber),
+            per_page: 100
+        }));
+
+        for (const review of reviews.reverse()) {
+            const sha = parseReviewedShaMarker(review.body);
+            if (sha) {
+                return sha;
+            }
+        }
+
+        return null;
+    };
+
+    // Collect what earlier runs of the bot already posted on the PR
+    const getExistingBotContent = async (octokit, org, repo, prNumber) => {
+        const params = {
+            owner: org,
+            repo: repo,
+            pull_number: parseInt(prNumber),
+            per_page: 100
+        };
+
+        const reviews = await retry(() => octokit.paginate(octokit.rest.pulls.listReviews, params));
+        const comments = await retry(() => octokit.paginate(octokit.rest.pulls.listReviewComments, params));
+
+        // GitHub clears the line of comments whose code no longer exists in the PR
+        const botComments = comments.filter(comment => parseFingerprintMarker(comment.body) && !comment.in_reply_to_id);
+        const currentComments = botComments.filter(comment => comment.line !== null);
+
+        return {
+            summaryReview: reviews.filter(review => hasSummaryMarker(review.body)).pop() || null,
+            fingerprints: new Set(currentComments.map(comment => parseFingerprintMarker(comment.body))),
+            outdatedComments: botComments.filter(comment => comment.line === null)
+        };
+    };
+
+    // Every review thread on the PR with whether it is resolved and the id of its first comment (GraphQL only)
+    const listReviewThreads = async (octokit, org, repo, prNumber) => {
+        const threads = [];
+        let cursor = null;
+
+        do {
+            const response = await retry(() => octokit.graphql(`
+                query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+                    repository(owner: $owner, name: $repo) {
+                        pullRequest(number: $number) {
+                            reviewThreads(first: 100, after: $cursor) {
+                                pageInfo { hasNextPage endCursor }
+                                nodes { id isResolved comments(first: 1) { nodes { databaseId } } }
+                            }
+                        }
+                    }
+                }`, { owner: org, repo: repo, number: parseInt(prNumber), cursor }));
+
+            const page = response.repository.pullRequest.reviewThreads;
+            threads.push(...page.nodes);
+            cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+        } while (cursor);
+
+        return threads;
+    };
+
+    // Resolve the review threads started by outdated bot comments
+    const resolveOutdatedThreads = async (octokit, org, repo, prNumber, comments) => {
+        const commentIds = new Set(comments.map(comment => comment.id));
+        const threads = await listReviewThreads(octokit, org, repo, prNumber);
+
+        const toResolve = threads.filter(thread =>
+            !thread.isResolved && commentIds.has(thread.comments.nodes[0]?.databaseId));
+
+        for (const thread of toResolve) {
+            await retry(() => octokit.graphql(`
+                mutation($threadId: ID!) {
+                    resolveReviewThread(input: { threadId: $threadId }) { thread { id } }
+                }`, { threadId: thread.id }));
+        }
+
+        return toResolve.length;
+    };
+
+    // Flag outdated bot comments in their body so readers know they no longer apply
+    const markOutdatedComments = async (octokit, org, repo, comments) => {
+        const toMark = comments.filter(comment => !hasOutdatedMarker(comment.body));
+
+        for (const comment of toMark) {
+            await retry(() => octokit.rest.pulls.updateReviewComment({
+                owner: org,
+                repo: repo,
+                comment_id: comment.id,
+                body: `${OUTDATED_MARKER}\n> **Outdated:** the code this comment referred to has changed.\n\n${comment.body}`
+            }));
+        }
+
+        return toMark.length;
+    };
+
+    // Drop inline comments that GitHub cannot anchor to the PR diff
+    const filterCommentsOutsideDiff = async (octokit, org, repo, prNumber, comments) => {
+        const files = await retry(() => octokit.paginate(octokit.rest.pulls.listFiles, {
+            owner: org,
+            repo: repo,
+            pull_number: parseInt(prNumber),
+            per_page: 100
+        }));
+
+        const commentable = new Map(files.map(file => [file.filename, getCommentableLines(file.patch)]));
+        const kept = [];
+        const dropped = [];
+
+        for (const comment of comments) {
+            const lines = commentable.get(comment.path);
+            const startLine = comment.start_line || comment.line;
+            if (lines && lines[comment.side].has(comment.line) && lines[comment.start_side || comment.side].has(startLine)) {
+                kept.push(comment);
+            } else {
+                dropped.push({
+                    file: comment.path,
+                    line: comment.line,
+                    reason: lines ? 'Line is not part of the diff' : 'File is not part of the diff'
+                });
+            }
+        }
+
+        return { kept, dropped };
+    };
+
+    // Submit a pull request review, dropping inline comments GitHub refuses to anchor
+    const submitReviewWithFallback = async (octokit, org, repo, prNumber, review, dropped) => {
+        let body = review.body;
+        const submit = (comments) => retry(() => octokit.rest.pulls.createReview({
+            owner: org,
+            repo: repo,
+            pull_number: parseInt(prNumber),
+            commit_id: review.commitId,
+            event: 'COMMENT',
+            body,
+            comments: comments
+        }));
+
+        let comments = review.comments;
+
+        try {
+            return { response: await submit(comments), comments };
+        } catch (error) {
+            // 422 means GitHub rejected at least one comment (usually a line outside the diff)
+            if (error.status !== 422 || comments.length === 0) {
+                throw error;
+            }
+
+            logger.warn('GitHub rejected the review, dropping comments outside the diff and retrying', { error: error.message });
+            const { kept, dropped: outsideDiff } = await filterCommentsOutsideDiff(octokit, org, repo, prNumber, comments);
+            dropped.push(...outsideDiff);
+
+            // List the rejected comments in the review body rather than losing them
+            const unplacedSection = buildUnplacedSection(comments
+                .filter(comment => !kept.includes(comment))
+                .map(comment => ({ file: comment.path, line: comment.line, body: stripFingerprintMarker(comment.body) })));
+            if (unplacedSection) {
+                body = `${body}\n\n${unplacedSection}`;
+            }
+            comments = kept;
+        }
+
+        try {
+            return { response: await submit(comments), comments };
+        } catch (retryError) {
+            if (retryError.status !== 422 || comments.length === 0) {
+                throw retryError;
+            }
+
+            // Last resort: keep the summary and list every inline comment in it
+            logger.warn('GitHub rejected the remaining comments, posting summary only', { error: retryError.message });
+            dropped.push(...comments.map(comment => ({
+                file: comment.path,
+                line: comment.line,
+                reason: `Rejected by GitHub: ${retryError.message}`
+            })));
+
+            body = `${body}\n\n${buildUnplacedSection(comments.map(comment => ({
+                file: comment.path,
+                line: comment.line,
+                body: stripFingerprintMarker(comment.body)
+            })))}`;
+            return { response: await submit([]), comments: [] };
+        }
+    };
+
+    return {
+        name: 'github',
+        label: 'GitHub',
+
+        checkEnvironment() {
+            resolveAuthConfig();
+        },
+
+        // The run's Octokit, for GitHub APIs outside the provider interface (checks, follow-up replies)
+        getOctokit: octokitFor,
+
+        // Pull request details (head SHA, author, labels, ...)
+        async getPullRequest(org, repo, prNumber) {
+            const octokit = await octokitFor(org, repo);
+
+            try {
+                const response = await retry(() => octokit.rest.pulls.get({
+                    owner: org,
+                    repo: repo,
+                    pull_number: parseInt(prNumber)
+                }));
+                return response.data;
+            } catch (error) {
+                if (error.status === 404) {
+                    throw new Error(`PR #${prNumber} not found in ${org}/${repo}`);
+                }
+                throw new Error(`Failed to get PR details: ${error.message}`);
+            }
+        },
+
+        async getDiff(org, repo, prNumber) {
+            logger.info('Getting PR diff from GitHub API', { org, repo, prNumber });
+
+            return retry(async () => {
+                const octokit = await octokitFor(org, repo);
+
+                const response = await octokit.rest.pulls.get({
+                    owner: org,
+                    repo: repo,
+                    pull_number: parseInt(prNumber),
+                    mediaType: {
+                        format: 'diff'
+                    }
+                });
+
+                await checkRateLimit(response);
+
+                const diff = response.data;
+
+                if (!diff || !diff.trim()) {
+                    throw new Error('No differences found in pull request');
+                }
+
+                logger.success('Successfully retrieved PR diff', {
+                    size: diff.length,
+                    org,
+                    repo,
+                    prNumber
+                });
+
+                return diff;
+            }).catch(error => {
+                if (error.status === 404) {
+                    throw new Error(`PR #${prNumber} not found in ${org}/${repo}`);
+                } else if (error.status === 403) {
+                    throw new Error('GitHub API access denied. Check your authentication permissions.');
+                } else if (error.status === 401) {
+                    throw new Error('GitHub API authentication failed. Check your credentials.');
+                } else {
+                    throw new Error(`Failed to get PR diff: ${error.message}`);
+                }
+            });
+        },
+
+        // File at a commit (config file, review context); null when it does not exist there
+        async readFile(org, repo, ref, filePath) {
+            const octokit = await octokitFor(org, repo);
+
+            let response;
+            try {
+                response = await retry(() => octokit.rest.repos.getContent({
+                    owner: org,
+                    repo: repo,
+                    path: filePath,
+                    ref: ref
+                }));
+            } catch (error) {
+                if (error.status === 404) {
+                    return null;
+                }
+                throw error;
+            }
+
+            // Directories (submodules, renamed paths) come back as lists
+            if (Array.isArray(response.data) || response.data.type !== 'file') {
+                return null;
+            }
+            // Files over 1 MB have no inline content
+            if (response.data.encoding === 'none' || typeof response.data.content !== 'string') {
+                throw new Error('File is too large for the contents API');
+            }
+            return Buffer.from(response.data.content, response.data.encoding || 'base64').toString('utf8');
+        },
+
+        // Title and body of an issue linked from the PR description; null when it does not exist or cannot be read
+        async getIssue({ org, repo, number }) {
+            const octokit = await octokitFor(org, repo);
+
+            try {
+                const response = await retry(() => octokit.rest.issues.get({
+                    owner: org,
+                    repo: repo,
+                    issue_number: number
+                }));
+                return { title: response.data.title, body: response.data.body };
+            } catch (error) {
+                if (error.status === 404 || error.status === 403) {
+                    logger.warn(`Could not read linked issue ${org}/${repo}#${number}: ${error.message}`);
+                    return null;
+                }
+                throw new Error(`Failed to get issue ${org}/${repo}#${number}: ${error.message}`);
+            }
+        },
+
+        // Only the changes pushed since the last AI review (diff is null when a full review is needed)
+        async getIncrementalDiff(org, repo, prNumber, headSha) {
+            logger.info('Looking for a previous AI review to review incrementally', { org, repo, prNumber });
+
+            const octokit = await octokitFor(org, repo);
+            const baseSha = await getLastReviewedSha(octokit, org, repo, prNumber);
+
+            if (!baseSha) {
+                logger.info('No previous AI review found, reviewing the full PR');
+                return { headSha, baseSha: null, diff: null };
+            }
+
+            if (baseSha === headSha) {
+                return { headSha, baseSha, diff: '' };
+            }
+
+            try {
+                const comparison = await retry(() => octokit.rest.repos.compareCommitsWithBasehead({
+                    owner: org,
+                    repo: repo,
+                    basehead: `${baseSha}...${headSha}`
+                }));
+
+                // Anything but "ahead" means the reviewed commit is no longer an ancestor (force-push or rebase)
+                if (comparison.data.status !== 'ahead') {
+                    logger.warn('Previously reviewed commit is not an ancestor of the PR head, reviewing the full PR', {
+                        baseSha,
+                        headSha,
+                        status: comparison.data.status
+                    });
+                    return { headSha, baseSha: null, diff: null };
+                }
+
+                const response = await retry(() => octokit.rest.repos.compareCommitsWithBasehead({
+                    owner: org,
+                    repo: repo,
+                    basehead: `${baseSha}...${headSha}`,
+                    mediaType: {
+                        format: 'diff'
+                    }
+                }));
+
+                logger.success('Retrieved changes since last AI review', {
+                    baseSha,
+                    headSha,
+                    commits: comparison.data.total_commits,
+                    size: response.data.length
+                });
+
+                return { headSha, baseSha, diff: response.data };
+            } catch (error) {
+                // The old commit was garbage collected after a force-push
+                if (error.status === 404) {
+                    logger.warn('Previously reviewed commit no longer exists, reviewing the full PR', { baseSha });
+                    return { headSha, baseSha: null, diff: null };
+                }
+                throw new Error(`Failed to get incremental diff: ${error.message}`);
+            }
+        },
+
+        // Findings earlier runs posted that still apply: their line is still in the PR, and nobody resolved or outdated them
+        async listOpenFindings(org, repo, prNumber) {
+            const octokit = await octokitFor(org, repo);
+            const comments = await retry(() => octokit.paginate(octokit.rest.pulls.listReviewComments, {
+                owner: org,
+                repo: repo,
+                pull_number: parseInt(prNumber),
+                per_page: 100
+            }));
+            const open = comments.filter(comment => parseFingerprintMarker(comment.body) && !comment.in_reply_to_id
+                && comment.line !== null && !hasOutdatedMarker(comment.body));
+            if (open.length === 0) {
+                return [];
+            }
+
+            const threads = await listReviewThreads(octokit, org, repo, prNumber);
+            const resolved = new Set(threads
+                .filter(thread => thread.isResolved)
+                .map(thread => thread.comments.nodes[0]?.databaseId));
+
+            return open
+                .filter(comment => !resolved.has(comment.id))
+                .map((comment) => {
+                    const finding = parseFindingMarker(comment.body);
+                    return {
+                        file: comment.path,
+                        line: comment.line,
+                        severity: finding.severity,
+                        blocking: finding.blocking,
+                        fingerprint: finding.fingerprint
+                    };
+                });
+        },
+
+        // Post the review as a single pull request review, editing the summary of an earlier run in place
+        async postReview(org, repo, prNumber, review, options = {}) {
+            logger.info('Posting review to GitHub PR', {
+                org,
+                repo,
+                prNumber,
+                summaryLength: review.summary?.length || 0,
+                commentCount: review.comments?.length || 0
+            });
+
+            // With an inline comment limit, the most severe findings get posted first
+            const comments = options.maxInlineComments !== undefined && options.maxInlineComments !== null
+                ? sortBySeverity(review.comments || [])
+                : review.comments;
+            // An incremental diff starts at the last reviewed commit, so only its new-side line numbers match the PR diff
+            const { inline, skipped, unplaced, suggestions } = buildReviewComments(comments, review.hunks, {
+                rightSideOnly: !!options.baseSha
+            });
+            const result = {
+                posted: false,
+                reviewId: null,
+                summaryUpdated: false,
+                inlineComments: 0,
+                duplicatesSkipped: 0,
+                outdatedComments: 0,
+                suggestions,
+                unplaced: unplaced.map(({ file, line, reason }) => ({ file, line, reason })),
+                dropped: skipped
+            };
+
+            try {
+                const octokit = await octokitFor(org, repo);
+
+                // The head commit SHA is required for Enterprise GitHub
+                const commitId = options.details
+                    ? options.details.head.sha
+                    : (await retry(() => octokit.rest.pulls.get({
+                        owner: org,
+                        repo: repo,
+                        pull_number: parseInt(prNumber)
+                    }))).data.head.sha;
+
+                // Record the commit that was actually reviewed so the next run can review incrementally
+                const reviewedSha = options.headSha || commitId;
+
+                // Skip inline comments an earlier run already posted on the same file/line/text
+                const existing = await getExistingBotContent(octokit, org, repo, prNumber);
+                let newComments = inline.filter(comment => !existing.fingerprints.has(parseFingerprintMarker(comment.body)));
+                result.duplicatesSkipped = inline.length - newComments.length;
+
+                if (options.maxInlineComments !== undefined && options.maxInlineComments !== null
+                    && newComments.length > options.maxInlineComments) {
+                    result.dropped.push(...newComments.slice(options.maxInlineComments).map(comment => ({
+                        file: comment.path,
+                        line: comment.line,
+                        reason: `Exceeds the inline comment limit (${options.maxInlineComments})`
+                    })));
+                    newComments = newComments.slice(0, options.maxInlineComments);
+                }
+
+                const summaryBody = buildSummaryBody(review, {
+                    inlineCount: inline.length,
+                    reviewedSha,
+                    baseSha: options.baseSha,
+                    unplaced
+                });
+
+                // Edit the existing summary in place instead of posting a second one
+                if (existing.summaryReview) {
+                    await retry(() => octokit.rest.pulls.updateReview({
+                        owner: org,
+                        repo: repo,
+                        pull_number: parseInt(prNumber),
+                        review_id: existing.summaryReview.id,
+                        body: summaryBody
+                    }));
+                    result.summaryUpdated = true;
+                    result.reviewId = existing.summaryReview.id;
+                    logger.success('Updated existing review summary');
+                }
+
+                if (!existing.summaryReview || newComments.length > 0) {
+                    const { response, comments: posted } = await submitReviewWithFallback(octokit, org, repo, prNumber, {
+                        commitId: reviewedSha,
+                        body: existing.summaryReview
+                            ? `New AI review comments for ${reviewedSha.substring(0, 7)}. See the review summary above.`
+                            : summaryBody,
+                        comments: newComments
+                    }, result.dropped);
+
+                    if (response) {
+                        result.reviewId = response.data.id;
+                    }
+                    result.inlineComments = posted.length;
+                }
+
+                // Optionally tidy up bot comments whose lines no longer exist
+                if (existing.outdatedComments.length > 0 && options.outdatedComments === 'resolve') {
+                    result.outdatedComments = await resolveOutdatedThreads(octokit, org, repo, prNumber, existing.outdatedComments);
+                    logger.info(`Resolved ${result.outdatedComments} outdated comment thread(s)`);
+                } else if (existing.outdatedComments.length > 0 && options.outdatedComments === 'mark') {
+                    result.outdatedComments = await markOutdatedComments(octokit, org, repo, existing.outdatedComments);
+                    logger.info(`Marked ${result.outdatedComments} comment(s) as outdated`);
+                }
+
+                result.posted = true;
+
+                if (result.duplicatesSkipped > 0) {
+                    logger.info(`Skipped ${result.duplicatesSkipped} comment(s) already posted by a previous run`);
+                }
+                if (result.dropped.length > 0) {
+                    logger.warn(`Dropped ${result.dropped.length} comment(s) that could not be posted inline`);
+                }
+                logger.success(`Successfully posted review to GitHub PR with ${result.inlineComments} inline comments!`);
+            } catch (error) {
+                logger.error('Failed to post review to GitHub', { error: error.message });
+                // Don't fail the entire review if posting comments fails
+                result.error = error.message;
+            }
+
+            return result;
+        },
+
+        // Explain on the PR why it was not reviewed, editing the earlier note instead of adding another
+        async postSkipComment(org, repo, prNumber, reason) {
+            const body = `${SKIPPED_MARKER}\n🤖 AI review skipped: ${reason}.`;
+
+            try {
+                const octokit = await octokitFor(org, repo);
+                const comments = await retry(() => octokit.paginate(octokit.rest.issues.listComments, {
+                    owner: org,
+                    repo: repo,
+                    issue_number: parseInt(prNumber),
+                    per_page: 100
+                }));
+                const existing = comments.filter(comment => hasSkippedMarker(comment.body)).pop();
+
+                if (existing && existing.body === body) {
+                    return { posted: false, reason: 'Skip comment already posted', commentId: existing.id };
+                }
+
+                const response = existing
+                    ? await retry(() => octokit.rest.issues.updateComment({ owner: org, repo: repo, comment_id: existing.id, body }))
+                    : await retry(() => octokit.rest.issues.createComment({ owner: org, repo: repo, issue_number: parseInt(prNumber), body }));
+
+                return { posted: true, updated: !!existing, commentId: response.data.id };
+            } catch (error) {
+                // The skip itself still stands; only the explanation is missing
+                logger.warn(`Could not post skip comment: ${error.message}`);
+                return { posted: false, error: error.message };
+            }
+        }
+    };
+}
+
+module.exports = {
+    createGitHubProvider
+};
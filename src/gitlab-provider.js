@@ -0,0 +1,197 @@
+/**
+ * GitLab merge requests through the REST API (v4), for the provider interface in providers.js
+ */
+
+const { createHttpClient } = require('./http-client');
+const { STATUS_NAME } = require('./review-status');
+
+const DEFAULT_BASE_URL = 'https://gitlab.com/api/v4';
+
+// GitLab caps per_page at 100
+const NOTES_PER_PAGE = 100;
+
+// Commit status states for the provider-neutral pending/success/failure/error
+const STATUS_STATES = {
+    pending: 'running',
+    success: 'success',
+    failure: 'failed',
+    error: 'failed'
+};
+
+function resolveGitLabConfig(env = process.env) {
+    if (!env.GITLAB_TOKEN) {
+        throw new Error('GITLAB_TOKEN environment variable is required (GitLab access token with the api scope)');
+    }
+    return { baseUrl: env.GITLAB_BASE_URL || DEFAULT_BASE_URL, token: env.GITLAB_TOKEN };
+}
+
+// Rebuild the git diff section GitLab splits into paths, flags and hunks
+function toGitDiff(change) {
+    const oldPath = change.old_path;
+    const newPath = change.new_path;
+    const lines = [`diff --git a/${oldPath} b/${newPath}`];
+
+    if (change.new_file) {
+        lines.push(`new file mode ${change.b_mode || '100644'}`);
+    } else if (change.deleted_file) {
+        lines.push(`deleted file mode ${change.a_mode || '100644'}`);
+    } else if (change.renamed_file) {
+        lines.push(`rename from ${oldPath}`, `rename to ${newPath}`);
+    }
+
+    if (change.diff) {
+        lines.push(
+            change.new_file ? '--- /dev/null' : `--- a/${oldPath}`,
+            change.deleted_file ? '+++ /dev/null' : `+++ b/${newPath}`,
+            change.diff.replace(/\n$/, '')
+        );
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+// Merge request in the pulls.get shape the skip rules and review context read
+function toPullRequest(mr) {
+    return {
+        number: mr.iid,
+        title: mr.title,
+        body: mr.description || '',
+        draft: !!(mr.draft ?? mr.work_in_progress),
+        labels: (mr.labels || []).map(label => ({ name: typeof label === 'string' ? label : label.name })),
+        user: { login: mr.author?.username, type: mr.author?.bot ? 'Bot' : 'User' },
+        base: { ref: mr.target_branch, sha: mr.diff_refs?.base_sha },
+        head: { ref: mr.source_branch, sha: mr.diff_refs?.head_sha || mr.sha },
+        diffRefs: mr.diff_refs || null,
+        webUrl: mr.web_url
+    };
+}
+
+// Multi-line suggestions are written relative to the commented line on GitLab
+function toGitLabSuggestion(body, lines) {
+    return lines > 0 ? body.replace(/^```suggestion$/m, `\`\`\`suggestion:-${lines}+0`) : body;
+}
+
+function createGitLabProvider({ env = process.env, retry } = {}) {
+    let request = null;
+    const api = (...args) => {
+        if (!request) {
+            const config = resolveGitLabConfig(env);
+            request = createHttpClient({ service: 'GitLab', baseUrl: config.baseUrl, headers: { 'private-token': config.token }, retry });
+        }
+        return request(...args);
+    };
+
+    // Namespaces may be nested groups ("group/subgroup"), so the project is addressed by its encoded full path
+    const project = (org, repo) => `/projects/${encodeURIComponent(`${org}/${repo}`)}`;
+    const mergeRequest = (org, repo, iid) => `${project(org, repo)}/merge_requests/${parseInt(iid)}`;
+
+    return {
+        name: 'gitlab',
+        label: 'GitLab',
+        nestedNamespaces: true,
+
+        checkEnvironment() {
+            resolveGitLabConfig(env);
+        },
+
+        async getPullRequest(org, repo, iid) {
+            try {
+                return toPullRequest(await api('GET', mergeRequest(org, repo, iid)));
+            } catch (error) {
+                if (error.status === 404) {
+                    throw new Error(`MR !${iid} not found in ${org}/${repo}`);
+                }
+                throw error;
+            }
+        },
+
+        async getDiff(org, repo, iid) {
+            const mr = await api('GET', `${mergeRequest(org, repo, iid)}/changes`, { query: { access_raw_diffs: true } });
+            const diff = (mr.changes || []).map(toGitDiff).join('');
+            if (!diff.trim()) {
+                throw new Error('No differences found in merge request');
+            }
+            return diff;
+        },
+
+        async readFile(org, repo, ref, filePath) {
+            try {
+                return await api('GET', `${project(org, repo)}/repository/files/${encodeURIComponent(filePath)}/raw`, {
+                    query: { ref },
+                    accept: 'text/plain'
+                });
+            } catch (error) {
+                if (error.status === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        // Notes and diff notes on the MR, oldest first, without system notes (pushes, label changes)
+        async listComments(org, repo, iid) {
+            const notes = [];
+            for (let page = 1; ; page++) {
+                const batch = await api('GET', `${mergeRequest(org, repo, iid)}/notes`, {
+                    query: { sort: 'asc', order_by: 'created_at', per_page: NOTES_PER_PAGE, page }
+                });
+                notes.push(...batch);
+                if (batch.length < NOTES_PER_PAGE) {
+                    break;
+                }
+            }
+            return notes.filter(note => !note.system).map(note => ({ id: note.id, body: note.body }));
+        },
+
+        async postSummary(org, repo, iid, body) {
+            const note = await api('POST', `${mergeRequest(org, repo, iid)}/notes`, { body: { body } });
+            return { id: note.id };
+        },
+
+        async updateSummary(org, repo, iid, summary, body) {
+            const note = await api('PUT', `${mergeRequest(org, repo, iid)}/notes/${parseInt(summary.id)}`, { body: { body } });
+            return { id: note.id };
+        },
+
+        // A diff note; context lines need both their old and new line numbers
+        async postInlineComment(org, repo, iid, comment, details) {
+            const refs = details.diffRefs || {};
+            const position = {
+                position_type: 'text',
+                base_sha: refs.base_sha,
+                start_sha: refs.start_sha,
+                head_sha: refs.head_sha,
+                old_path: comment.oldPath || comment.path,
+                new_path: comment.path
+            };
+            if (comment.lineInfo?.type === 'context') {
+                position.old_line = comment.lineInfo.oldLine;
+                position.new_line = comment.lineInfo.newLine;
+            } else if (comment.side === 'LEFT') {
+                position.old_line = comment.line;
+            } else {
+                position.new_line = comment.line;
+            }
+
+            const body = comment.start_line ? toGitLabSuggestion(comment.body, comment.line - comment.start_line) : comment.body;
+            const discussion = await api('POST', `${mergeRequest(org, repo, iid)}/discussions`, { body: { body, position } });
+            return { id: discussion.id };
+        },
+
+        async setStatus(org, repo, sha, { state, description, url }) {
+            await api('POST', `${project(org, repo)}/statuses/${sha}`, {
+                body: {
+                    state: STATUS_STATES[state],
+                    name: STATUS_NAME,
+                    description,
+                    ...(url ? { target_url: url } : {})
+                }
+            });
+        }
+    };
+}
+
+module.exports = {
+    toGitDiff,
+    createGitLabProvider
+};
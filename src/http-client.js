@@ -0,0 +1,73 @@
+/**
+ * Small JSON/text REST client for the code hosts reached without an SDK (GitLab, Bitbucket Server)
+ */
+
+// Error text from the shapes GitLab ({ message } / { error }) and Bitbucket ({ errors: [{ message }] }) return
+function describeError(data) {
+    if (typeof data === 'string') {
+        return data.trim().substring(0, 200) || 'no response body';
+    }
+    if (Array.isArray(data?.errors) && data.errors.length > 0) {
+        return data.errors.map(error => error.message).join('; ');
+    }
+    const message = data?.message ?? data?.error;
+    if (message) {
+        return typeof message === 'string' ? message : JSON.stringify(message);
+    }
+    return 'no error message';
+}
+
+// request(method, path, { query, body, accept }) resolves to the parsed JSON or text body.
+// Failures throw an Error with the HTTP `status` (or the network error `code`) so withRetry can retry them.
+function createHttpClient({ service, baseUrl, headers = {}, retry = fn => fn() }) {
+    const base = baseUrl.replace(/\/+$/, '');
+
+    const send = async (method, urlPath, { query = {}, body, accept = 'application/json' } = {}) => {
+        const url = new URL(`${base}${urlPath}`);
+        for (const [name, value] of Object.entries(query)) {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(name, value);
+            }
+        }
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: {
+                    ...headers,
+                    accept,
+                    ...(body !== undefined ? { 'content-type': 'application/json' } : {})
+                },
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            const failure = new Error(`${service} API request failed: ${error.cause?.message || error.message}`);
+            failure.code = error.cause?.code;
+            throw failure;
+        }
+
+        const text = await response.text();
+        let data = text;
+        if ((response.headers.get('content-type') || '').includes('json') && text) {
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                // Keep the raw text for the error message
+            }
+        }
+
+        if (!response.ok) {
+            const error = new Error(`${service} API ${method} ${url.pathname} returned ${response.status}: ${describeError(data)}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    };
+
+    return (method, urlPath, options) => retry(() => send(method, urlPath, options));
+}
+
+module.exports = {
+    createHttpClient
+};
@@ -6,34 +6,63 @@
 
 require('dotenv').config();
 const fs = require('fs');
+const path = require('path');
 const { Octokit } = require('@octokit/rest');
 const { createAppAuth } = require('@octokit/auth-app');
 const { CodeReviewer } = require('ai-reviewer-core');
-const { Command } = require('commander');
-
-// Simple logging utility
-const logger = {
-    info: (message, data = {}) => console.log(`ℹ️  ${message}`, Object.keys(data).length ? data : ''),
-    warn: (message, data = {}) => console.warn(`⚠️  ${message}`, Object.keys(data).length ? data : ''),
-    error: (message, data = {}) => console.error(`❌ ${message}`, Object.keys(data).length ? data : ''),
-    success: (message, data = {}) => console.log(`✅ ${message}`, Object.keys(data).length ? data : '')
-};
-
-// Centralized environment validation
-function validateEnvironment() {
-    const required = {
+const { Command, Option } = require('commander');
+const { EXIT_CODES, SEVERITY_LEVELS, evaluateQualityGate } = require('./quality-gate');
+const { STATUS_NAME, buildStatusOutcome } = require('./review-status');
+const { getLocalDiff, readGitFile } = require('./local-diff');
+const { formatResults, parseFormatOption } = require('./formatters');
+const { filterDiff } = require('./path-filter');
+const { reviewInChunks } = require('./chunked-review');
+const { CONFIG_FILES, parseConfig, validateConfig, loadLocalConfig, mergeConfig } = require('./config');
+const { createReviewQueue, createWebhookServer } = require('./webhook-server');
+const { resolveAuthConfig, rememberInstallationId, getInstallationId } = require('./github-auth');
+const { loadResultsFile, validateResults, resolveReplayTarget } = require('./results-file');
+const { DEFAULT_PRICES, describeUnpricedBudget, createUsageMeter } = require('./usage');
+const { LOG_LEVELS, LOG_FORMATS, createLogger, redact } = require('./logger');
+const { evaluateSkipRules } = require('./skip-rules');
+const { findPendingFollowUps, threadDiff, buildFollowUpInstructions, buildFollowUpBody } = require('./follow-up');
+const { CONTEXT_KINDS, collectReviewContext, buildContextInstructions, describeContext } = require('./review-context');
+const { redactSecrets, scanDiff, buildSecretComments } = require('./secret-scan');
+const { PROVIDERS, createProvider } = require('./providers');
+const { createGitHubProvider } = require('./github-provider');
+const { postReviewAsComments, postSkipCommentAsComment, withOpenFindings } = require('./review-posting');
+const { BASE_URL_VARIABLES, detectJenkinsPullRequest } = require('./jenkins-env');
+const { parseRuleFile, combineRules, rulesForFiles, buildRuleInstructions, tagRuleComments } = require('./review-rules');
+const { SUGGESTION_INSTRUCTIONS, extractSuggestion } = require('./suggestions');
+const {
+    REPORT_FORMATS,
+    DEFAULT_REPORT_LIMIT,
+    buildHistoryRecord,
+    appendHistory,
+    loadHistory,
+    buildHistoryReport,
+    formatHistoryReport
+} = require('./review-history');
+
+// Shared logger; --log-format, --log-level and --log-file are applied once arguments are parsed
+const logger = createLogger();
+
+// Centralized environment validation (code host credentials only when the host is used, LLM only when reviewing)
+function validateEnvironment({ provider = getProvider(), llm = true } = {}) {
+    const required = llm ? {
         'LLM_API_KEY': 'OpenAI API key',
-        'LLM_ENDPOINT': 'OpenAI API endpoint', 
-        'GITHUB_APP_ID': 'GitHub App ID',
-        'GITHUB_APP_PRIVATE_KEY': 'GitHub App private key',
-        'GITHUB_INSTALLATION_ID': 'GitHub App installation ID'
-    };
+        'LLM_ENDPOINT': 'OpenAI API endpoint'
+    } : {};
     
     for (const [envVar, description] of Object.entries(required)) {
         if (!process.env[envVar]) {
             throw new Error(`${envVar} environment variable is required (${description})`);
         }
     }
+
+    // Only the variables of the selected provider and auth mode are required
+    if (provider) {
+        provider.checkEnvironment();
+    }
     
     logger.info('Environment validation passed');
 }
@@ -58,32 +87,15 @@ async function withRetry(fn, maxAttempts = 3, baseDelay = 1000) {
     }
 }
 
-// Rate limiting helper
-const rateLimiter = {
-    checkAndWait: async (response) => {
-        const remaining = parseInt(response.headers['x-ratelimit-remaining'] || '5000');
-        const resetTime = parseInt(response.headers['x-ratelimit-reset'] || '0');
-        
-        if (remaining < 10) {
-            const waitTime = Math.max(0, (resetTime * 1000) - Date.now() + 1000);
-            if (waitTime > 0) {
-                logger.warn(`Rate limit low (${remaining} remaining), waiting ${Math.round(waitTime/1000)}s`);
-                await new Promise(resolve => setTimeout(resolve, waitTime));
-            }
-        }
-        
-        return remaining;
-    }
-};
-
-// Input validation
-function validateInputs(org, repo, pr) {
+// Input validation; `nested` allows GitLab subgroups ("group/subgroup") as the organization
+function validateInputs(org, repo, pr, { nested = false } = {}) {
     if (!org || !repo || !pr) {
         throw new Error('Organization, repository, and PR number are required');
     }
     
     // Basic validation for org/repo names (alphanumeric, hyphens, underscores)
-    if (!/^[a-zA-Z0-9_-]+$/.test(org) || !/^[a-zA-Z0-9_-]+$/.test(repo)) {
+    const orgPattern = nested ? /^[a-zA-Z0-9_-]+(\/[a-zA-Z0-9_-]+)*$/ : /^[a-zA-Z0-9_-]+$/;
+    if (!orgPattern.test(org) || !/^[a-zA-Z0-9_-]+$/.test(repo)) {
         throw new Error('Invalid organization or repository name');
     }
     
@@ -93,23 +105,65 @@ function validateInputs(org, repo, pr) {
     }
 }
 
-// Create authenticated Octokit instance using GitHub App
-function createOctokit() {
+// Create an authenticated Octokit instance: GitHub App installation or plain token
+async function createOctokit(org, repo) {
     const githubBaseUrl = process.env.GITHUB_BASE_URL || 'https://api.github.com';
+    const auth = resolveAuthConfig();
+
+    if (auth.mode === 'token') {
+        logger.info('Using token authentication', { baseUrl: githubBaseUrl });
+        return new Octokit({ baseUrl: githubBaseUrl, auth: auth.token });
+    }
+
+    const installationId = auth.installationId || await getInstallationId(org, repo, () => new Octokit({
+        baseUrl: githubBaseUrl,
+        authStrategy: createAppAuth,
+        auth: { appId: auth.appId, privateKey: auth.privateKey }
+    }));
     
-    logger.info('Using GitHub App authentication', { baseUrl: githubBaseUrl });
+    logger.info('Using GitHub App authentication', { baseUrl: githubBaseUrl, installationId });
     
     return new Octokit({
         baseUrl: githubBaseUrl,
         authStrategy: createAppAuth,
         auth: {
-            appId: process.env.GITHUB_APP_ID,
-            privateKey: process.env.GITHUB_APP_PRIVATE_KEY,
-            installationId: process.env.GITHUB_INSTALLATION_ID,
+            appId: auth.appId,
+            privateKey: auth.privateKey,
+            installationId,
         },
     });
 }
 
+// Commander collector for repeatable options
+function collect(value, previous) {
+    return [...previous, value];
+}
+
+// Review target from a detected Jenkins PR build; the API base URL is only filled in when not configured
+function inferJenkinsTarget(build, explicitProvider) {
+    const { pullRequest, variables } = build;
+    if (explicitProvider && pullRequest.provider && explicitProvider !== pullRequest.provider) {
+        throw new Error(`--provider ${explicitProvider} does not match the Jenkins build, which is a ${pullRequest.provider} pull request`);
+    }
+
+    const provider = explicitProvider || pullRequest.provider || 'github';
+    const baseUrlVariable = BASE_URL_VARIABLES[provider];
+    const baseUrl = process.env[baseUrlVariable] || pullRequest.baseUrl;
+    if (baseUrl && !process.env[baseUrlVariable]) {
+        process.env[baseUrlVariable] = baseUrl;
+    }
+
+    logger.info('Detected pull request from the Jenkins environment', {
+        provider,
+        org: pullRequest.org,
+        repo: pullRequest.repo,
+        pr: pullRequest.pr,
+        baseUrl: baseUrl || null,
+        from: variables
+    });
+    return { org: pullRequest.org, repo: pullRequest.repo, pr: pullRequest.pr, provider };
+}
+
 // Enhanced CLI argument parsing using commander
 function parseArgs() {
     const program = new Command();
@@ -118,220 +172,890 @@ function parseArgs() {
         .name('ai-review')
         .description('AI-powered code review for GitHub PRs using CodeWhisperer')
         .version('1.0.0')
-        .argument('<org>', 'GitHub organization/owner name')
-        .argument('<repo>', 'Repository name')
-        .argument('<pr>', 'Pull request number')
+        .argument('[org]', 'GitHub organization/owner, GitLab group or Bitbucket project key (optional with --diff-file or --base, or in a Jenkins PR build)')
+        .argument('[repo]', 'Repository name')
+        .argument('[pr]', 'Pull request (GitLab merge request) number')
+        .addOption(new Option('--provider <provider>', 'Code host the pull request lives on').choices(PROVIDERS).default('github'))
         .option('-o, --output <file>', 'Output file for review results', 'review-results.json')
+        .option('--format <format[:path]>', 'Additional output format: json, junit, sarif, markdown or html (repeatable)', parseFormatOption, [])
         .option('--no-comments', 'Skip posting comments to PR (generate review only)')
         .option('--dry-run', 'Perform review without posting to GitHub')
         .option('--max-retries <number>', 'Maximum retry attempts for API calls', '3')
+        .option('--no-incremental', 'Always review the full PR instead of only commits since the last AI review')
+        .addOption(new Option('--outdated-comments <action>', 'What to do with bot comments on lines that no longer exist')
+            .choices(['keep', 'resolve', 'mark'])
+            .default('keep'))
+        .addOption(new Option('--fail-on <severity>', 'Fail the build (exit 2) when comments at or above this severity are found')
+            .choices(SEVERITY_LEVELS))
+        .addOption(new Option('--unstable-on <severity>', 'Mark the build unstable (exit 3) when comments at or above this severity are found')
+            .choices(SEVERITY_LEVELS))
+        .option('--max-comments <number>', 'Fail the build (exit 2) when the review has more comments than this')
+        .option('--no-status', 'Skip reporting the review outcome as a GitHub check run / commit status')
+        .option('--diff-file <path>', 'Review a unified diff file instead of a GitHub PR ("-" reads stdin)')
+        .option('--base <ref>', 'Review a local git diff from this ref instead of a GitHub PR')
+        .option('--head <ref>', 'Head ref for --base (default: HEAD)')
+        .option('--include <glob>', 'Only review files matching this glob (repeatable)', collect, [])
+        .option('--exclude <glob>', 'Skip files matching this glob (repeatable)', collect, [])
+        .option('--no-default-excludes', 'Also review lockfiles, dist/, vendor/ and snapshots')
+        .option('--config <file>', `Local config file to use instead of ${CONFIG_FILES[0]} from the PR base branch`)
+        .option('--language <language>', 'Language to write review comments in')
+        .option('--max-inline-comments <number>', 'Post at most this many inline comments, most severe first')
+        .option('--max-chunk-size <chars>', 'Split diffs larger than this into chunks reviewed separately')
+        .option('--max-diff-size <chars>', 'Review at most this much diff; the rest is reported as not reviewed')
+        .option('--concurrency <number>', 'Number of diff chunks reviewed in parallel')
+        .option('--max-tokens <number>', 'Stop reviewing further chunks once the run has used this many LLM tokens')
+        .option('--max-cost <usd>', 'Stop reviewing further chunks once the estimated LLM cost reaches this many US dollars')
+        .option('--skip-drafts', 'Skip draft PRs')
+        .option('--skip-bots', 'Skip PRs opened by bot accounts')
+        .option('--skip-label <label>', 'Skip PRs with this label (repeatable)', collect, [])
+        .option('--skip-author <glob>', 'Skip PRs whose author login matches this glob (repeatable)', collect, [])
+        .option('--skip-base <glob>', 'Skip PRs into base branches matching this glob (repeatable)', collect, [])
+        .option('--max-changed-lines <number>', 'Skip PRs that add and delete more lines than this')
+        .option('--min-changed-lines <number>', 'Skip PRs that add and delete fewer lines than this')
+        .option('--skip-comment', 'Post a short PR comment explaining why the review was skipped')
+        .option('--context <kind>', `Also send the reviewer context beyond the diff: ${Object.keys(CONTEXT_KINDS).join(', ')} (repeatable)`, collect, [])
+        .option('--max-context-file-size <chars>', 'Leave touched files larger than this out of the context')
+        .option('--max-context-size <chars>', 'Total size of touched file contents sent as context')
+        .option('--bot-mention <handle>', 'Handle developers @mention to ask the bot a question (reply command and webhook server)')
+        .addOption(new Option('--log-format <format>', 'Log output format').choices(LOG_FORMATS).default('pretty'))
+        .addOption(new Option('--log-level <level>', 'Lowest level that is logged').choices(LOG_LEVELS).default('info'))
+        .option('--log-file <path>', 'Also append logs to this file as JSON lines')
+        .option('--no-secret-scan', 'Send the diff to the LLM without scanning it for secrets first')
+        .option('--abort-on-secrets', 'Skip the LLM review when the secret scan finds anything; only the findings are reported')
+        .option('--history <file>', 'Append a record of every completed review to this JSON Lines file (see the report command)')
+        .option('--rules <file>', 'Team review rules file in the workspace, added to the repository rules (repeatable)', collect, [])
         .addHelpText('after', `
 Environment Variables:
   LLM_API_KEY               OpenAI API key
   LLM_ENDPOINT              OpenAI API endpoint
+  LLM_MODEL                 Model name used to price token usage when the review does not report it
   POST_COMMENTS             Post comments to PR (true/false, default: true)
   GITHUB_BASE_URL           GitHub base URL (default: https://api.github.com)
+  BUILD_URL                 Jenkins build URL linked from the check run / commit status (set by Jenkins)
+
+  Jenkins (used when <org> <repo> <pr> are omitted; branch builds exit 0 as "Not a PR build"):
+  CHANGE_ID, CHANGE_URL     Pull request number and URL of multibranch PR builds (GIT_URL when CHANGE_URL is unknown)
+  ghprbPullId               Pull request number of GitHub Pull Request Builder jobs, with ghprbGhRepository
+
+  GitLab (--provider gitlab):
+  GITLAB_TOKEN              Access token with the api scope
+  GITLAB_BASE_URL           GitLab API URL (default: https://gitlab.com/api/v4)
+
+  Bitbucket Server / Data Center (--provider bitbucket-server):
+  BITBUCKET_BASE_URL        Bitbucket Server URL, e.g. https://bitbucket.example.com
+  BITBUCKET_TOKEN           HTTP access token (or BITBUCKET_USERNAME with BITBUCKET_PASSWORD)
   
-  GitHub App Authentication (required):
+  GitHub Authentication (one of):
   GITHUB_APP_ID             GitHub App ID
   GITHUB_APP_PRIVATE_KEY    GitHub App private key (PEM format)
-  GITHUB_INSTALLATION_ID    GitHub App installation ID
+  GITHUB_APP_PRIVATE_KEY_PATH  File containing the GitHub App private key (e.g. Jenkins file credential)
+  GITHUB_INSTALLATION_ID    GitHub App installation ID (looked up from org/repo when unset)
+  GITHUB_TOKEN              Personal access token or Jenkins-provided token instead of a GitHub App
+  GITHUB_AUTH_MODE          Force "app" or "token" when both are set (default: app if GITHUB_APP_ID is set)
 
 Examples:
   ai-review myorg myrepo 123
+  ai-review                                  # inside a Jenkins PR build
   ai-review myorg myrepo 123 --output custom-results.json
   ai-review myorg myrepo 123 --no-comments --dry-run
-        `);
+  ai-review myorg myrepo 123 --no-incremental
+  ai-review myorg myrepo 123 --outdated-comments resolve
+  ai-review myorg myrepo 123 --fail-on critical --unstable-on warning
+  ai-review --diff-file changes.patch
+  git diff main... | ai-review --diff-file -
+  ai-review --base origin/main --head HEAD
+  ai-review myorg myrepo 123 --format junit:reports/ai-review.xml --format sarif
+  ai-review myorg myrepo 123 --include 'src/**' --exclude '**/*.test.js'
+  ai-review myorg myrepo 123 --max-chunk-size 40000 --concurrency 4
+  ai-review myorg myrepo 123 --max-tokens 200000 --max-cost 0.50
+  ai-review myorg myrepo 123 --log-format json --log-file logs/ai-review.jsonl
+  ai-review myorg myrepo 123 --history /var/lib/ai-review/history.jsonl
+  ai-review myorg myrepo 123 --skip-drafts --skip-bots --skip-label skip-ai-review --skip-comment
+  ai-review myorg myrepo 123 --context files --context pr --context issues
+  ai-review myorg myrepo 123 --rules ci/review-rules.yml
+  ai-review --provider gitlab mygroup/subgroup myproject 42
+  ai-review --provider bitbucket-server PROJ my-repo 7
+  ai-review serve --port 8080 --max-concurrent-reviews 3
+  ai-review reply myorg myrepo 123 --bot-mention ai-reviewer
+  ai-review post review-results.json
+  ai-review render review-results.json --format html
+  ai-review report /var/lib/ai-review/history.jsonl --since 2024-01-01 -o trends.md
+
+Exit Codes:
+  0  Review completed and passed the quality gate
+  1  Review failed to run (bad arguments, credentials, API or LLM errors)
+  2  Review found blocking issues (--fail-on / --max-comments, or secrets in the diff)
+  3  Review found issues that make the build unstable (--unstable-on)
+        `)
+        .action(() => {});
+
+    let replay = null;
+    program
+        .command('post')
+        .description('Post a saved results file to its pull request without re-running the review')
+        .argument('<results-file>', 'Results JSON written by a previous run')
+        .argument('[org]', 'GitHub organization (required when the results have no pull request)')
+        .argument('[repo]', 'Repository name')
+        .argument('[pr]', 'Pull request number')
+        .addHelpText('after', `
+The results file is updated with the new posting outcome.
+Main command options such as --outdated-comments and --max-inline-comments apply.
+
+Examples:
+  ai-review post review-results.json
+  ai-review post local-review.json myorg myrepo 123
+        `)
+        .action((file, org, repo, pr) => {
+            replay = { command: 'post', file, org, repo, pr };
+        });
+
+    program
+        .command('render')
+        .description('Render a saved results file as Markdown or HTML')
+        .argument('<results-file>', 'Results JSON written by a previous run')
+        .addHelpText('after', `
+Without --format the Markdown report is printed to stdout.
+
+Examples:
+  ai-review render review-results.json > review.md
+  ai-review render review-results.json --format html:reports/ai-review.html --format markdown
+        `)
+        .action((file) => {
+            replay = { command: 'render', file };
+        });
+
+    let reportOptions = null;
+    program
+        .command('report')
+        .description('Aggregate a --history file into per-repository, weekly, per-file and per-author trend tables')
+        .argument('<history-file>', 'JSON Lines file written with --history')
+        .option('--repo <org/repo>', 'Only include runs on this repository')
+        .option('--since <date>', 'Only include runs on or after this date, e.g. 2024-01-31')
+        .option('--limit <number>', 'Rows in the file and author tables', String(DEFAULT_REPORT_LIMIT))
+        .addOption(new Option('--report-format <format>', 'Report format').choices(REPORT_FORMATS).default('markdown'))
+        .addHelpText('after', `
+The report is printed to stdout unless --output is given.
+
+Examples:
+  ai-review report history.jsonl > review-trends.md
+  ai-review report history.jsonl --repo myorg/myrepo --since 2024-01-01
+  ai-review report history.jsonl --report-format json -o review-trends.json
+        `)
+        .action((file, options) => {
+            reportOptions = { file, ...options };
+        });
+
+    let followUp = null;
+    program
+        .command('reply')
+        .description('Answer developer replies to the bot, and @mentions of it, in the PR review threads')
+        .argument('<org>', 'GitHub organization/owner name')
+        .argument('<repo>', 'Repository name')
+        .argument('<pr>', 'Pull request number')
+        .addHelpText('after', `
+Replies in threads started by the bot are answered, as are comments that
+@mention --bot-mention anywhere. Each comment is answered once.
+Results are written to follow-up-results.json unless --output is given.
+
+Examples:
+  ai-review reply myorg myrepo 123
+  ai-review reply myorg myrepo 123 --bot-mention ai-reviewer
+        `)
+        .action((org, repo, pr) => {
+            followUp = { org, repo, pr };
+        });
+
+    let serveOptions = null;
+    program
+        .command('serve')
+        .description('Run an HTTP server that reviews PRs on GitHub pull_request webhooks')
+        .option('--port <number>', 'Port to listen on', '3000')
+        .option('--host <host>', 'Interface to listen on', '0.0.0.0')
+        .addOption(new Option('--max-concurrent-reviews <number>', 'Number of reviews run in parallel')
+            .env('SERVE_MAX_CONCURRENT_REVIEWS').default('2'))
+        .addOption(new Option('--max-queue-size <number>', 'Pending reviews allowed before webhooks are rejected')
+            .env('SERVE_MAX_QUEUE_SIZE').default('50'))
+        .option('--output-dir <dir>', 'Write the results JSON of every review to this directory')
+        .addHelpText('after', `
+Environment Variables:
+  GITHUB_WEBHOOK_SECRET          Secret configured on the GitHub webhook (required)
+  SERVE_MAX_CONCURRENT_REVIEWS   Default for --max-concurrent-reviews
+  SERVE_MAX_QUEUE_SIZE           Default for --max-queue-size
+
+Review options of the main command (--fail-on, --no-incremental, --include, ...) apply to every review.
+
+Endpoints:
+  POST /webhook             GitHub webhook receiver (pull_request: opened, synchronize, ready_for_review;
+                            pull_request_review_comment: created, answered like the reply command)
+  GET  /health              Liveness and queue statistics
+        `)
+        .action((options) => {
+            serveOptions = options;
+        });
 
     try {
         program.parse(process.argv);
         const options = program.opts();
         const args = program.args;
 
+        if (options.logFile) {
+            fs.mkdirSync(path.dirname(path.resolve(options.logFile)), { recursive: true });
+        }
+        logger.configure({ format: options.logFormat, level: options.logLevel, file: options.logFile });
+
+        // Follow-up replies and the webhook server read GitHub review threads and events
+        if ((serveOptions || followUp) && options.provider !== 'github') {
+            throw new Error(`The ${serveOptions ? 'serve' : 'reply'} command only supports --provider github`);
+        }
+
+        if (reportOptions) {
+            if (!/^[1-9]\d*$/.test(reportOptions.limit)) {
+                throw new Error('--limit must be a positive integer');
+            }
+            if (reportOptions.since !== undefined && Number.isNaN(Date.parse(reportOptions.since))) {
+                throw new Error('--since must be a date, e.g. 2024-01-31');
+            }
+        }
+
+        if (serveOptions) {
+            for (const name of ['port', 'maxConcurrentReviews', 'maxQueueSize']) {
+                if (!/^[1-9]\d*$/.test(serveOptions[name])) {
+                    const flag = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+                    throw new Error(`--${flag} must be a positive integer`);
+                }
+            }
+        }
+
         // Set environment variables based on CLI options
-        if (options.noComments || options.dryRun) {
+        if (options.comments === false || options.dryRun) {
             process.env.POST_COMMENTS = 'false';
         }
 
+        if (options.head && !options.base) {
+            throw new Error('--head requires --base');
+        }
+
+        if (options.diffFile && options.base) {
+            throw new Error('--diff-file and --base cannot be used together');
+        }
+
+        for (const name of ['maxComments', 'maxInlineComments']) {
+            if (options[name] !== undefined && !/^\d+$/.test(options[name])) {
+                const flag = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+                throw new Error(`--${flag} must be a non-negative integer`);
+            }
+        }
+
+        for (const name of ['maxChunkSize', 'maxDiffSize', 'concurrency', 'maxTokens', 'maxChangedLines', 'minChangedLines',
+            'maxContextFileSize', 'maxContextSize']) {
+            if (options[name] !== undefined && !/^[1-9]\d*$/.test(options[name])) {
+                const flag = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+                throw new Error(`--${flag} must be a positive integer`);
+            }
+        }
+
+        const unknownContext = options.context.find(kind => !Object.keys(CONTEXT_KINDS).includes(kind));
+        if (unknownContext) {
+            throw new Error(`Unknown context "${unknownContext}" (expected one of: ${Object.keys(CONTEXT_KINDS).join(', ')})`);
+        }
+
+        if (options.maxCost !== undefined && !(/^\d*\.?\d+$/.test(options.maxCost) && parseFloat(options.maxCost) > 0)) {
+            throw new Error('--max-cost must be a positive number');
+        }
+
+        // Inside a Jenkins build the PR can come from the environment instead of the arguments
+        const explicitProvider = program.getOptionValueSource('provider') === 'cli' ? options.provider : undefined;
+        let target = { org: args[0], repo: args[1], pr: args[2], provider: explicitProvider };
+        let build = null;
+        if (!serveOptions && !followUp && !replay && !reportOptions && args.length === 0 && !options.diffFile && !options.base) {
+            build = detectJenkinsPullRequest(process.env);
+            if (build?.pullRequest) {
+                target = inferJenkinsTarget(build, explicitProvider);
+            } else if (build) {
+                logger.info('Jenkins branch build without a pull request', { branch: build.branch });
+            }
+        }
+
         return {
-            org: args[0],
-            repo: args[1],
-            pr: args[2],
-            outputFile: options.output,
+            command: serveOptions ? 'serve' : followUp ? 'reply' : reportOptions ? 'report' : (replay ? replay.command : 'review'),
+            replay,
+            report: reportOptions ? {
+                file: reportOptions.file,
+                repository: reportOptions.repo || null,
+                since: reportOptions.since || null,
+                limit: parseInt(reportOptions.limit),
+                format: reportOptions.reportFormat,
+                // Printed to stdout unless -o is given, so the review results are never overwritten
+                output: program.getOptionValueSource('output') === 'cli' ? options.output : null
+            } : null,
+            serve: serveOptions ? {
+                port: parseInt(serveOptions.port),
+                host: serveOptions.host,
+                maxConcurrentReviews: parseInt(serveOptions.maxConcurrentReviews),
+                maxQueueSize: parseInt(serveOptions.maxQueueSize),
+                outputDir: serveOptions.outputDir
+            } : null,
+            org: followUp ? followUp.org : target.org,
+            repo: followUp ? followUp.repo : target.repo,
+            pr: followUp ? followUp.pr : target.pr,
+            // Set on Jenkins branch builds, which end with a "not a PR build" result
+            notPullRequest: build && !build.pullRequest ? { branch: build.branch } : null,
+            // Follow-up results must not overwrite the review results by default
+            outputFile: followUp && program.getOptionValueSource('output') !== 'cli' ? 'follow-up-results.json' : options.output,
+            formats: options.format,
             dryRun: options.dryRun,
+            incremental: options.incremental,
+            outdatedComments: options.outdatedComments,
+            failOn: options.failOn,
+            unstableOn: options.unstableOn,
+            maxComments: options.maxComments !== undefined ? parseInt(options.maxComments) : undefined,
+            status: options.status && !options.dryRun,
+            diffFile: options.diffFile,
+            base: options.base,
+            head: options.head,
+            configFile: options.config,
+            include: options.include,
+            exclude: options.exclude,
+            // Only an explicit --no-default-excludes overrides the config file
+            defaultExcludes: program.getOptionValueSource('defaultExcludes') === 'cli' ? options.defaultExcludes : undefined,
+            secretScan: program.getOptionValueSource('secretScan') === 'cli' ? options.secretScan : undefined,
+            abortOnSecrets: options.abortOnSecrets,
+            ruleFiles: options.rules,
+            language: options.language,
+            maxInlineComments: options.maxInlineComments !== undefined ? parseInt(options.maxInlineComments) : undefined,
+            maxChunkSize: options.maxChunkSize !== undefined ? parseInt(options.maxChunkSize) : undefined,
+            maxDiffSize: options.maxDiffSize !== undefined ? parseInt(options.maxDiffSize) : undefined,
+            concurrency: options.concurrency !== undefined ? parseInt(options.concurrency) : undefined,
+            maxTokens: options.maxTokens !== undefined ? parseInt(options.maxTokens) : undefined,
+            maxCost: options.maxCost !== undefined ? parseFloat(options.maxCost) : undefined,
+            skipDrafts: options.skipDrafts,
+            skipBots: options.skipBots,
+            skipLabel: options.skipLabel,
+            skipAuthor: options.skipAuthor,
+            skipBase: options.skipBase,
+            maxChangedLines: options.maxChangedLines !== undefined ? parseInt(options.maxChangedLines) : undefined,
+            minChangedLines: options.minChangedLines !== undefined ? parseInt(options.minChangedLines) : undefined,
+            skipComment: options.skipComment,
+            context: options.context,
+            maxContextFileSize: options.maxContextFileSize !== undefined ? parseInt(options.maxContextFileSize) : undefined,
+            maxContextSize: options.maxContextSize !== undefined ? parseInt(options.maxContextSize) : undefined,
+            botMention: options.botMention,
+            history: options.history,
+            // Left unset unless given or detected, so `post` can use the provider recorded in the results file
+            provider: target.provider,
             maxRetries: parseInt(options.maxRetries)
         };
     } catch (error) {
         logger.error('Invalid command line arguments', { error: error.message });
-        process.exit(1);
+        process.exit(EXIT_CODES.REVIEW_ERROR);
     }
 }
 
-// Get diff from GitHub API using Octokit
-async function getPullRequestDiff(org, repo, prNumber) {
-    logger.info('Getting PR diff from GitHub API', { org, repo, prNumber });
-    
-    return withRetry(async () => {
-        const octokit = createOctokit();
-        
-        const response = await octokit.rest.pulls.get({
-            owner: org,
-            repo: repo,
-            pull_number: parseInt(prNumber),
-            mediaType: {
-                format: 'diff'
-            }
-        });
-        
-        // Check rate limits
-        await rateLimiter.checkAndWait(response);
-        
-        const diff = response.data;
-        
-        if (!diff || !diff.trim()) {
-            throw new Error('No differences found in pull request');
+// Read the repository config from the PR base branch, so a PR cannot loosen its own review settings
+async function getRepositoryConfig(org, repo, ref, provider) {
+    for (const fileName of CONFIG_FILES) {
+        let content;
+        try {
+            content = await provider.readFile(org, repo, ref, fileName);
+        } catch (error) {
+            throw new Error(`Failed to read ${fileName} from ${ref}: ${error.message}`);
         }
-        
-        logger.success('Successfully retrieved PR diff', { 
-            size: diff.length,
-            org, 
-            repo, 
-            prNumber 
-        });
-        
-        return diff;
-        
-    }).catch(error => {
-        if (error.status === 404) {
-            throw new Error(`PR #${prNumber} not found in ${org}/${repo}`);
-        } else if (error.status === 403) {
-            throw new Error('GitHub API access denied. Check your authentication permissions.');
-        } else if (error.status === 401) {
-            throw new Error('GitHub API authentication failed. Check your credentials.');
-        } else {
-            throw new Error(`Failed to get PR diff: ${error.message}`);
+        if (content === null) {
+            continue;
         }
-    });
+
+        const source = `${org}/${repo}@${ref}:${fileName}`;
+        return { config: validateConfig(parseConfig(content, fileName), source), source };
+    }
+
+    return { config: {}, source: null };
 }
 
-// Post review comments back to GitHub PR
-async function postReviewToGitHub(org, repo, prNumber, review) {
-    const shouldPost = process.env.POST_COMMENTS !== 'false';
-    if (!shouldPost) {
-        logger.info('Skipping GitHub comment posting (POST_COMMENTS=false)');
-        return;
+// Team rules: inline config rules, then the config's ruleFiles (read like the config itself), then --rules files
+async function loadReviewRules(config, configSource, readRepoFile, localFiles = []) {
+    const sources = config.rules.length > 0 ? [{ source: configSource || 'configuration', rules: config.rules }] : [];
+
+    for (const file of config.ruleFiles) {
+        const content = await readRepoFile(file);
+        if (content === null) {
+            throw new Error(`Rule file ${file} listed in ${configSource || 'the configuration'} not found`);
+        }
+        sources.push({ source: file, rules: parseRuleFile(content, file) });
     }
 
-    logger.info('Posting review comments to GitHub PR', { 
-        org, 
-        repo, 
-        prNumber,
-        summaryLength: review.summary?.length || 0,
-        commentCount: review.comments?.length || 0
-    });
-    
-    try {
-        const octokit = createOctokit();
+    for (const file of localFiles) {
+        const content = readWorkspaceFile(file);
+        if (content === null) {
+            throw new Error(`Rule file not found: ${file}`);
+        }
+        sources.push({ source: file, rules: parseRuleFile(content, file) });
+    }
 
-        // Post summary as a general PR comment
-        if (review.summary && review.summary.trim()) {
-            const summaryComment = `## Review Summary
+    return combineRules(sources);
+}
 
-${review.summary}
+// Local file for review context when reviewing the workspace; null when it does not exist
+function readWorkspaceFile(filePath) {
+    const fullPath = path.resolve(filePath);
+    return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile() ? fs.readFileSync(fullPath, 'utf8') : null;
+}
 
----
-*Generated by CodeWhisperer*`;
+// Mark the review as running on the PR head: a check run, or a commit status where checks (or GitHub) are unavailable
+async function startReviewStatus(org, repo, headSha, provider) {
+    const buildUrl = process.env.BUILD_URL || undefined;
 
-            await withRetry(() => octokit.rest.issues.createComment({
-                owner: org,
-                repo: repo,
-                issue_number: parseInt(prNumber),
-                body: summaryComment
-            }));
-            
-            logger.success('Posted summary comment to PR');
+    if (provider.setStatus) {
+        try {
+            await provider.setStatus(org, repo, headSha, { state: 'pending', description: 'AI review in progress', url: buildUrl });
+            return { type: 'provider', provider, org, repo, headSha, buildUrl };
+        } catch (error) {
+            logger.warn(`Could not set ${provider.label} commit status for AI review`, { error: error.message });
+            return null;
         }
+    }
 
-        // Post line-specific comments if available
-        if (review.comments && review.comments.length > 0) {
-            let postedCount = 0;
-            
-            // Get PR details to get the head commit SHA (required for Enterprise GitHub)
-            const prDetails = await withRetry(() => octokit.rest.pulls.get({
-                owner: org,
-                repo: repo,
-                pull_number: parseInt(prNumber)
-            }));
-            const commitId = prDetails.data.head.sha;
-            
-            for (const comment of review.comments) {
-                // Extract properties outside try block for error handling
-                const filePath = comment.file || comment.filename;
-                const commentBody = comment.message || comment.body;
-                
-                try {
-                    // Only post if we have file path and line number
-                    if (filePath && comment.line && commentBody) {
-                        await withRetry(() => octokit.rest.pulls.createReviewComment({
-                            owner: org,
-                            repo: repo,
-                            pull_number: parseInt(prNumber),
-                            body: commentBody,
-                            path: filePath,
-                            commit_id: commitId,
-                            line: comment.line,
-                            side: 'RIGHT'
-                        }));
-                        postedCount++;
-                    }
-                } catch (error) {
-                    logger.warn(`Could not post comment for ${filePath || 'unknown'}:${comment.line}`, { error: error.message });
+    const octokit = await provider.getOctokit(org, repo);
+
+    try {
+        const response = await withRetry(() => octokit.rest.checks.create({
+            owner: org,
+            repo: repo,
+            name: STATUS_NAME,
+            head_sha: headSha,
+            status: 'in_progress',
+            details_url: buildUrl,
+            external_id: process.env.BUILD_TAG || undefined
+        }));
+
+        logger.info('Created check run for AI review', { checkRunId: response.data.id });
+        return { type: 'check', id: response.data.id, provider, org, repo, headSha, buildUrl };
+    } catch (error) {
+        // Older GitHub Enterprise installs and non-App tokens cannot use the checks API
+        if (error.status !== 403 && error.status !== 404) {
+            logger.warn('Could not create check run for AI review', { error: error.message });
+            return null;
+        }
+        logger.info('Checks API unavailable, falling back to commit status', { status: error.status });
+    }
+
+    try {
+        await withRetry(() => octokit.rest.repos.createCommitStatus({
+            owner: org,
+            repo: repo,
+            sha: headSha,
+            state: 'pending',
+            context: STATUS_NAME,
+            description: 'AI review in progress',
+            target_url: buildUrl
+        }));
+
+        return { type: 'status', provider, org, repo, headSha, buildUrl };
+    } catch (error) {
+        logger.warn('Could not create commit status for AI review', { error: error.message });
+        return null;
+    }
+}
+
+// Report the final review outcome on the check run or commit status started earlier
+async function completeReviewStatus(status, result) {
+    if (!status) {
+        return;
+    }
+
+    const outcome = buildStatusOutcome({ ...result, buildUrl: status.buildUrl });
+    const label = status.provider.label;
+
+    try {
+        if (status.type === 'provider') {
+            await status.provider.setStatus(status.org, status.repo, status.headSha, {
+                state: outcome.state,
+                description: outcome.description,
+                url: status.buildUrl
+            });
+        } else if (status.type === 'check') {
+            const octokit = await status.provider.getOctokit(status.org, status.repo);
+            await withRetry(() => octokit.rest.checks.update({
+                owner: status.org,
+                repo: status.repo,
+                check_run_id: status.id,
+                status: 'completed',
+                conclusion: outcome.conclusion,
+                completed_at: new Date().toISOString(),
+                output: {
+                    title: outcome.title,
+                    summary: outcome.summary
                 }
-            }
-            
-            if (postedCount > 0) {
-                logger.success(`Posted ${postedCount} line-specific comments`);
-            } else {
-                logger.info('No line-specific comments could be posted');
-            }
+            }));
+        } else {
+            const octokit = await status.provider.getOctokit(status.org, status.repo);
+            await withRetry(() => octokit.rest.repos.createCommitStatus({
+                owner: status.org,
+                repo: status.repo,
+                sha: status.headSha,
+                state: outcome.state,
+                context: STATUS_NAME,
+                description: outcome.description,
+                target_url: status.buildUrl
+            }));
         }
 
-        logger.success('Successfully posted review to GitHub PR!');
-        
+        logger.info(`Reported AI review outcome to ${label}`, { type: status.type, outcome: outcome.title });
     } catch (error) {
-        logger.error('Failed to post comments to GitHub', { error: error.message });
-        // Don't fail the entire review if posting comments fails
+        logger.warn(`Could not report AI review outcome to ${label}`, { error: error.message });
     }
 }
 
-// Main function
-async function main() {
-    // Parse arguments first (outside try-catch for error handling)
-    const params = parseArgs();
-    
+// Provider for --provider: GitHub through Octokit, or a REST client for the other hosts
+function getProvider(name = 'github') {
+    return name === 'github'
+        ? createGitHubProvider({ getOctokit: createOctokit, retry: withRetry, logger })
+        : createProvider(name, { retry: withRetry });
+}
+
+// Post through the provider's own review call, or as separate comments
+function postReview(provider, org, repo, prNumber, review, options = {}) {
+    if (process.env.POST_COMMENTS === 'false') {
+        logger.info(`Skipping ${provider.label} comment posting (POST_COMMENTS=false)`);
+        return { posted: false, reason: 'Comment posting disabled' };
+    }
+
+    return provider.postReview
+        ? provider.postReview(org, repo, prNumber, review, options)
+        : postReviewAsComments(provider, org, repo, prNumber, review, options, logger);
+}
+
+// Explain a skipped review on the PR through the provider's own call, or as a plain PR comment
+function postSkipComment(provider, org, repo, prNumber, reason) {
+    return provider.postSkipComment
+        ? provider.postSkipComment(org, repo, prNumber, reason)
+        : postSkipCommentAsComment(provider, org, repo, prNumber, reason, logger);
+}
+
+// Write the results JSON plus every additional format requested with --format (server mode may have no output file)
+function writeResults(result, params) {
+    if (params.outputFile) {
+        fs.writeFileSync(params.outputFile, formatResults(result, 'json'));
+    }
+
+    for (const { format, path: outputPath } of params.formats || []) {
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, formatResults(result, format));
+        logger.info(`Wrote ${format} results to ${outputPath}`);
+    }
+}
+
+// Add the run to the --history file; the review itself succeeded, so a failed write is only a warning
+function recordHistory(file, result, prDetails) {
     try {
-        logger.info('Starting AI Code Review', { 
-            org: params.org, 
-            repo: params.repo, 
-            prNumber: params.pr,
-            outputFile: params.outputFile
-        });
-        
+        appendHistory(file, buildHistoryRecord(result, { author: prDetails?.user?.login || null }));
+    } catch (error) {
+        logger.warn(`Could not record the review in ${file}: ${error.message}`);
+    }
+}
+
+// Write a successful "nothing to review" result and close the GitHub status. Without a quality gate from the
+// caller the run passes; a gate given here is recorded and decides the status and exit code like a review would.
+async function writeSkippedResult(params, status, reason, extra = {}, qualityGate = null) {
+    const result = {
+        success: true,
+        repository: params.org ? `${params.org}/${params.repo}` : null,
+        pullRequest: params.pr || null,
+        timestamp: new Date().toISOString(),
+        skipped: true,
+        reason,
+        ...extra,
+        ...(qualityGate ? { qualityGate } : {})
+    };
+
+    writeResults(result, params);
+    await completeReviewStatus(status, { qualityGate: qualityGate || evaluateQualityGate([]) });
+    logger.success(params.outputFile ? `${reason}. Results saved to ${params.outputFile}` : reason);
+
+    if (qualityGate && qualityGate.status !== 'passed') {
+        logger.warn(`Quality gate ${qualityGate.status}: ${qualityGate.reasons.join('; ')}`);
+    }
+    return result;
+}
+
+// Findings of earlier AI reviews that still count towards the quality gate of an incremental review
+async function getOpenFindings(provider, params, reviewScope) {
+    if (reviewScope.mode !== 'incremental' || !provider.listOpenFindings) {
+        return [];
+    }
+
+    const findings = await provider.listOpenFindings(params.org, params.repo, params.pr);
+    if (findings.length > 0) {
+        logger.info(`Counting ${findings.length} open finding(s) from earlier AI reviews in the quality gate`);
+    }
+    return findings;
+}
+
+// Review one PR or local diff end to end; returns the results object written to disk
+async function runReview(params) {
+    let status = null;
+
+    // Branch builds of a multibranch job run the same pipeline; there is nothing to review
+    if (params.notPullRequest) {
+        return writeSkippedResult(params, null, 'Not a PR build', { notPullRequest: true, branch: params.notPullRequest.branch });
+    }
+
+    try {
+        const localMode = !!(params.diffFile || params.base);
+        const hasPullRequest = !!(params.org || params.repo || params.pr);
+        const shouldPost = process.env.POST_COMMENTS !== 'false';
+        const provider = getProvider(params.provider);
+
+        // The code host is only needed to fetch the PR diff, or to post a local review to a PR
+        const useHost = !localMode || (hasPullRequest && shouldPost);
+
         // Validate inputs and environment
-        validateInputs(params.org, params.repo, params.pr);
-        validateEnvironment();
+        if (!localMode || hasPullRequest) {
+            validateInputs(params.org, params.repo, params.pr, { nested: !!provider.nestedNamespaces });
+        }
+        validateEnvironment({ provider: useHost ? provider : null });
+
         
-        // Get diff from GitHub API
-        const diff = await getPullRequestDiff(params.org, params.repo, params.pr);
+        let prDetails = null;
+        let headSha = null;
+        if (useHost) {
+            prDetails = await provider.getPullRequest(params.org, params.repo, params.pr);
+            headSha = prDetails.head.sha;
+
+            // Let branch protection see the review is running
+            if (params.status) {
+                status = await startReviewStatus(params.org, params.repo, headSha, provider);
+            }
+        }
+
+        // Repository config: an explicit --config file, else the PR base branch, else the workspace
+        const repoConfig = params.configFile || !prDetails
+            ? loadLocalConfig(params.configFile)
+            : await getRepositoryConfig(params.org, params.repo, prDetails.base.ref, provider);
+        const config = mergeConfig(repoConfig.config, params);
+        const effectiveConfig = { source: repoConfig.source, ...config };
+
+        if (repoConfig.source) {
+            logger.info(`Loaded configuration from ${repoConfig.source}`);
+        }
+
+        // A known but unpriced model can never be held to --max-cost; without LLM_MODEL the core may still report one
+        const unpricedBudget = describeUnpricedBudget(process.env.LLM_MODEL, config.budget, { ...DEFAULT_PRICES, ...config.pricing });
+        if (unpricedBudget && process.env.LLM_MODEL) {
+            throw new Error(unpricedBudget);
+        } else if (unpricedBudget) {
+            logger.warn(`${unpricedBudget}. The cost limit only applies once the LLM response names a priced model`);
+        }
+
+        // Skip rules only need the PR details, so they run before any diff is fetched
+        const skip = prDetails ? evaluateSkipRules(prDetails, config.skip) : null;
+        if (skip) {
+            // The skip note is edited in place on re-runs
+            const skipComment = config.skip.comment && shouldPost
+                ? await postSkipComment(provider, params.org, params.repo, params.pr, skip.reason)
+                : null;
+            return writeSkippedResult(params, status, `Review skipped: ${skip.reason}`, {
+                skipRule: skip.rule,
+                config: effectiveConfig,
+                ...(skipComment ? { skipComment } : {})
+            });
+        }
+
+        let scope;
+        let reviewScope;
+
+        if (localMode) {
+            const local = getLocalDiff({ diffFile: params.diffFile, base: params.base, head: params.head });
+            logger.info('Reviewing local diff', local.source);
+
+            scope = { headSha, baseSha: null, diff: local.diff };
+            reviewScope = { mode: 'local', source: local.source, headSha };
+        } else {
+            // Only review commits pushed since the last AI review when possible (found from GitHub review markers)
+            const incremental = params.incremental && Boolean(provider.getIncrementalDiff);
+            if (params.incremental && !incremental) {
+                logger.debug(`Incremental reviews are not available on ${provider.label}, reviewing the full PR`);
+            }
+            scope = incremental
+                ? await provider.getIncrementalDiff(params.org, params.repo, params.pr, headSha)
+                : { headSha, baseSha: null, diff: null };
+            reviewScope = {
+                mode: scope.diff !== null ? 'incremental' : 'full',
+                baseSha: scope.baseSha,
+                headSha: scope.headSha
+            };
+        }
+
+        // A rebuild of an already reviewed head keeps the outcome of its open findings instead of passing
+        if (scope.diff === '') {
+            const openFindings = await getOpenFindings(provider, params, reviewScope);
+            return writeSkippedResult(params, status, 'No new commits since the last AI review', {
+                reviewScope: { ...reviewScope, openFindings: openFindings.length },
+                config: effectiveConfig
+            }, evaluateQualityGate(openFindings, config.qualityGate));
+        }
+
+        // Get diff from the code host
+        const rawDiff = scope.diff !== null
+            ? scope.diff
+            : await provider.getDiff(params.org, params.repo, params.pr);
+
+        // Drop lockfiles, generated and vendored code before it costs LLM tokens
+        const pathFilter = filterDiff(rawDiff, config.paths);
+        const diff = pathFilter.diff;
+
+        if (pathFilter.skippedFiles.length > 0) {
+            logger.info(`Skipping ${pathFilter.skippedFiles.length} file(s) excluded by path filters`, {
+                files: pathFilter.skippedFiles.map(file => file.file)
+            });
+        }
+
+        if (!diff.trim()) {
+            // New commits that only touch excluded files leave the findings of earlier runs open just the same
+            const openFindings = await getOpenFindings(provider, params, reviewScope);
+            return writeSkippedResult(params, status, 'All changed files are excluded by path filters', {
+                reviewScope: reviewScope.mode === 'incremental' ? { ...reviewScope, openFindings: openFindings.length } : reviewScope,
+                config: effectiveConfig,
+                metadata: { skippedFiles: pathFilter.skippedFiles }
+            }, reviewScope.mode === 'incremental' ? evaluateQualityGate(openFindings, config.qualityGate) : null);
+        }
+
+        // Rule files listed in a base-branch config come from the base branch too, so a PR cannot rewrite its own rules
+        const rules = await loadReviewRules(
+            config,
+            repoConfig.source,
+            params.configFile || !prDetails
+                ? readWorkspaceFile
+                : file => provider.readFile(params.org, params.repo, prDetails.base.ref, file),
+            params.ruleFiles
+        );
+        if (rules.length > 0) {
+            logger.info(`Loaded ${rules.length} review rule(s)`, { rules: rules.map(rule => rule.id) });
+        }
+
+        // Secrets are reported from here and never sent to the LLM
+        const secretScan = config.secrets.scan ? scanDiff(diff, { exclude: config.secrets.exclude }) : null;
+        const secretFindings = secretScan ? secretScan.findings : [];
+        const abortReview = config.secrets.abortReview && secretFindings.length > 0;
+        if (secretFindings.length > 0) {
+            logger.warn(`Secret scan found ${secretFindings.length} possible secret(s); they are redacted from the review`, {
+                findings: secretFindings.map(finding => `${finding.file}:${finding.line} (${finding.type})`)
+            });
+        }
+        const reviewDiff = secretScan ? secretScan.diff : diff;
         
+        // Full touched files, the PR description and linked issues, when enabled
+        const contextOptions = config.context;
+        // A --base/--head review reads files as of the reviewed commit, not from the working tree
+        const readLocalFile = localMode && !params.diffFile && params.base
+            ? file => readGitFile(params.head || 'HEAD', file)
+            : readWorkspaceFile;
+        const context = !abortReview && (contextOptions.files || contextOptions.pullRequest || contextOptions.issues)
+            ? await collectReviewContext({
+                diff,
+                options: contextOptions,
+                readFile: useHost
+                    ? file => provider.readFile(params.org, params.repo, scope.headSha || headSha, file)
+                    : readLocalFile,
+                pullRequest: prDetails,
+                readIssue: useHost && provider.getIssue ? provider.getIssue : null,
+                org: params.org,
+                repo: params.repo,
+                ...(config.secrets.scan ? { redact: text => redactSecrets(text).text } : {})
+            })
+            : null;
+
+        if (context) {
+            logger.info('Including repository context', {
+                files: context.files.length,
+                pullRequest: !!context.pullRequest,
+                issues: context.issues.length
+            });
+            if (context.skippedFiles.length > 0) {
+                logger.info(`Leaving ${context.skippedFiles.length} file(s) out of the context`, { files: context.skippedFiles });
+            }
+        }
+
         // Initialize reviewer
         const reviewer = new CodeReviewer();
+        const usageMeter = createUsageMeter({
+            model: process.env.LLM_MODEL || null,
+            prices: { ...DEFAULT_PRICES, ...config.pricing }
+        });
         
         // Perform review with new API
-        logger.info('Analyzing code with AI', { diffSize: diff.length });
-        const review = await reviewer.reviewChanges(diff, {
-            generateSummary: true
+        if (abortReview) {
+            logger.warn('Skipping the AI review because the diff contains possible secrets (--abort-on-secrets)');
+        } else {
+            logger.info('Analyzing code with AI', { diffSize: reviewDiff.length });
+        }
+        const llmReview = abortReview ? {
+            summary: 'The AI review was skipped because the diff contains possible secrets.',
+            comments: [],
+            hunks: [],
+            metadata: {}
+        } : await reviewInChunks(reviewer, reviewDiff, {
+            generateSummary: true,
+            ...(config.language ? { language: config.language } : {}),
+            customInstructions: [config.instructions, SUGGESTION_INSTRUCTIONS].filter(Boolean).join('\n\n')
+        }, {
+            ...config.chunking,
+            meter: usageMeter,
+            budget: config.budget,
+            ...(context || rules.length > 0 ? {
+                // Each chunk only gets the contents of its own files and the rules that apply to them
+                chunkReviewOptions: (files) => {
+                    const instructions = [
+                        config.instructions,
+                        SUGGESTION_INSTRUCTIONS,
+                        context ? buildContextInstructions(context, files) : '',
+                        buildRuleInstructions(rulesForFiles(rules, files))
+                    ].filter(Boolean).join('\n\n');
+                    return { customInstructions: instructions };
+                }
+            } : {}),
+            onChunk: chunk => logger.info(`Reviewing chunk ${chunk.index + 1}/${chunk.total}`, {
+                files: chunk.files.length,
+                size: chunk.size
+            })
         });
+
+        // Comments the reviewer tagged with an applicable rule carry its ID and severity; replacement code becomes a suggestion
+        const ruleComments = rules.length > 0 ? tagRuleComments(llmReview.comments, rules) : llmReview.comments;
+        const aiReview = { ...llmReview, comments: (ruleComments || []).map(extractSuggestion) };
+
+        // Secret findings lead the comments, so they are posted and gated like any other finding
+        const review = secretFindings.length > 0 ? {
+            ...aiReview,
+            summary: [
+                `**Secret scan:** ${secretFindings.length} possible secret(s) found in the diff and kept from the AI reviewer; see the inline comments.`,
+                aiReview.summary
+            ].filter(Boolean).join('\n\n'),
+            comments: [...buildSecretComments(secretFindings), ...(aiReview.comments || [])]
+        } : aiReview;
+
+        const usage = usageMeter.report({ hunks: aiReview.hunks, comments: aiReview.comments, budget: config.budget });
+        logger.info('LLM usage', {
+            model: usage.model,
+            totalTokens: usage.totalTokens,
+            cost: usage.cost,
+            estimated: usage.estimated
+        });
+
+        if (config.budget.maxCost && !usage.priced) {
+            logger.warn(`The cost budget was not applied: no price for model "${usage.model || 'unknown'}"`);
+        }
+
+        if (review.metadata?.budgetExceeded) {
+            logger.warn(`Review stopped early: ${review.metadata.budgetExceeded}`);
+        } else if (usageMeter.exceeded(config.budget)) {
+            logger.warn(`LLM usage is over budget: ${usageMeter.exceeded(config.budget)}`);
+        }
+
+        if (review.metadata?.partialReview) {
+            logger.warn('Some files were not reviewed (diff size or budget limit)', {
+                files: review.metadata.notReviewedFiles
+            });
+        }
         
         logger.info('AI analysis completed', {
             summaryGenerated: !!review.summary,
@@ -339,38 +1063,371 @@ async function main() {
             hunkCount: review.hunks?.length || 0
         });
         
-        // Post review comments back to GitHub PR
-        await postReviewToGitHub(params.org, params.repo, params.pr, review);
+        // An incremental review only sees the new commits, so findings from earlier runs that are still open keep counting
+        const openFindings = await getOpenFindings(provider, params, reviewScope);
+
+        // Post review comments back to the PR
+        const posting = useHost
+            ? await postReview(provider, params.org, params.repo, params.pr, review, {
+                headSha: scope.headSha,
+                baseSha: reviewScope.mode === 'incremental' ? scope.baseSha : null,
+                outdatedComments: params.outdatedComments,
+                maxInlineComments: config.maxInlineComments,
+                details: prDetails,
+                // Anchors must match the PR diff, which a local diff may not
+                diff: localMode ? null : rawDiff
+            })
+            : { posted: false, reason: hasPullRequest ? 'Comment posting disabled' : 'No pull request to post to' };
+
+        // Decide the Jenkins build outcome from the findings
+        const qualityGate = evaluateQualityGate(withOpenFindings(review.comments, openFindings), config.qualityGate);
         
         // Write results
         const result = {
             success: true,
-            repository: `${params.org}/${params.repo}`,
-            pullRequest: params.pr,
+            provider: provider.name,
+            repository: hasPullRequest ? `${params.org}/${params.repo}` : null,
+            pullRequest: hasPullRequest ? params.pr : null,
             timestamp: new Date().toISOString(),
             summary: review.summary,
             comments: review.comments,
             hunks: review.hunks,
-            metadata: review.metadata
+            metadata: {
+                ...review.metadata,
+                skippedFiles: pathFilter.skippedFiles,
+                usage,
+                ...(context ? { context: describeContext(context) } : {}),
+                ...(rules.length > 0 ? {
+                    rules: rules.map(rule => ({
+                        id: rule.id,
+                        source: rule.source,
+                        comments: (review.comments || []).filter(comment => comment.ruleId === rule.id).length
+                    }))
+                } : {}),
+                runId: logger.runId
+            },
+            reviewScope: reviewScope.mode === 'incremental' ? { ...reviewScope, openFindings: openFindings.length } : reviewScope,
+            config: effectiveConfig,
+            secretScan: secretScan ? { findings: secretFindings, reviewAborted: abortReview } : null,
+            posting,
+            qualityGate
         };
         
-        fs.writeFileSync(params.outputFile, JSON.stringify(result, null, 2));
-        
-        logger.success(`Review completed! Results saved to ${params.outputFile}`);
+        writeResults(result, params);
+        if (params.history) {
+            recordHistory(params.history, result, prDetails);
+        }
+        await completeReviewStatus(status, { qualityGate });
         
+        logger.success(params.outputFile
+            ? `Review completed! Results saved to ${params.outputFile}`
+            : `Review completed for ${result.repository}#${result.pullRequest}`);
+
+        if (qualityGate.status !== 'passed') {
+            logger.warn(`Quality gate ${qualityGate.status}: ${qualityGate.reasons.join('; ')}`);
+        }
+
+        return result;
+    } catch (error) {
+        await completeReviewStatus(status, { error: error.message });
+        throw error;
+    }
+}
+
+// Answer unanswered developer replies in the PR review threads with threaded replies
+async function answerFollowUps(params) {
+    const { org, repo, pr } = params;
+    validateInputs(org, repo, pr);
+    const provider = getProvider();
+    validateEnvironment({ provider });
+
+    const prDetails = await provider.getPullRequest(org, repo, pr);
+    const repoConfig = params.configFile
+        ? loadLocalConfig(params.configFile)
+        : await getRepositoryConfig(org, repo, prDetails.base.ref, provider);
+    const config = mergeConfig(repoConfig.config, params);
+
+    const octokit = await provider.getOctokit(org, repo);
+    const comments = await withRetry(() => octokit.paginate(octokit.rest.pulls.listReviewComments, {
+        owner: org,
+        repo: repo,
+        pull_number: parseInt(pr),
+        per_page: 100
+    }));
+
+    const pending = findPendingFollowUps(comments, { mention: params.botMention });
+    logger.info(`Found ${pending.length} review thread(s) waiting for a reply`, { org, repo, pr });
+
+    const reviewer = new CodeReviewer();
+    const replies = [];
+    const failed = [];
+    // The thread's hunk and conversation get the same secret redaction as a review diff
+    const redact = config.secrets.scan ? text => redactSecrets(text).text : text => text;
+
+    for (const { root, thread, replyTo } of pending) {
+        try {
+            const answer = await reviewer.reviewChanges(redact(threadDiff(root)), {
+                generateSummary: true,
+                ...(config.language ? { language: config.language } : {}),
+                customInstructions: [config.instructions, redact(buildFollowUpInstructions(thread, replyTo))].filter(Boolean).join('\n\n')
+            });
+            if (!answer.summary || !answer.summary.trim()) {
+                throw new Error('The reviewer returned an empty reply');
+            }
+
+            const response = await withRetry(() => octokit.rest.pulls.createReplyForReviewComment({
+                owner: org,
+                repo: repo,
+                pull_number: parseInt(pr),
+                comment_id: root.id,
+                body: buildFollowUpBody(answer.summary, replyTo)
+            }));
+            replies.push({ threadId: root.id, inReplyTo: replyTo.id, commentId: response.data.id, path: root.path });
+        } catch (error) {
+            logger.warn(`Could not answer comment ${replyTo.id}: ${error.message}`);
+            failed.push({ threadId: root.id, inReplyTo: replyTo.id, error: error.message });
+        }
+    }
+
+    const result = {
+        success: failed.length === 0 || replies.length > 0,
+        repository: `${org}/${repo}`,
+        pullRequest: pr,
+        timestamp: new Date().toISOString(),
+        replies,
+        failed
+    };
+    if (params.outputFile) {
+        fs.writeFileSync(params.outputFile, formatResults(result, 'json'));
+    }
+
+    if (!result.success) {
+        throw new Error(`Could not answer any of the ${failed.length} waiting comment(s): ${failed[0].error}`);
+    }
+    logger.success(`Posted ${replies.length} follow-up repl${replies.length === 1 ? 'y' : 'ies'} on ${org}/${repo}#${pr}`);
+    return result;
+}
+
+// Run the webhook server until SIGINT/SIGTERM, letting running reviews finish first
+async function serve(params) {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error('GITHUB_WEBHOOK_SECRET environment variable is required (GitHub webhook secret)');
+    }
+    validateEnvironment();
+
+    const { serve: serveOptions } = params;
+    if (serveOptions.outputDir) {
+        fs.mkdirSync(serveOptions.outputDir, { recursive: true });
+    }
+
+    const queue = createReviewQueue({
+        concurrency: serveOptions.maxConcurrentReviews,
+        maxSize: serveOptions.maxQueueSize,
+        // Each job logs under its own run ID, which also goes into its results file
+        worker: job => logger.withContext({}, () => {
+            logger.info(`Starting ${job.type === 'reply' ? 'follow-up replies' : 'review'} for ${job.key}`, { delivery: job.delivery });
+            rememberInstallationId(job.org, job.repo, job.installationId);
+            if (job.type === 'reply') {
+                return answerFollowUps({
+                    ...params,
+                    org: job.org,
+                    repo: job.repo,
+                    pr: job.pr,
+                    outputFile: serveOptions.outputDir
+                        ? path.join(serveOptions.outputDir, `${job.org}-${job.repo}-${job.pr}-replies.json`)
+                        : null
+                });
+            }
+            return runReview({
+                ...params,
+                org: job.org,
+                repo: job.repo,
+                pr: job.pr,
+                outputFile: serveOptions.outputDir
+                    ? path.join(serveOptions.outputDir, `${job.org}-${job.repo}-${job.pr}.json`)
+                    : null,
+                formats: []
+            });
+        }),
+        onError: (error, job) => logger.error(`Review failed for ${job.key}: ${error.message}`)
+    });
+
+    const server = createWebhookServer({ secret, queue, logger });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(serveOptions.port, serveOptions.host, resolve);
+    });
+    logger.success(`Listening for GitHub webhooks on http://${serveOptions.host}:${serveOptions.port}/webhook`, {
+        maxConcurrentReviews: serveOptions.maxConcurrentReviews,
+        maxQueueSize: serveOptions.maxQueueSize
+    });
+
+    // Queued reviews are dropped; GitHub can redeliver their webhooks once the server is back
+    const shutdown = async (signal) => {
+        logger.info(`Received ${signal}, waiting for running reviews to finish`, queue.stats());
+        server.close();
+        const dropped = await queue.close();
+        if (dropped.length > 0) {
+            logger.warn(`Dropped ${dropped.length} queued job(s) on shutdown`, { pullRequests: dropped.map(job => job.key) });
+        }
+        process.exit(EXIT_CODES.SUCCESS);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    return server;
+}
+
+// Post a saved results file to its PR, recording the new posting outcome in the file
+async function postSavedResults(params) {
+    const { file } = params.replay;
+    const saved = validateResults(loadResultsFile(file), file);
+    const target = resolveReplayTarget(saved, params.replay);
+    // An explicit --provider wins over the one recorded when the review ran
+    const provider = getProvider(params.provider || saved.provider);
+
+    validateInputs(target.org, target.repo, target.pr, { nested: !!provider.nestedNamespaces });
+    validateEnvironment({ provider, llm: false });
+
+    logger.info(`Posting saved review to ${target.org}/${target.repo}#${target.pr}`, {
+        file,
+        commentCount: saved.comments.length
+    });
+
+    const scope = saved.reviewScope || {};
+    const posting = await postReview(provider, target.org, target.repo, target.pr, saved, {
+        headSha: scope.headSha || undefined,
+        baseSha: scope.mode === 'incremental' ? scope.baseSha : null,
+        outdatedComments: params.outdatedComments,
+        maxInlineComments: params.maxInlineComments ?? saved.config?.maxInlineComments ?? null
+    });
+
+    fs.writeFileSync(file, formatResults({
+        ...saved,
+        provider: provider.name,
+        repository: `${target.org}/${target.repo}`,
+        pullRequest: target.pr,
+        posting
+    }, 'json'));
+
+    if (!posting.posted) {
+        throw new Error(`Could not post the saved review: ${posting.error || posting.reason}`);
+    }
+    logger.success(`Posted saved review to ${target.org}/${target.repo}#${target.pr}; updated ${file}`);
+}
+
+// Render a saved results file with the --format outputs, or as Markdown on stdout
+function renderSavedResults(params) {
+    const { file } = params.replay;
+    const saved = validateResults(loadResultsFile(file), file);
+
+    if (params.formats.length === 0) {
+        process.stdout.write(`${formatResults(saved, 'markdown')}\n`);
+        return;
+    }
+
+    for (const { format, path: outputPath } of params.formats) {
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, formatResults(saved, format));
+        logger.info(`Wrote ${format} results to ${outputPath}`);
+    }
+}
+
+// Trend report over a --history file, on stdout or in the -o file
+function writeHistoryReport(params) {
+    const { file, repository, since, limit, format, output } = params.report;
+    const { records, invalidLines } = loadHistory(file);
+    if (invalidLines > 0) {
+        logger.warn(`Ignored ${invalidLines} unreadable line(s) in ${file}`);
+    }
+
+    const report = formatHistoryReport(buildHistoryReport(records, { repository, since, limit }), format);
+    if (!output) {
+        process.stdout.write(`${report}\n`);
+        return;
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, report);
+    logger.info(`Wrote ${format} report to ${output}`);
+}
+
+// Main function
+async function main() {
+    // Parse arguments first (outside try-catch for error handling)
+    const params = parseArgs();
+
+    if (params.command === 'post' || params.command === 'render') {
+        try {
+            await (params.command === 'post' ? postSavedResults(params) : renderSavedResults(params));
+        } catch (error) {
+            logger.error(`${params.command === 'post' ? 'Posting' : 'Rendering'} saved results failed: ${error.message}`);
+            process.exit(EXIT_CODES.REVIEW_ERROR);
+        }
+        return;
+    }
+
+    if (params.command === 'report') {
+        try {
+            writeHistoryReport(params);
+        } catch (error) {
+            logger.error(`Report failed: ${error.message}`);
+            process.exit(EXIT_CODES.REVIEW_ERROR);
+        }
+        return;
+    }
+
+    if (params.command === 'reply') {
+        try {
+            await answerFollowUps(params);
+        } catch (error) {
+            logger.error(`Follow-up replies failed: ${error.message}`);
+            process.exit(EXIT_CODES.REVIEW_ERROR);
+        }
+        return;
+    }
+
+    if (params.command === 'serve') {
+        try {
+            await serve(params);
+        } catch (error) {
+            logger.error(`Could not start webhook server: ${error.message}`);
+            process.exit(EXIT_CODES.REVIEW_ERROR);
+        }
+        return;
+    }
+
+    let exitCode = EXIT_CODES.SUCCESS;
+    
+    try {
+        logger.info('Starting AI Code Review', { 
+            org: params.org, 
+            repo: params.repo, 
+            prNumber: params.pr,
+            outputFile: params.outputFile
+        });
+
+        const result = await runReview(params);
+        exitCode = result.qualityGate ? result.qualityGate.exitCode : EXIT_CODES.SUCCESS;
     } catch (error) {
         logger.error(`Review failed: ${error.message}`);
         
         // Write error result
         const errorResult = {
             success: false,
-            error: error.message,
+            error: redact(error.message),
             timestamp: new Date().toISOString()
         };
         
         fs.writeFileSync(params.outputFile, JSON.stringify(errorResult, null, 2));
         
-        process.exit(1);
+        process.exit(EXIT_CODES.REVIEW_ERROR);
+        return;
+    }
+
+    if (exitCode !== EXIT_CODES.SUCCESS) {
+        process.exit(exitCode);
     }
 }
 
@@ -381,8 +1438,14 @@ if (require.main === module) {
 
 module.exports = { 
     main, 
+    runReview,
+    serve,
+    answerFollowUps,
+    postSavedResults,
+    renderSavedResults,
     validateInputs,
+    validateEnvironment,
     createOctokit,
-    getPullRequestDiff,
-    postReviewToGitHub
+    getRepositoryConfig,
+    getProvider
 };
\ No newline at end of file
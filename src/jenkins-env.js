@@ -0,0 +1,113 @@
+/**
+ * Infer the pull request to review from the variables Jenkins sets in a build
+ * (multibranch / branch source plugins and the GitHub Pull Request Builder)
+ */
+
+// Variable each provider reads its API base URL from
+const BASE_URL_VARIABLES = {
+    github: 'GITHUB_BASE_URL',
+    gitlab: 'GITLAB_BASE_URL',
+    'bitbucket-server': 'BITBUCKET_BASE_URL'
+};
+
+// Pull request web URLs per host; `prefix` is everything before the repository path
+const CHANGE_URL_PATTERNS = [
+    {
+        provider: 'bitbucket-server',
+        pattern: /^(?<prefix>.*?)\/projects\/(?<org>[^/]+)\/repos\/(?<repo>[^/]+)\/pull-requests\/(?<pr>\d+)/,
+        baseUrl: (url, prefix) => `${url.origin}${prefix}`
+    },
+    {
+        provider: 'gitlab',
+        pattern: /^\/(?<org>.+)\/(?<repo>[^/]+)\/-\/merge_requests\/(?<pr>\d+)/,
+        baseUrl: url => `${url.origin}/api/v4`
+    },
+    {
+        provider: 'github',
+        pattern: /^\/(?<org>[^/]+)\/(?<repo>[^/]+)\/pull\/(?<pr>\d+)/,
+        baseUrl: url => (url.hostname === 'github.com' ? 'https://api.github.com' : `${url.origin}/api/v3`)
+    }
+];
+
+function isJenkinsBuild(env = process.env) {
+    return !!(env.JENKINS_URL || env.BUILD_URL || env.JENKINS_HOME);
+}
+
+// Provider, org, repo, PR number and API base URL from a pull request page URL, or null
+function parseChangeUrl(changeUrl) {
+    let url;
+    try {
+        url = new URL(changeUrl);
+    } catch (error) {
+        return null;
+    }
+
+    for (const { provider, pattern, baseUrl } of CHANGE_URL_PATTERNS) {
+        const match = url.pathname.match(pattern);
+        if (match) {
+            const { prefix = '', org, repo, pr } = match.groups;
+            return { provider, org: decodeURIComponent(org), repo: decodeURIComponent(repo), pr, baseUrl: baseUrl(url, prefix) };
+        }
+    }
+    return null;
+}
+
+// Org and repo from a clone URL (https://host/org/repo.git, git@host:org/repo.git, ssh://git@host/org/repo), or null
+function parseGitUrl(gitUrl) {
+    const match = (gitUrl || '').match(/^(?:[a-z+]+:\/\/[^/]+\/|[^@/]+@[^:/]+:)(?<path>.+?)(?:\.git)?\/?$/);
+    if (!match) {
+        return null;
+    }
+    const parts = match.groups.path.split('/');
+    if (parts.length < 2) {
+        return null;
+    }
+    return { org: parts.slice(0, -1).join('/'), repo: parts[parts.length - 1] };
+}
+
+// null outside Jenkins; { pullRequest: null, branch } on branch builds;
+// otherwise { pullRequest: { provider, org, repo, pr, baseUrl }, variables } naming the variables it came from
+function detectJenkinsPullRequest(env = process.env) {
+    if (!isJenkinsBuild(env)) {
+        return null;
+    }
+
+    // Multibranch pipelines (GitHub, GitLab and Bitbucket branch sources)
+    if (env.CHANGE_ID) {
+        if (!/^\d+$/.test(env.CHANGE_ID)) {
+            throw new Error(`CHANGE_ID "${env.CHANGE_ID}" is not a pull request number`);
+        }
+        const fromUrl = parseChangeUrl(env.CHANGE_URL);
+        if (fromUrl) {
+            return { pullRequest: { ...fromUrl, pr: env.CHANGE_ID }, variables: ['CHANGE_ID', 'CHANGE_URL'] };
+        }
+        const fromGit = parseGitUrl(env.GIT_URL);
+        if (fromGit) {
+            return { pullRequest: { provider: null, ...fromGit, pr: env.CHANGE_ID, baseUrl: null }, variables: ['CHANGE_ID', 'GIT_URL'] };
+        }
+        throw new Error('CHANGE_ID is set but the repository could not be determined from CHANGE_URL or GIT_URL');
+    }
+
+    // GitHub Pull Request Builder (ghprb) jobs
+    if (env.ghprbPullId) {
+        const fromUrl = parseChangeUrl(env.ghprbPullLink);
+        const [org, repo] = (env.ghprbGhRepository || '').split('/');
+        if (!org || !repo) {
+            throw new Error('ghprbPullId is set but ghprbGhRepository does not name an org/repo');
+        }
+        return {
+            pullRequest: { provider: 'github', org, repo, pr: env.ghprbPullId, baseUrl: fromUrl ? fromUrl.baseUrl : null },
+            variables: ['ghprbPullId', 'ghprbGhRepository', ...(fromUrl ? ['ghprbPullLink'] : [])]
+        };
+    }
+
+    return { pullRequest: null, branch: env.BRANCH_NAME || env.GIT_BRANCH || null };
+}
+
+module.exports = {
+    BASE_URL_VARIABLES,
+    isJenkinsBuild,
+    parseChangeUrl,
+    parseGitUrl,
+    detectJenkinsPullRequest
+};
@@ -0,0 +1,94 @@
+/**
+ * Read diffs from local sources (file, stdin, git checkout) without GitHub access
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+// Large monorepo diffs easily exceed execFileSync's 1MB default
+const MAX_GIT_OUTPUT = 64 * 1024 * 1024;
+
+// Read a unified diff from a file path, or from stdin when the path is "-"
+function readDiffFile(filePath) {
+    if (filePath === '-') {
+        return fs.readFileSync(0, 'utf8');
+    }
+
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Diff file not found: ${filePath}`);
+    }
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+// Diff of what head introduces since it forked from base, from a local git checkout
+function getGitDiff(base, head = 'HEAD', cwd = process.cwd()) {
+    for (const ref of [base, head]) {
+        // Refs are passed as arguments, but a leading dash would still be parsed as an option
+        if (!ref || ref.startsWith('-')) {
+            throw new Error(`Invalid git ref: ${ref}`);
+        }
+    }
+
+    try {
+        return execFileSync('git', ['diff', '--no-color', '--no-ext-diff', `${base}...${head}`], {
+            cwd,
+            encoding: 'utf8',
+            maxBuffer: MAX_GIT_OUTPUT,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+    } catch (error) {
+        const stderr = error.stderr ? error.stderr.toString().trim() : error.message;
+        throw new Error(`git diff ${base}...${head} failed: ${stderr}`);
+    }
+}
+
+// File contents at a git ref (what --head reviewed, not the working tree); null when the path does not exist there
+function readGitFile(ref, filePath, cwd = process.cwd()) {
+    if (!ref || ref.startsWith('-')) {
+        throw new Error(`Invalid git ref: ${ref}`);
+    }
+
+    try {
+        return execFileSync('git', ['show', '--no-textconv', `${ref}:${filePath}`], {
+            cwd,
+            encoding: 'utf8',
+            maxBuffer: MAX_GIT_OUTPUT,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+    } catch (error) {
+        const stderr = error.stderr ? error.stderr.toString().trim() : error.message;
+        if (/does not exist in|exists on disk, but not in/.test(stderr)) {
+            return null;
+        }
+        throw new Error(`git show ${ref}:${filePath} failed: ${stderr}`);
+    }
+}
+
+// Resolve the diff for local mode from CLI options; returns null when local mode is not requested
+function getLocalDiff({ diffFile, base, head, cwd } = {}) {
+    let diff;
+    let source;
+
+    if (diffFile) {
+        diff = readDiffFile(diffFile);
+        source = diffFile === '-' ? { type: 'stdin' } : { type: 'diff-file', path: diffFile };
+    } else if (base) {
+        diff = getGitDiff(base, head, cwd);
+        source = { type: 'git', base, head: head || 'HEAD' };
+    } else {
+        return null;
+    }
+
+    if (!diff || !diff.trim()) {
+        throw new Error('No differences found in local diff');
+    }
+
+    return { diff, source };
+}
+
+module.exports = {
+    readDiffFile,
+    getGitDiff,
+    readGitFile,
+    getLocalDiff
+};
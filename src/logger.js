@@ -0,0 +1,182 @@
+/**
+ * Leveled logging as emoji lines or JSON, with secrets redacted from every message
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['pretty', 'json'];
+
+// Environment variables whose values must never appear in logs
+const SECRET_ENV_VARS = [
+    'LLM_API_KEY',
+    'GITHUB_APP_PRIVATE_KEY',
+    'GITHUB_TOKEN',
+    'GITHUB_WEBHOOK_SECRET',
+    'GITLAB_TOKEN',
+    'BITBUCKET_TOKEN',
+    'BITBUCKET_PASSWORD'
+];
+
+const REDACTED = '[REDACTED]';
+
+// Short values would redact ordinary words, so only longer secrets are matched literally
+const MIN_SECRET_LENGTH = 6;
+
+const PRETTY_PREFIXES = {
+    debug: '🔍',
+    info: 'ℹ️ ',
+    success: '✅',
+    warn: '⚠️ ',
+    error: '❌'
+};
+
+// Keys logged with their value hidden, whatever it is
+const SECRET_KEYS = /^(authorization|proxy-authorization|x-api-key|api[-_]?key|token|private[-_]?key|secret|password)$/i;
+
+const PATTERNS = [
+    // PEM private keys, including ones read from GITHUB_APP_PRIVATE_KEY_PATH
+    [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, REDACTED],
+    // Authorization headers in messages, e.g. `authorization: Bearer abc` or `"Authorization":"token abc"`
+    [/(authorization["']?\s*[:=]\s*["']?)(?:(bearer|token|basic)\s+)?[^\s"',;}]+/gi, (match, prefix, scheme) => `${prefix}${scheme ? `${scheme} ` : ''}${REDACTED}`]
+];
+
+// Secret values currently set in the environment, in both raw and `\n`-unescaped form
+function secretValues(env = process.env) {
+    const values = new Set();
+    for (const name of SECRET_ENV_VARS) {
+        const value = env[name];
+        if (value && value.length >= MIN_SECRET_LENGTH) {
+            values.add(value);
+            values.add(value.replace(/\\n/g, '\n'));
+        }
+    }
+    // Longest first so a value containing another is replaced whole
+    return [...values].sort((a, b) => b.length - a.length);
+}
+
+function redactString(text, secrets) {
+    let redacted = text;
+    for (const secret of secrets) {
+        redacted = redacted.split(secret).join(REDACTED);
+    }
+    for (const [pattern, replacement] of PATTERNS) {
+        redacted = redacted.replace(pattern, replacement);
+    }
+    return redacted;
+}
+
+// Copy of a log value with secrets replaced, walking objects, arrays and errors
+function redact(value, secrets = secretValues(), seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return redactString(value, secrets);
+    }
+    if (typeof value !== 'object' || value === null) {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+
+    if (value instanceof Error) {
+        return { name: value.name, message: redactString(value.message, secrets), ...(value.status ? { status: value.status } : {}) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, secrets, seen));
+    }
+
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) {
+        copy[key] = SECRET_KEYS.test(key) && child ? REDACTED : redact(child, secrets, seen);
+    }
+    return copy;
+}
+
+function createRunId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+// Logger with info/warn/error/success/debug; configure() switches format, level and log file once options are parsed.
+// withContext() gives everything logged while a function runs (and whatever it awaits) its own run ID.
+function createLogger(options = {}) {
+    const settings = {
+        format: 'pretty',
+        level: 'info',
+        file: null,
+        runId: createRunId(),
+        env: process.env,
+        ...options
+    };
+    const context = new AsyncLocalStorage();
+    const currentRunId = () => context.getStore()?.runId || settings.runId;
+
+    const write = (level, message, data = {}) => {
+        const severity = level === 'success' ? 'info' : level;
+        if (LOG_LEVELS.indexOf(severity) < LOG_LEVELS.indexOf(settings.level)) {
+            return;
+        }
+
+        const secrets = secretValues(settings.env);
+        const runId = currentRunId();
+        const safeMessage = redactString(String(message), secrets);
+        const safeData = data && Object.keys(data).length > 0 ? redact(data, secrets) : null;
+        const timestamp = new Date().toISOString();
+
+        const json = JSON.stringify({
+            timestamp,
+            level: severity,
+            runId,
+            message: safeMessage,
+            ...(level === 'success' ? { outcome: 'success' } : {}),
+            ...(safeData ? { data: safeData } : {})
+        });
+
+        const stream = severity === 'error' ? console.error : severity === 'warn' ? console.warn : console.log;
+        if (settings.format === 'json') {
+            stream(json);
+        } else {
+            stream(`${timestamp} [${runId}] ${PRETTY_PREFIXES[level]} ${safeMessage}`, safeData || '');
+        }
+
+        if (settings.file) {
+            fs.appendFileSync(settings.file, `${json}\n`);
+        }
+    };
+
+    return {
+        debug: (message, data) => write('debug', message, data),
+        info: (message, data) => write('info', message, data),
+        warn: (message, data) => write('warn', message, data),
+        error: (message, data) => write('error', message, data),
+        success: (message, data) => write('success', message, data),
+
+        get runId() {
+            return currentRunId();
+        },
+
+        // Run fn as a child context with its own run ID, e.g. one per webhook review; resolves to fn's result
+        withContext({ runId = createRunId() } = {}, fn) {
+            return context.run({ runId }, fn);
+        },
+
+        configure(changes = {}) {
+            for (const [key, value] of Object.entries(changes)) {
+                if (value !== undefined) {
+                    settings[key] = value;
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    SECRET_ENV_VARS,
+    REDACTED,
+    redact,
+    createLogger
+};
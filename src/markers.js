@@ -0,0 +1,116 @@
+/**
+ * Hidden HTML markers embedded in content the reviewer posts to GitHub.
+ * Hosts that escape HTML (Bitbucket Server) get them as Markdown link reference definitions, which render as
+ * nothing either: `[//]: # (ai-reviewer:summary)`. The parsers below accept both forms.
+ */
+
+const crypto = require('crypto');
+
+const SUMMARY_MARKER = '<!-- ai-reviewer:summary -->';
+const OUTDATED_MARKER = '<!-- ai-reviewer:outdated -->';
+const SKIPPED_MARKER = '<!-- ai-reviewer:skipped -->';
+const REVIEWED_SHA_PATTERN = /<!-- ai-reviewer:reviewed-sha=([0-9a-f]{7,40}) -->/;
+// Newer comments also record the finding's severity and whether it blocks the build, for later quality gates
+const FINGERPRINT_PATTERN = /<!-- ai-reviewer:fingerprint=([0-9a-f]{12})(?: severity=([a-z]+))?( blocking)? -->/;
+const REPLY_PATTERN = /<!-- ai-reviewer:reply-to=(\d+) -->/;
+const HTML_MARKER_PATTERN = /\n*<!-- ai-reviewer:([^>]*?) -->/g;
+const LINK_MARKER_PATTERN = /\[\/\/\]: # \(ai-reviewer:([^)]*)\)/g;
+
+// Markers in their HTML form, whichever form the host stored
+function normalizeMarkers(body) {
+    return (body || '').replace(LINK_MARKER_PATTERN, '<!-- ai-reviewer:$1 -->');
+}
+
+// The same body with its markers as link reference definitions, each after a blank line so it is not part of a paragraph
+function toLinkReferenceMarkers(body) {
+    return body.replace(HTML_MARKER_PATTERN, '\n\n[//]: # (ai-reviewer:$1)').trim();
+}
+
+// Marker recording which head commit a review covered
+function buildReviewedShaMarker(sha) {
+    return `<!-- ai-reviewer:reviewed-sha=${sha} -->`;
+}
+
+// Extract the reviewed head commit from a posted review body, or null
+function parseReviewedShaMarker(body) {
+    const match = normalizeMarkers(body).match(REVIEWED_SHA_PATTERN);
+    return match ? match[1] : null;
+}
+
+// Whether a review body is the summary posted by this tool
+function hasSummaryMarker(body) {
+    return normalizeMarkers(body).includes(SUMMARY_MARKER);
+}
+
+// Whether a PR comment is the "review skipped" note posted by this tool
+function hasSkippedMarker(body) {
+    return normalizeMarkers(body).includes(SKIPPED_MARKER);
+}
+
+// Whether an inline comment has already been flagged as outdated
+function hasOutdatedMarker(body) {
+    return normalizeMarkers(body).includes(OUTDATED_MARKER);
+}
+
+// Stable identity of an inline comment: same file, line and (whitespace-normalized) text
+function commentFingerprint(path, line, body) {
+    const normalized = (body || '').trim().replace(/\s+/g, ' ');
+    return crypto.createHash('sha1')
+        .update(`${path}:${line}:${normalized}`)
+        .digest('hex')
+        .substring(0, 12);
+}
+
+// Marker carrying an inline comment fingerprint, plus the finding's severity when given
+function buildFingerprintMarker(fingerprint, { severity, blocking } = {}) {
+    const finding = `${severity ? ` severity=${severity}` : ''}${blocking ? ' blocking' : ''}`;
+    return `<!-- ai-reviewer:fingerprint=${fingerprint}${finding} -->`;
+}
+
+// Extract the fingerprint from a posted inline comment body, or null
+function parseFingerprintMarker(body) {
+    const match = normalizeMarkers(body).match(FINGERPRINT_PATTERN);
+    return match ? match[1] : null;
+}
+
+// Severity and blocking flag recorded with an inline comment's fingerprint, or null for other comments
+function parseFindingMarker(body) {
+    const match = normalizeMarkers(body).match(FINGERPRINT_PATTERN);
+    return match ? { fingerprint: match[1], severity: match[2] || null, blocking: !!match[3] } : null;
+}
+
+// Comment body without its fingerprint marker, for quoting it elsewhere
+function stripFingerprintMarker(body) {
+    return normalizeMarkers(body).replace(new RegExp(`\\s*${FINGERPRINT_PATTERN.source}`), '');
+}
+
+// Marker on a follow-up reply recording the comment it answered
+function buildReplyMarker(commentId) {
+    return `<!-- ai-reviewer:reply-to=${commentId} -->`;
+}
+
+// Id of the comment a follow-up reply answered, or null
+function parseReplyMarker(body) {
+    const match = normalizeMarkers(body).match(REPLY_PATTERN);
+    return match ? Number(match[1]) : null;
+}
+
+module.exports = {
+    SUMMARY_MARKER,
+    OUTDATED_MARKER,
+    SKIPPED_MARKER,
+    buildReviewedShaMarker,
+    parseReviewedShaMarker,
+    hasSummaryMarker,
+    hasSkippedMarker,
+    hasOutdatedMarker,
+    commentFingerprint,
+    buildFingerprintMarker,
+    parseFingerprintMarker,
+    parseFindingMarker,
+    stripFingerprintMarker,
+    buildReplyMarker,
+    parseReplyMarker,
+    normalizeMarkers,
+    toLinkReferenceMarkers
+};
@@ -0,0 +1,130 @@
+/**
+ * Glob-based include/exclude filtering of diff files before review
+ */
+
+const { splitDiffByFile, joinDiffFiles } = require('./diff-utils');
+
+// Files that are generated, vendored or otherwise not worth LLM tokens
+const DEFAULT_EXCLUDES = [
+    'package-lock.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'npm-shrinkwrap.json',
+    'Gemfile.lock',
+    'poetry.lock',
+    'Cargo.lock',
+    'go.sum',
+    'composer.lock',
+    '**/dist/**',
+    '**/build/**',
+    '**/vendor/**',
+    '**/node_modules/**',
+    '**/__snapshots__/**',
+    '*.snap',
+    '*.min.js',
+    '*.min.css',
+    '*.map'
+];
+
+// Convert a gitignore-style glob into a RegExp matched against repo-relative paths
+function globToRegExp(glob) {
+    let pattern = glob.trim();
+
+    // A trailing slash means "everything under this directory"
+    if (pattern.endsWith('/')) {
+        pattern += '**';
+    }
+
+    // Patterns without a slash match the file name at any depth
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches zero or more directories, a trailing "**" matches everything
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+            } else {
+                const options = pattern.substring(i + 1, end).split(',');
+                source += `(?:${options.map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`);
+}
+
+// Build a matcher deciding whether a path is reviewed, and why not
+function createPathFilter({ include = [], exclude = [], defaultExcludes = true } = {}) {
+    const toMatchers = patterns => patterns.map(pattern => ({ pattern, regex: globToRegExp(pattern) }));
+    const includes = toMatchers(include);
+    const excludes = toMatchers(defaultExcludes ? [...DEFAULT_EXCLUDES, ...exclude] : exclude);
+
+    return (filePath) => {
+        if (includes.length > 0 && !includes.some(matcher => matcher.regex.test(filePath))) {
+            return { included: false, reason: 'Not matched by any include pattern' };
+        }
+
+        const excluded = excludes.find(matcher => matcher.regex.test(filePath));
+        if (excluded) {
+            return { included: false, reason: `Excluded by pattern "${excluded.pattern}"` };
+        }
+
+        return { included: true };
+    };
+}
+
+// Drop excluded files from a unified diff, reporting what was skipped and why
+function filterDiff(diff, options = {}) {
+    const filter = createPathFilter(options);
+    const kept = [];
+    const skippedFiles = [];
+
+    const files = splitDiffByFile(diff);
+
+    // Not a git-style diff: nothing to split on, so review it as-is
+    if (files.length === 0) {
+        return { diff, reviewedFiles: [], skippedFiles };
+    }
+
+    for (const file of files) {
+        const decision = filter(file.filename || '');
+        if (decision.included) {
+            kept.push(file);
+        } else {
+            skippedFiles.push({ file: file.filename, reason: decision.reason });
+        }
+    }
+
+    return {
+        diff: joinDiffFiles(kept),
+        reviewedFiles: kept.map(file => file.filename),
+        skippedFiles
+    };
+}
+
+module.exports = {
+    DEFAULT_EXCLUDES,
+    globToRegExp,
+    createPathFilter,
+    filterDiff
+};
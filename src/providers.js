@@ -0,0 +1,42 @@
+/**
+ * Code hosts a review can run against, selected with --provider.
+ *
+ * A provider is an object with `name`, `label`, `checkEnvironment()` and:
+ *   getPullRequest(org, repo, pr)          PR details in the GitHub pulls.get shape (head.sha, base.ref, draft, labels, user, body)
+ *   getDiff(org, repo, pr)                 unified git diff of the PR
+ *   readFile(org, repo, ref, path)         file text at a ref, or null when it does not exist
+ * and for posting either
+ *   postReview(org, repo, pr, review, options)   everything in one go (GitHub: one pull request review)
+ *   postSkipComment(org, repo, pr, reason)       the "review skipped" note
+ * or, with both posted as PR comments (review-posting.js)
+ *   listComments(org, repo, pr)                            -> [{ id, body }] oldest first, to find what earlier runs posted
+ *   postSummary(org, repo, pr, body)                       -> { id }
+ *   updateSummary(org, repo, pr, summary, body)            -> { id }; summary is the listed comment to edit
+ *   postInlineComment(org, repo, pr, comment, details)     -> { id }; comment is { path, oldPath, line, side, start_line, body, lineInfo }
+ *   setStatus(org, repo, sha, { state, description, url }) with state pending / success / failure / error
+ *
+ * The GitHub provider (github-provider.js) needs an authenticated Octokit, so index.js builds it with createOctokit.
+ */
+
+const { createGitLabProvider } = require('./gitlab-provider');
+const { createBitbucketServerProvider } = require('./bitbucket-provider');
+
+const PROVIDERS = ['github', 'gitlab', 'bitbucket-server'];
+
+const FACTORIES = {
+    gitlab: createGitLabProvider,
+    'bitbucket-server': createBitbucketServerProvider
+};
+
+// Provider for a --provider value other than github; `retry` wraps every API request
+function createProvider(name, { env = process.env, retry } = {}) {
+    if (!FACTORIES[name]) {
+        throw new Error(`Unknown provider "${name}" (expected one of: ${PROVIDERS.join(', ')})`);
+    }
+    return FACTORIES[name]({ env, retry });
+}
+
+module.exports = {
+    PROVIDERS,
+    createProvider
+};
@@ -0,0 +1,120 @@
+/**
+ * Severity-based quality gate for Jenkins build status
+ */
+
+// Process exit codes understood by Jenkins pipelines
+const EXIT_CODES = {
+    SUCCESS: 0,
+    REVIEW_ERROR: 1,
+    BLOCKING_ISSUES: 2,
+    UNSTABLE: 3
+};
+
+// Known severities, lowest first
+const SEVERITY_LEVELS = ['info', 'warning', 'error', 'critical'];
+
+// Other names LLMs commonly use for the same levels
+const SEVERITY_ALIASES = {
+    low: 'info',
+    minor: 'info',
+    suggestion: 'info',
+    medium: 'warning',
+    major: 'error',
+    high: 'error',
+    blocker: 'critical'
+};
+
+// Map a comment severity onto SEVERITY_LEVELS (unknown or missing counts as info)
+function normalizeSeverity(severity) {
+    const value = String(severity || '').toLowerCase();
+    if (SEVERITY_LEVELS.includes(value)) {
+        return value;
+    }
+    return SEVERITY_ALIASES[value] || 'info';
+}
+
+// Count comments per normalized severity
+function countBySeverity(comments = []) {
+    const counts = Object.fromEntries(SEVERITY_LEVELS.map(level => [level, 0]));
+    for (const comment of comments) {
+        counts[normalizeSeverity(comment.severity)]++;
+    }
+    return counts;
+}
+
+// Copy of comments ordered most severe first (stable within a severity)
+function sortBySeverity(comments = []) {
+    const rank = comment => SEVERITY_LEVELS.indexOf(normalizeSeverity(comment.severity));
+    return [...comments].sort((a, b) => rank(b) - rank(a));
+}
+
+// Number of comments at or above a severity threshold
+function countAtOrAbove(counts, threshold) {
+    const minimum = SEVERITY_LEVELS.indexOf(threshold);
+    return SEVERITY_LEVELS
+        .filter((level, index) => index >= minimum)
+        .reduce((total, level) => total + counts[level], 0);
+}
+
+// Decide the build outcome from review comments and the configured thresholds
+function evaluateQualityGate(comments = [], options = {}) {
+    const counts = countBySeverity(comments);
+    const total = comments.length;
+    const failReasons = [];
+    const unstableReasons = [];
+
+    if (options.failOn) {
+        const matching = countAtOrAbove(counts, options.failOn);
+        if (matching > 0) {
+            failReasons.push(`${matching} comment(s) at or above "${options.failOn}" severity`);
+        }
+    }
+
+    // Findings such as committed secrets fail the build whatever the thresholds
+    const blocking = comments.filter(comment => comment.blocking).length;
+    if (blocking > 0) {
+        failReasons.push(`${blocking} blocking finding(s)`);
+    }
+
+    if (options.maxComments !== undefined && options.maxComments !== null && total > options.maxComments) {
+        failReasons.push(`${total} comment(s) exceed the maximum of ${options.maxComments}`);
+    }
+
+    if (options.unstableOn) {
+        const matching = countAtOrAbove(counts, options.unstableOn);
+        if (matching > 0) {
+            unstableReasons.push(`${matching} comment(s) at or above "${options.unstableOn}" severity`);
+        }
+    }
+
+    let status = 'passed';
+    let exitCode = EXIT_CODES.SUCCESS;
+    if (failReasons.length > 0) {
+        status = 'failed';
+        exitCode = EXIT_CODES.BLOCKING_ISSUES;
+    } else if (unstableReasons.length > 0) {
+        status = 'unstable';
+        exitCode = EXIT_CODES.UNSTABLE;
+    }
+
+    return {
+        status,
+        exitCode,
+        reasons: failReasons.length > 0 ? failReasons : unstableReasons,
+        counts,
+        thresholds: {
+            failOn: options.failOn || null,
+            unstableOn: options.unstableOn || null,
+            maxComments: options.maxComments ?? null
+        }
+    };
+}
+
+module.exports = {
+    EXIT_CODES,
+    SEVERITY_LEVELS,
+    normalizeSeverity,
+    countBySeverity,
+    sortBySeverity,
+    evaluateQualityGate
+};
@@ -0,0 +1,99 @@
+/**
+ * Load and validate a saved results JSON so it can be posted or rendered again
+ */
+
+const fs = require('fs');
+
+// Read and parse a results file written by a previous run
+function loadResultsFile(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Results file not found: ${file}`);
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse results file ${file}: ${error.message}`);
+    }
+}
+
+// Check the parts of the results JSON that replaying relies on, reporting every problem at once
+function validateResults(result, file) {
+    if (typeof result !== 'object' || result === null || Array.isArray(result)) {
+        throw new Error(`${file} is not a review results object`);
+    }
+    if (result.success !== true) {
+        throw new Error(`${file} records a failed review${result.error ? ` (${result.error})` : ''}; there is nothing to replay`);
+    }
+    if (result.skipped) {
+        throw new Error(`${file} records a skipped review${result.reason ? ` (${result.reason})` : ''}; there is nothing to replay`);
+    }
+
+    const errors = [];
+
+    if (result.summary !== undefined && result.summary !== null && typeof result.summary !== 'string') {
+        errors.push('summary must be a string');
+    }
+
+    if (!Array.isArray(result.comments)) {
+        errors.push('comments must be a list');
+    } else {
+        result.comments.forEach((comment, index) => {
+            if (typeof comment !== 'object' || comment === null) {
+                errors.push(`comments[${index}] must be an object`);
+                return;
+            }
+            const filePath = comment.file || comment.filename;
+            if (filePath !== undefined && typeof filePath !== 'string') {
+                errors.push(`comments[${index}].file must be a string`);
+            }
+            if (comment.line !== undefined && comment.line !== null && !(Number.isInteger(comment.line) && comment.line > 0)) {
+                errors.push(`comments[${index}].line must be a positive integer`);
+            }
+        });
+    }
+
+    if (result.hunks !== undefined && !Array.isArray(result.hunks)) {
+        errors.push('hunks must be a list');
+    }
+    // GitLab projects may sit in nested groups: "group/subgroup/project"
+    if (result.repository && !/^[^/\s]+(\/[^/\s]+)+$/.test(result.repository)) {
+        errors.push('repository must look like "org/repo"');
+    }
+    if (result.pullRequest && !/^\d+$/.test(String(result.pullRequest))) {
+        errors.push('pullRequest must be a PR number');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid results file ${file}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return result;
+}
+
+// Pull request to post to: the one recorded in the file, or the one given, which must agree with it
+function resolveReplayTarget(result, { org, repo, pr } = {}) {
+    // GitLab organizations may be nested groups, so the repository is the last path segment
+    const separator = result.repository ? result.repository.lastIndexOf('/') : -1;
+    const recorded = separator > 0
+        ? { org: result.repository.slice(0, separator), repo: result.repository.slice(separator + 1), pr: result.pullRequest ? String(result.pullRequest) : null }
+        : null;
+
+    if (org || repo || pr) {
+        if (recorded && recorded.pr && (recorded.org !== org || recorded.repo !== repo || recorded.pr !== String(pr))) {
+            throw new Error(`Results are for ${recorded.org}/${recorded.repo}#${recorded.pr}, not ${org}/${repo}#${pr}`);
+        }
+        return { org, repo, pr };
+    }
+
+    if (!recorded || !recorded.pr) {
+        throw new Error('Results file has no pull request; pass <org> <repo> <pr> to post it');
+    }
+    return recorded;
+}
+
+module.exports = {
+    loadResultsFile,
+    validateResults,
+    resolveReplayTarget
+};
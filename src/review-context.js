@@ -0,0 +1,153 @@
+/**
+ * Context beyond the diff: full post-change contents of touched files, the PR description and linked issues
+ */
+
+const { splitDiffByFile } = require('./diff-utils');
+const { fenceCode } = require('./suggestions');
+
+// --context values and the config keys they turn on
+const CONTEXT_KINDS = {
+    files: 'files',
+    pr: 'pullRequest',
+    issues: 'issues'
+};
+
+const DEFAULT_MAX_CONTEXT_FILE_SIZE = 50000;
+const DEFAULT_MAX_CONTEXT_SIZE = 200000;
+
+// PR descriptions and issues are cut to this many characters each
+const MAX_TEXT_LENGTH = 5000;
+const MAX_LINKED_ISSUES = 3;
+
+// GitHub closing keywords: "Fixes #12", "closes org/repo#3", "Resolves: #7"
+const LINKED_ISSUE_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s+(?:([\w.-]+)\/([\w.-]+))?#(\d+)/gi;
+
+function truncate(text, limit = MAX_TEXT_LENGTH) {
+    const value = (text || '').trim();
+    return value.length > limit ? `${value.slice(0, limit)}\n[truncated]` : value;
+}
+
+// Issues the PR description links with a closing keyword, defaulting to the PR's own repository
+function findLinkedIssues(body, org, repo) {
+    const issues = [];
+    for (const match of (body || '').matchAll(LINKED_ISSUE_PATTERN)) {
+        const issue = { org: match[1] || org, repo: match[2] || repo, number: Number(match[3]) };
+        if (!issues.some(known => known.org === issue.org && known.repo === issue.repo && known.number === issue.number)) {
+            issues.push(issue);
+        }
+    }
+    return issues.slice(0, MAX_LINKED_ISSUES);
+}
+
+// Read the post-change contents of files touched by the diff, within the per-file and total size limits.
+// readFile(path) resolves to the text, or null when the file does not exist at head.
+async function collectFileContents(diff, readFile, { maxFileSize = DEFAULT_MAX_CONTEXT_FILE_SIZE, maxTotalSize = DEFAULT_MAX_CONTEXT_SIZE } = {}) {
+    const names = [...new Set(splitDiffByFile(diff)
+        .filter(file => file.filename && !file.deleted)
+        .map(file => file.filename))];
+
+    const files = [];
+    const skipped = [];
+    let total = 0;
+
+    for (const file of names) {
+        let content;
+        try {
+            content = await readFile(file);
+        } catch (error) {
+            skipped.push({ file, reason: `Could not read file: ${error.message}` });
+            continue;
+        }
+
+        if (content === null || content === undefined) {
+            skipped.push({ file, reason: 'Not found at the head commit' });
+        } else if (content.includes('\0')) {
+            skipped.push({ file, reason: 'Binary file' });
+        } else if (content.length > maxFileSize) {
+            skipped.push({ file, reason: `Larger than ${maxFileSize} characters` });
+        } else if (total + content.length > maxTotalSize) {
+            skipped.push({ file, reason: `Context size limit of ${maxTotalSize} characters reached` });
+        } else {
+            files.push({ file, content });
+            total += content.length;
+        }
+    }
+
+    return { files, skipped };
+}
+
+// Gather the context selected in config.context; readers are only called for the kinds that are on.
+// `redact` is applied to every text before it is kept (the secret scan).
+async function collectReviewContext({ diff, options, readFile, pullRequest, readIssue, org, repo, redact = text => text }) {
+    const context = { files: [], skippedFiles: [], pullRequest: null, issues: [] };
+
+    if (options.files && readFile) {
+        const contents = await collectFileContents(diff, readFile, options);
+        context.files = contents.files.map(entry => ({ ...entry, content: redact(entry.content) }));
+        context.skippedFiles = contents.skipped;
+    }
+
+    if (options.pullRequest && pullRequest) {
+        context.pullRequest = { title: redact(pullRequest.title || ''), body: redact(truncate(pullRequest.body)) };
+    }
+
+    if (options.issues && pullRequest && readIssue) {
+        for (const link of findLinkedIssues(pullRequest.body, org, repo)) {
+            const issue = await readIssue(link);
+            if (issue) {
+                context.issues.push({ ...link, title: redact(issue.title || ''), body: redact(truncate(issue.body)) });
+            }
+        }
+    }
+
+    return context;
+}
+
+// Review instructions carrying the context; `files` limits file contents to those in one chunk
+function buildContextInstructions(context, files = null) {
+    const sections = [];
+
+    if (context.pullRequest) {
+        sections.push(`## Pull request\n\nTitle: ${context.pullRequest.title}\n\n${context.pullRequest.body || '(no description)'}`);
+    }
+
+    for (const issue of context.issues) {
+        sections.push(`## Linked issue ${issue.org}/${issue.repo}#${issue.number}: ${issue.title}\n\n${issue.body || '(no description)'}`);
+    }
+
+    const contents = context.files.filter(entry => !files || files.includes(entry.file));
+    if (contents.length > 0) {
+        sections.push([
+            '## Full file contents after the change',
+            '',
+            'Use these to check definitions and surrounding code; only comment on lines changed in the diff.',
+            ...contents.map(entry => `\n### ${entry.file}\n\n${fenceCode(entry.content)}`)
+        ].join('\n'));
+    }
+
+    if (sections.length === 0) {
+        return '';
+    }
+    return `# Context for this review\n\n${sections.join('\n\n')}`;
+}
+
+// What was included, for the results metadata
+function describeContext(context) {
+    return {
+        files: context.files.map(entry => entry.file),
+        skippedFiles: context.skippedFiles,
+        pullRequest: !!context.pullRequest,
+        issues: context.issues.map(issue => `${issue.org}/${issue.repo}#${issue.number}`)
+    };
+}
+
+module.exports = {
+    CONTEXT_KINDS,
+    DEFAULT_MAX_CONTEXT_FILE_SIZE,
+    DEFAULT_MAX_CONTEXT_SIZE,
+    findLinkedIssues,
+    collectFileContents,
+    collectReviewContext,
+    buildContextInstructions,
+    describeContext
+};
@@ -0,0 +1,234 @@
+/**
+ * Append-only JSON Lines history of review runs (--history) and the trend report built from it (report command)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SEVERITY_LEVELS, countBySeverity } = require('./quality-gate');
+
+const REPORT_FORMATS = ['markdown', 'json'];
+const DEFAULT_REPORT_LIMIT = 20;
+
+// Label for runs on a local diff that was not posted to a PR
+const LOCAL_REPOSITORY = '(local)';
+
+// One history line per completed review; comments are counted, their text is not kept
+function buildHistoryRecord(result, { author = null } = {}) {
+    const comments = result.comments || [];
+    const files = {};
+    for (const comment of comments) {
+        const file = comment.file || comment.filename || 'unknown';
+        files[file] = (files[file] || 0) + 1;
+    }
+
+    return {
+        timestamp: result.timestamp,
+        runId: result.metadata?.runId || null,
+        provider: result.provider || null,
+        repository: result.repository || null,
+        pullRequest: result.pullRequest || null,
+        author,
+        headSha: result.reviewScope?.headSha || null,
+        scope: result.reviewScope?.mode || null,
+        comments: comments.length,
+        bySeverity: countBySeverity(comments),
+        files,
+        qualityGate: result.qualityGate?.status || null,
+        tokens: result.metadata?.usage?.totalTokens ?? null,
+        cost: result.metadata?.usage?.cost ?? null
+    };
+}
+
+function appendHistory(file, record) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+}
+
+// Records in the file; lines that do not parse (e.g. cut off by a killed build) are counted and left out
+function loadHistory(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`History file not found: ${file}`);
+    }
+
+    const records = [];
+    let invalidLines = 0;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            const record = JSON.parse(line);
+            if (record && typeof record === 'object' && record.timestamp) {
+                records.push(record);
+            } else {
+                invalidLines++;
+            }
+        } catch (error) {
+            invalidLines++;
+        }
+    }
+    return { records, invalidLines };
+}
+
+// Monday (UTC) of the week a run happened in, as YYYY-MM-DD
+function weekOf(timestamp) {
+    const date = new Date(timestamp);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().substring(0, 10);
+}
+
+// Running totals for one table row
+function createTotals(fields) {
+    return {
+        ...fields,
+        runs: 0,
+        pullRequests: new Set(),
+        comments: 0,
+        bySeverity: Object.fromEntries(SEVERITY_LEVELS.map(level => [level, 0]))
+    };
+}
+
+function addRun(totals, record) {
+    totals.runs++;
+    if (record.pullRequest) {
+        totals.pullRequests.add(`${record.repository}#${record.pullRequest}`);
+    }
+    totals.comments += record.comments || 0;
+    for (const level of SEVERITY_LEVELS) {
+        totals.bySeverity[level] += record.bySeverity?.[level] || 0;
+    }
+}
+
+function finishTotals(totals) {
+    return {
+        ...totals,
+        pullRequests: totals.pullRequests.size,
+        commentsPerRun: totals.runs > 0 ? Math.round((totals.comments / totals.runs) * 100) / 100 : 0
+    };
+}
+
+function rowFor(map, key, fields) {
+    if (!map.has(key)) {
+        map.set(key, createTotals(fields));
+    }
+    return map.get(key);
+}
+
+const byComments = (a, b) => b.comments - a.comments || b.runs - a.runs;
+
+// Per-repository, weekly, per-file and per-author totals; `limit` caps the file and author tables
+function buildHistoryReport(records, { repository = null, since = null, limit = DEFAULT_REPORT_LIMIT } = {}) {
+    const sinceTime = since ? Date.parse(since) : null;
+    const runs = records
+        .filter(record => !repository || record.repository === repository)
+        .filter(record => sinceTime === null || Date.parse(record.timestamp) >= sinceTime)
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    const repositories = new Map();
+    const weeks = new Map();
+    const files = new Map();
+    const authors = new Map();
+
+    for (const record of runs) {
+        const repo = record.repository || LOCAL_REPOSITORY;
+        const week = weekOf(record.timestamp);
+        addRun(rowFor(repositories, repo, { repository: repo }), record);
+        addRun(rowFor(weeks, `${week} ${repo}`, { week, repository: repo }), record);
+        if (record.author) {
+            addRun(rowFor(authors, record.author, { author: record.author }), record);
+        }
+
+        for (const [file, count] of Object.entries(record.files || {})) {
+            const row = rowFor(files, `${repo} ${file}`, { repository: repo, file });
+            row.runs++;
+            row.comments += count;
+            if (record.pullRequest) {
+                row.pullRequests.add(`${record.repository}#${record.pullRequest}`);
+            }
+        }
+    }
+
+    return {
+        filters: { repository, since },
+        runs: runs.length,
+        firstRun: runs.length > 0 ? runs[0].timestamp : null,
+        lastRun: runs.length > 0 ? runs[runs.length - 1].timestamp : null,
+        repositories: [...repositories.values()].map(finishTotals).sort(byComments),
+        weekly: [...weeks.values()].map(finishTotals)
+            .sort((a, b) => a.week.localeCompare(b.week) || a.repository.localeCompare(b.repository)),
+        files: [...files.values()].map(totals => {
+            const { bySeverity, commentsPerRun, ...row } = finishTotals(totals);
+            return row;
+        }).sort((a, b) => byComments(a, b) || a.file.localeCompare(b.file)).slice(0, limit),
+        authors: [...authors.values()].map(finishTotals).sort(byComments).slice(0, limit)
+    };
+}
+
+function markdownTable(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `|${headers.map(header => '-'.repeat(header.length + 2)).join('|')}|`,
+        ...rows.map(row => `| ${row.join(' | ')} |`)
+    ].join('\n');
+}
+
+const severityHeaders = [...SEVERITY_LEVELS].reverse().map(level => level[0].toUpperCase() + level.substring(1));
+const severityCells = row => [...SEVERITY_LEVELS].reverse().map(level => row.bySeverity[level]);
+
+function formatReportMarkdown(report) {
+    const lines = ['# AI Code Review Trends', ''];
+    const filters = [
+        report.filters.repository ? `**Repository:** ${report.filters.repository}` : null,
+        report.filters.since ? `**Since:** ${report.filters.since}` : null
+    ].filter(Boolean);
+    lines.push(...filters.map(filter => `${filter}  `));
+
+    if (report.runs === 0) {
+        lines.push('No review runs recorded.', '');
+        return lines.join('\n');
+    }
+    lines.push(`**Runs:** ${report.runs} (${report.firstRun} to ${report.lastRun})`, '');
+
+    lines.push('## Repositories', '', markdownTable(
+        ['Repository', 'Runs', 'PRs', 'Comments', 'Per run', ...severityHeaders],
+        report.repositories.map(row => [row.repository, row.runs, row.pullRequests, row.comments, row.commentsPerRun, ...severityCells(row)])
+    ), '');
+
+    lines.push('## Weekly trend', '', markdownTable(
+        ['Week of', 'Repository', 'Runs', 'Comments', 'Per run', ...severityHeaders],
+        report.weekly.map(row => [row.week, row.repository, row.runs, row.comments, row.commentsPerRun, ...severityCells(row)])
+    ), '');
+
+    if (report.files.length > 0) {
+        lines.push('## Files with the most comments', '', markdownTable(
+            ['Repository', 'File', 'Comments', 'Runs', 'PRs'],
+            report.files.map(row => [row.repository, `\`${row.file}\``, row.comments, row.runs, row.pullRequests])
+        ), '');
+    }
+
+    if (report.authors.length > 0) {
+        lines.push('## Authors', '', markdownTable(
+            ['Author', 'Runs', 'PRs', 'Comments', 'Per run', ...severityHeaders],
+            report.authors.map(row => [row.author, row.runs, row.pullRequests, row.comments, row.commentsPerRun, ...severityCells(row)])
+        ), '');
+    }
+
+    return lines.join('\n');
+}
+
+function formatHistoryReport(report, format) {
+    if (!REPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown report format "${format}" (expected one of: ${REPORT_FORMATS.join(', ')})`);
+    }
+    return format === 'json' ? JSON.stringify(report, null, 2) : formatReportMarkdown(report);
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    DEFAULT_REPORT_LIMIT,
+    buildHistoryRecord,
+    appendHistory,
+    loadHistory,
+    buildHistoryReport,
+    formatHistoryReport
+};
@@ -0,0 +1,263 @@
+/**
+ * What a review looks like once posted: inline comment bodies carrying fingerprints, and the summary body
+ * with the markers later runs look for. Also posts it, and the "review skipped" note, on hosts without multi-comment reviews.
+ */
+
+const {
+    SUMMARY_MARKER,
+    SKIPPED_MARKER,
+    buildReviewedShaMarker,
+    hasSummaryMarker,
+    hasSkippedMarker,
+    normalizeMarkers,
+    commentFingerprint,
+    buildFingerprintMarker,
+    parseFingerprintMarker,
+    stripFingerprintMarker
+} = require('./markers');
+const { indexDiffLines } = require('./diff-utils');
+const { normalizeSeverity, sortBySeverity } = require('./quality-gate');
+const { checkSuggestionRange, buildSuggestionBody } = require('./suggestions');
+const { indexHunks, anchorComment, buildUnplacedSection } = require('./comment-anchors');
+const { withRuleTag } = require('./review-rules');
+
+// Convert AI review comments into inline comments for a pull request review, anchored using the hunk data.
+// With `rightSideOnly` (incremental reviews) comments on removed lines are listed in the summary instead: their old line
+// numbers come from the last reviewed commit, not the PR base the host anchors them to.
+function buildReviewComments(comments = [], hunks = [], { rightSideOnly = false } = {}) {
+    const inline = [];
+    const skipped = [];
+    const unplaced = [];
+    const suggestions = { anchored: 0, unanchored: [] };
+    const hunkIndex = indexHunks(hunks);
+
+    for (const comment of comments) {
+        const filePath = comment.file || comment.filename;
+        const commentBody = comment.message || comment.body;
+
+        // Only post if we have file path, line number and body
+        if (!filePath || !comment.line || !commentBody) {
+            skipped.push({
+                file: filePath || null,
+                line: comment.line || null,
+                reason: 'Missing file path, line number or comment body'
+            });
+            continue;
+        }
+
+        const startLine = comment.startLine || comment.start_line;
+        const anchor = anchorComment(hunkIndex, filePath, {
+            line: comment.line,
+            startLine,
+            side: comment.side && String(comment.side).toUpperCase()
+        });
+
+        // Lines outside the diff go into the summary instead of being lost
+        if (!anchor.placed || (rightSideOnly && anchor.side === 'LEFT')) {
+            unplaced.push({
+                file: filePath,
+                line: comment.line,
+                severity: comment.severity,
+                body: withRuleTag(commentBody, comment.ruleId),
+                reason: anchor.placed ? 'Removed line of an incremental review' : anchor.reason
+            });
+            continue;
+        }
+
+        const fingerprint = commentFingerprint(filePath, comment.line, commentBody);
+        const inlineComment = { path: filePath, line: anchor.line, side: anchor.side };
+        if (anchor.startLine) {
+            inlineComment.start_line = anchor.startLine;
+            inlineComment.start_side = anchor.side;
+        }
+        let body = commentBody;
+
+        // Replacement code becomes a one-click suggestion when its lines are all in one hunk
+        if (typeof comment.suggestion === 'string') {
+            const suggestionStart = startLine || comment.line;
+            const range = anchor.side === 'RIGHT'
+                ? checkSuggestionRange(hunkIndex, filePath, suggestionStart, comment.line)
+                : { valid: false, reason: 'Suggestion targets deleted lines' };
+
+            if (range.valid) {
+                delete inlineComment.start_line;
+                delete inlineComment.start_side;
+                if (suggestionStart !== comment.line) {
+                    inlineComment.start_line = suggestionStart;
+                    inlineComment.start_side = 'RIGHT';
+                }
+                suggestions.anchored++;
+            } else {
+                suggestions.unanchored.push({ file: filePath, line: comment.line, reason: range.reason });
+            }
+            body = buildSuggestionBody(body, comment.suggestion, range.valid);
+        }
+
+        inline.push({
+            ...inlineComment,
+            body: `${withRuleTag(body, comment.ruleId)}\n\n${buildFingerprintMarker(fingerprint, {
+                severity: normalizeSeverity(comment.severity),
+                blocking: comment.blocking
+            })}`
+        });
+    }
+
+    return { inline, skipped, unplaced, suggestions };
+}
+
+// Findings for the quality gate of an incremental review: the new comments plus the still-open ones from earlier runs,
+// minus those the new review reported again
+function withOpenFindings(comments = [], openFindings = []) {
+    const reported = new Set(comments.map(comment =>
+        commentFingerprint(comment.file || comment.filename, comment.line, comment.message || comment.body)));
+    return [...openFindings.filter(finding => !reported.has(finding.fingerprint)), ...comments];
+}
+
+// Review summary comment: scope note, summary, comments that could not be placed inline, and the markers for re-runs
+function buildSummaryBody(review, { inlineCount, reviewedSha, baseSha = null, unplaced = [] }) {
+    const summary = review.summary && review.summary.trim()
+        ? review.summary
+        : `AI review found ${inlineCount} item(s) to look at.`;
+    const scopeNote = baseSha
+        ? `_Incremental review of changes since ${baseSha.substring(0, 7)}._\n\n`
+        : '';
+    const unplacedSection = buildUnplacedSection(unplaced);
+    return `## Review Summary
+
+${scopeNote}${summary}
+${unplacedSection ? `\n${unplacedSection}\n` : ''}
+---
+*Generated by CodeWhisperer*
+${SUMMARY_MARKER}
+${buildReviewedShaMarker(reviewedSha)}`;
+}
+
+// Post review to hosts without multi-comment reviews (GitLab, Bitbucket Server): inline comments one by one, then the summary.
+// Comments the host refuses to anchor are listed in the summary instead. Comments an earlier run posted are skipped
+// and its summary is edited in place.
+async function postReviewAsComments(provider, org, repo, prNumber, review, options = {}, logger) {
+    logger.info(`Posting review to ${provider.label}`, {
+        org,
+        repo,
+        prNumber,
+        summaryLength: review.summary?.length || 0,
+        commentCount: review.comments?.length || 0
+    });
+
+    const limited = options.maxInlineComments !== undefined && options.maxInlineComments !== null;
+    const { inline, skipped, unplaced, suggestions } = buildReviewComments(
+        limited ? sortBySeverity(review.comments || []) : review.comments,
+        review.hunks,
+        { rightSideOnly: !!options.baseSha }
+    );
+    const result = {
+        posted: false,
+        summaryId: null,
+        summaryUpdated: false,
+        inlineComments: 0,
+        duplicatesSkipped: 0,
+        suggestions,
+        unplaced: unplaced.map(({ file, line, reason }) => ({ file, line, reason })),
+        dropped: skipped
+    };
+
+    try {
+        const details = options.details || await provider.getPullRequest(org, repo, prNumber);
+        const reviewedSha = options.headSha || details.head.sha;
+        const diffLines = indexDiffLines(options.diff || await provider.getDiff(org, repo, prNumber));
+
+        const existing = await provider.listComments(org, repo, prNumber);
+        const summaryComment = existing.filter(comment => hasSummaryMarker(comment.body)).pop() || null;
+        const postedFingerprints = new Set(existing.map(comment => parseFingerprintMarker(comment.body)).filter(Boolean));
+
+        let toPost = inline.filter(comment => !postedFingerprints.has(parseFingerprintMarker(comment.body)));
+        result.duplicatesSkipped = inline.length - toPost.length;
+        if (limited && toPost.length > options.maxInlineComments) {
+            result.dropped.push(...toPost.slice(options.maxInlineComments).map(comment => ({
+                file: comment.path,
+                line: comment.line,
+                reason: `Exceeds the inline comment limit (${options.maxInlineComments})`
+            })));
+            toPost = toPost.slice(0, options.maxInlineComments);
+        }
+
+        const rejected = [];
+        for (const comment of toPost) {
+            const file = diffLines.get(comment.path);
+            try {
+                await provider.postInlineComment(org, repo, prNumber, {
+                    ...comment,
+                    oldPath: file?.oldFilename,
+                    lineInfo: file?.lines[comment.side].get(comment.line)
+                }, details);
+                result.inlineComments++;
+            } catch (error) {
+                // 400/409/422: the host could not anchor the comment; anything else is a real failure
+                if (![400, 409, 422].includes(error.status)) {
+                    throw error;
+                }
+                rejected.push({ file: comment.path, line: comment.line, body: stripFingerprintMarker(comment.body) });
+                result.dropped.push({ file: comment.path, line: comment.line, reason: `Rejected by ${provider.label}: ${error.message}` });
+            }
+        }
+
+        const summaryBody = buildSummaryBody(review, {
+            inlineCount: inline.length,
+            reviewedSha,
+            baseSha: options.baseSha,
+            unplaced: [...unplaced, ...rejected]
+        });
+        const summary = summaryComment
+            ? await provider.updateSummary(org, repo, prNumber, summaryComment, summaryBody)
+            : await provider.postSummary(org, repo, prNumber, summaryBody);
+        result.summaryId = summary.id;
+        result.summaryUpdated = !!summaryComment;
+        result.posted = true;
+
+        if (result.duplicatesSkipped > 0) {
+            logger.info(`Skipped ${result.duplicatesSkipped} comment(s) already posted by a previous run`);
+        }
+        if (result.dropped.length > 0) {
+            logger.warn(`Dropped ${result.dropped.length} comment(s) that could not be posted inline`);
+        }
+        logger.success(`Successfully posted review to ${provider.label} with ${result.inlineComments} inline comments!`);
+    } catch (error) {
+        logger.error(`Failed to post review to ${provider.label}`, { error: error.message });
+        // Don't fail the entire review if posting comments fails
+        result.error = error.message;
+    }
+
+    return result;
+}
+
+// Explain on the PR why it was not reviewed (GitLab, Bitbucket Server), editing the earlier note instead of adding another
+async function postSkipCommentAsComment(provider, org, repo, prNumber, reason, logger) {
+    const body = `${SKIPPED_MARKER}\n🤖 AI review skipped: ${reason}.`;
+
+    try {
+        const existing = (await provider.listComments(org, repo, prNumber)).filter(comment => hasSkippedMarker(comment.body)).pop();
+
+        // Bitbucket returns the marker in its link reference form
+        if (existing && normalizeMarkers(existing.body) === body) {
+            return { posted: false, reason: 'Skip comment already posted', commentId: existing.id };
+        }
+
+        const comment = existing
+            ? await provider.updateSummary(org, repo, prNumber, existing, body)
+            : await provider.postSummary(org, repo, prNumber, body);
+
+        return { posted: true, updated: !!existing, commentId: comment.id };
+    } catch (error) {
+        // The skip itself still stands; only the explanation is missing
+        logger.warn(`Could not post skip comment: ${error.message}`);
+        return { posted: false, error: error.message };
+    }
+}
+
+module.exports = {
+    buildReviewComments,
+    buildSummaryBody,
+    withOpenFindings,
+    postReviewAsComments,
+    postSkipCommentAsComment
+};
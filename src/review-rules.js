@@ -0,0 +1,165 @@
+/**
+ * Team review rules: named guidelines with path globs and severities, given to the reviewer for the files
+ * they apply to, and the rule ID picked back out of the comments it writes
+ */
+
+const yaml = require('js-yaml');
+const { globToRegExp } = require('./path-filter');
+const { SEVERITY_LEVELS } = require('./quality-gate');
+
+const RULE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_./-]*$/;
+const RULE_KEYS = ['id', 'name', 'description', 'paths', 'severity'];
+
+// "[rule-id] message" as asked for in the instructions, optionally bold or with a colon after the tag
+const RULE_TAG_PATTERN = /^\s*\*{0,2}\[([A-Za-z0-9][A-Za-z0-9_./-]*)\]\*{0,2}:?\s*/;
+
+// Problems with a list of rules, e.g. ['rules[0].description must be a non-empty string']; empty when valid
+function describeRuleErrors(rules, keyPath = 'rules') {
+    if (!Array.isArray(rules)) {
+        return [`${keyPath} must be a list of rules`];
+    }
+
+    const errors = [];
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+        const rulePath = `${keyPath}[${index}]`;
+        if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+            errors.push(`${rulePath} must be a mapping`);
+            return;
+        }
+
+        for (const key of Object.keys(rule).filter(key => !RULE_KEYS.includes(key))) {
+            errors.push(`${rulePath}.${key} is not a supported rule setting`);
+        }
+        if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+            errors.push(`${rulePath}.id must be letters, digits, ".", "_", "-" or "/"`);
+        } else if (ids.has(rule.id)) {
+            errors.push(`${rulePath}.id "${rule.id}" is used more than once`);
+        } else {
+            ids.add(rule.id);
+        }
+        if (typeof rule.description !== 'string' || rule.description.trim() === '') {
+            errors.push(`${rulePath}.description must be a non-empty string`);
+        }
+        if (rule.name !== undefined && (typeof rule.name !== 'string' || rule.name.trim() === '')) {
+            errors.push(`${rulePath}.name must be a non-empty string`);
+        }
+        if (rule.paths !== undefined
+            && !(Array.isArray(rule.paths) && rule.paths.every(glob => typeof glob === 'string' && glob.trim() !== ''))) {
+            errors.push(`${rulePath}.paths must be a list of glob strings`);
+        }
+        if (rule.severity !== undefined && !SEVERITY_LEVELS.includes(rule.severity)) {
+            errors.push(`${rulePath}.severity must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+        }
+    });
+    return errors;
+}
+
+// Rules from a rule file: a list, or a mapping with a `rules` list (YAML or JSON by extension)
+function parseRuleFile(content, fileName) {
+    let parsed;
+    try {
+        parsed = fileName.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+        throw new Error(`Could not parse rule file ${fileName}: ${error.message}`);
+    }
+
+    const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+    const errors = describeRuleErrors(rules ?? null);
+    if (errors.length > 0) {
+        throw new Error(`Invalid rules in ${fileName}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return rules;
+}
+
+// Combine rule sources in order, each { source, rules }; an ID may only be defined once
+function combineRules(sources) {
+    const combined = [];
+    for (const { source, rules } of sources) {
+        for (const rule of rules) {
+            const existing = combined.find(known => known.id === rule.id);
+            if (existing) {
+                throw new Error(`Rule "${rule.id}" is defined in both ${existing.source} and ${source}`);
+            }
+            combined.push({
+                id: rule.id,
+                name: rule.name || null,
+                description: rule.description.trim(),
+                paths: rule.paths || [],
+                severity: rule.severity || null,
+                source
+            });
+        }
+    }
+    return combined;
+}
+
+function ruleApplies(rule, file) {
+    return rule.paths.length === 0 || rule.paths.some(glob => globToRegExp(glob).test(file));
+}
+
+// Rules that apply to at least one of the files (all of them when the file list is unknown)
+function rulesForFiles(rules, files = []) {
+    return files.length === 0 ? rules : rules.filter(rule => files.some(file => ruleApplies(rule, file)));
+}
+
+// Review instructions listing the rules; empty when there are none
+function buildRuleInstructions(rules) {
+    if (rules.length === 0) {
+        return '';
+    }
+
+    const items = rules.map((rule) => {
+        const details = [rule.severity, rule.paths.length > 0 ? `files: ${rule.paths.join(', ')}` : null].filter(Boolean);
+        const title = rule.name ? ` ${rule.name}` : '';
+        return `- [${rule.id}]${title}${details.length > 0 ? ` (${details.join('; ')})` : ''}: ${rule.description}`;
+    });
+
+    return [
+        '# Team review rules',
+        '',
+        'Check the changes against these rules; each only applies to files matching its globs. '
+            + 'When a comment is about a rule, start it with the rule ID in square brackets, e.g. "[rule-id] ...", '
+            + 'and use the rule\'s severity.',
+        '',
+        ...items
+    ].join('\n');
+}
+
+// Set ruleId (and the rule's severity) on comments that name an applicable rule, removing the tag from the text
+function tagRuleComments(comments = [], rules = []) {
+    const byId = new Map(rules.map(rule => [rule.id, rule]));
+
+    return comments.map((comment) => {
+        const text = comment.message ?? comment.body ?? '';
+        const tag = text.match(RULE_TAG_PATTERN);
+        const rule = byId.get(comment.ruleId) || (tag && byId.get(tag[1]));
+        const file = comment.file || comment.filename;
+        if (!rule || (file && !ruleApplies(rule, file))) {
+            return comment;
+        }
+
+        const textKey = comment.message !== undefined ? 'message' : 'body';
+        return {
+            ...comment,
+            ...(tag && tag[1] === rule.id ? { [textKey]: text.substring(tag[0].length) } : {}),
+            ruleId: rule.id,
+            ...(rule.severity ? { severity: rule.severity } : {})
+        };
+    });
+}
+
+// Posted comments name their rule on a last line (plain Markdown, Bitbucket escapes HTML)
+function withRuleTag(body, ruleId) {
+    return ruleId ? `${body}\n\n_Rule: \`${ruleId}\`_` : body;
+}
+
+module.exports = {
+    describeRuleErrors,
+    parseRuleFile,
+    combineRules,
+    rulesForFiles,
+    buildRuleInstructions,
+    tagRuleComments,
+    withRuleTag
+};
@@ -0,0 +1,67 @@
+/**
+ * GitHub check run / commit status content for the AI review outcome
+ */
+
+const { SEVERITY_LEVELS } = require('./quality-gate');
+
+const STATUS_NAME = 'AI Code Review';
+
+// Commit status descriptions are limited to 140 characters by GitHub
+const MAX_DESCRIPTION_LENGTH = 140;
+
+// One-line "1 critical, 0 error, ..." breakdown, highest severity first
+function formatCounts(counts) {
+    return [...SEVERITY_LEVELS].reverse()
+        .map(level => `${counts[level] || 0} ${level}`)
+        .join(', ');
+}
+
+// Build the check run conclusion and commit status state for a finished (or failed) review
+function buildStatusOutcome({ qualityGate, error, buildUrl } = {}) {
+    const buildLink = buildUrl ? `\n\n[Jenkins build](${buildUrl})` : '';
+
+    if (error) {
+        return {
+            conclusion: 'failure',
+            state: 'error',
+            title: 'AI review failed to run',
+            summary: `The AI review could not be completed: ${error}${buildLink}`,
+            description: truncate(`Review failed to run: ${error}`)
+        };
+    }
+
+    const counts = formatCounts(qualityGate.counts);
+    const reasons = qualityGate.reasons.length > 0
+        ? `\n\n${qualityGate.reasons.map(reason => `- ${reason}`).join('\n')}`
+        : '';
+    const table = [
+        '| Severity | Comments |',
+        '|----------|----------|',
+        ...[...SEVERITY_LEVELS].reverse().map(level => `| ${level} | ${qualityGate.counts[level] || 0} |`)
+    ].join('\n');
+
+    const outcomes = {
+        passed: { conclusion: 'success', state: 'success', title: 'AI review passed' },
+        unstable: { conclusion: 'neutral', state: 'success', title: 'AI review found issues to look at' },
+        failed: { conclusion: 'failure', state: 'failure', title: 'AI review found blocking issues' }
+    };
+    const outcome = outcomes[qualityGate.status];
+
+    return {
+        ...outcome,
+        summary: `${table}${reasons}${buildLink}`,
+        description: truncate(`${outcome.title}: ${counts}`)
+    };
+}
+
+// Keep commit status descriptions within GitHub's limit
+function truncate(text) {
+    return text.length > MAX_DESCRIPTION_LENGTH
+        ? `${text.substring(0, MAX_DESCRIPTION_LENGTH - 3)}...`
+        : text;
+}
+
+module.exports = {
+    STATUS_NAME,
+    buildStatusOutcome
+};
@@ -0,0 +1,209 @@
+/**
+ * Deterministic scan for committed secrets, run on the diff before anything is sent to the LLM
+ */
+
+const { splitDiffByFile, joinDiffFiles } = require('./diff-utils');
+const { globToRegExp } = require('./path-filter');
+
+// Known credential formats, most specific first; `group` picks the secret out of a wider match
+const SECRET_RULES = [
+    { id: 'aws-access-key-id', description: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    {
+        id: 'aws-secret-access-key',
+        description: 'AWS secret access key',
+        pattern: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})\b/gi,
+        group: 1
+    },
+    { id: 'github-token', description: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+    { id: 'gitlab-token', description: 'GitLab token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g },
+    { id: 'slack-token', description: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+    { id: 'google-api-key', description: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+    { id: 'stripe-secret-key', description: 'Stripe secret key', pattern: /\b[rs]k_live_[0-9A-Za-z]{16,}/g },
+    { id: 'openai-api-key', description: 'OpenAI API key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{32,}/g },
+    { id: 'jwt', description: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+    { id: 'url-credentials', description: 'password in a URL', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s:@/]{3,})@/gi, group: 1 },
+    {
+        id: 'hard-coded-secret',
+        description: 'hard-coded password or secret',
+        pattern: /(?:password|passwd|pwd|secret|token|api_?key|access_?key|client_?secret)["']?\s*[:=]\s*["']([^"'\s]{8,})["']/gi,
+        group: 1,
+        minEntropy: 3
+    },
+    // Long quoted strings mixing upper case, lower case and digits, like generated keys
+    {
+        id: 'high-entropy-string',
+        description: 'high-entropy string',
+        pattern: /["'`]([A-Za-z0-9+/_-]{32,}={0,2})["'`]/g,
+        group: 1,
+        minEntropy: 4.5
+    }
+];
+
+// Private key blocks span lines, so they are tracked from BEGIN to END
+const PRIVATE_KEY_BEGIN = /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/;
+const PRIVATE_KEY_END = /-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/;
+
+// Values that stand in for a secret rather than being one
+const PLACEHOLDER = /^(?:\$\{.*\}|\$[A-Z_]+|<.*>|\{\{.*\}\}|x+|\*+|\.+|(?:your|my|example|sample|dummy|fake|test|placeholder|changeme)[\w-]*)$/i;
+
+// Integrity hashes and the like in lockfiles and manifests
+const HASH_PREFIX = /^(?:sha(?:1|256|384|512)-)/i;
+
+function entropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let total = 0;
+    for (const count of counts.values()) {
+        const share = count / value.length;
+        total -= share * Math.log2(share);
+    }
+    return total;
+}
+
+function isLikelySecret(rule, secret) {
+    if (PLACEHOLDER.test(secret)) {
+        return false;
+    }
+    if (rule.id === 'high-entropy-string'
+        && (HASH_PREFIX.test(secret) || !/[A-Z]/.test(secret) || !/[a-z]/.test(secret) || !/[0-9]/.test(secret))) {
+        return false;
+    }
+    return !rule.minEntropy || entropy(secret) >= rule.minEntropy;
+}
+
+function redactionFor(type) {
+    return `[REDACTED:${type}]`;
+}
+
+// Start of a secret for the report, never enough to use it
+function preview(secret) {
+    return secret.length >= 16 ? `${secret.substring(0, 4)}…` : '…';
+}
+
+// Secrets in one line of text: { text, matches: [{ type, description, preview }] } with each secret replaced
+function scanLine(line) {
+    const spans = [];
+
+    for (const rule of SECRET_RULES) {
+        for (const match of line.matchAll(rule.pattern)) {
+            const secret = rule.group ? match[rule.group] : match[0];
+            const start = match.index + match[0].indexOf(secret);
+            const end = start + secret.length;
+            if (spans.some(span => start < span.end && end > span.start) || !isLikelySecret(rule, secret)) {
+                continue;
+            }
+            spans.push({ start, end, rule, secret });
+        }
+    }
+
+    spans.sort((a, b) => a.start - b.start);
+    let text = '';
+    let position = 0;
+    for (const span of spans) {
+        text += line.substring(position, span.start) + redactionFor(span.rule.id);
+        position = span.end;
+    }
+    text += line.substring(position);
+
+    return {
+        text,
+        matches: spans.map(span => ({ type: span.rule.id, description: span.rule.description, preview: preview(span.secret) }))
+    };
+}
+
+// Line-by-line scanner that also blanks out private key blocks
+function createLineScanner() {
+    let inPrivateKey = false;
+
+    return (line) => {
+        if (inPrivateKey || PRIVATE_KEY_BEGIN.test(line)) {
+            const begins = !inPrivateKey;
+            inPrivateKey = !PRIVATE_KEY_END.test(line);
+            return {
+                text: redactionFor('private-key'),
+                matches: begins ? [{ type: 'private-key', description: 'private key', preview: '…' }] : []
+            };
+        }
+        return scanLine(line);
+    };
+}
+
+// Redact secrets from free text (file contents, PR descriptions); `findings` carry 1-based line numbers
+function redactSecrets(text) {
+    if (!text) {
+        return { text, findings: [] };
+    }
+
+    const scan = createLineScanner();
+    const findings = [];
+    const lines = text.split('\n').map((line, index) => {
+        const result = scan(line);
+        findings.push(...result.matches.map(match => ({ line: index + 1, ...match })));
+        return result.text;
+    });
+    return { text: lines.join('\n'), findings };
+}
+
+// Scan the added, removed and context lines of every file not excluded by `exclude` globs.
+// Everything found is redacted in the returned diff; findings are only reported for added lines.
+function scanDiff(diff, { exclude = [] } = {}) {
+    const excluded = exclude.map(globToRegExp);
+    const findings = [];
+
+    const files = splitDiffByFile(diff).map((file) => {
+        if (!file.filename || excluded.some(pattern => pattern.test(file.filename))) {
+            return file;
+        }
+
+        const scan = createLineScanner();
+        let newLine = null;
+        const lines = file.text.split('\n').map((line) => {
+            const header = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+            if (header) {
+                newLine = parseInt(header[1]);
+                return line;
+            }
+
+            const prefix = line[0];
+            if (newLine === null || !['+', '-', ' '].includes(prefix)) {
+                return line;
+            }
+
+            const result = scan(line.substring(1));
+            if (prefix === '+') {
+                findings.push(...result.matches.map(match => ({ file: file.filename, line: newLine, ...match })));
+            }
+            if (prefix !== '-') {
+                newLine++;
+            }
+            return `${prefix}${result.text}`;
+        });
+
+        return { ...file, text: lines.join('\n') };
+    });
+
+    return { diff: joinDiffFiles(files), findings };
+}
+
+// Blocking review comments for secrets found on added lines
+function buildSecretComments(findings) {
+    return findings.map(finding => ({
+        file: finding.file,
+        line: finding.line,
+        side: 'RIGHT',
+        severity: 'critical',
+        ruleId: `secret-scan/${finding.type}`,
+        blocking: true,
+        message: `🔐 Possible ${finding.description} (\`${finding.preview}\`) committed here. It was not sent to the AI reviewer. `
+            + 'Remove it from the change and rotate it: it stays in the branch history.'
+    }));
+}
+
+module.exports = {
+    SECRET_RULES,
+    redactSecrets,
+    scanDiff,
+    buildSecretComments
+};
@@ -0,0 +1,55 @@
+/**
+ * Decide from the PR details returned by pulls.get whether a review should be skipped
+ */
+
+const { globToRegExp } = require('./path-filter');
+
+// First pattern the value matches, or undefined
+function findMatch(value, patterns = []) {
+    return value ? patterns.find(pattern => globToRegExp(pattern).test(value)) : undefined;
+}
+
+// Check the PR against the skip rules in order; returns { rule, reason } for the first that applies, or null
+function evaluateSkipRules(pr, rules = {}) {
+    if (rules.drafts && pr.draft) {
+        return { rule: 'drafts', reason: 'Pull request is a draft' };
+    }
+
+    const labels = (pr.labels || []).map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+    const label = (rules.labels || []).find(name => labels.includes(name.toLowerCase()));
+    if (label) {
+        return { rule: 'labels', reason: `Pull request has the "${label}" label` };
+    }
+
+    const login = pr.user?.login;
+    if (rules.bots && pr.user?.type === 'Bot') {
+        return { rule: 'bots', reason: `Pull request author ${login} is a bot` };
+    }
+    const author = findMatch(login, rules.authors);
+    if (author) {
+        return { rule: 'authors', reason: `Pull request author ${login} matches "${author}"` };
+    }
+
+    const baseRef = pr.base?.ref;
+    const base = findMatch(baseRef, rules.baseBranches);
+    if (base) {
+        return { rule: 'baseBranches', reason: `Base branch ${baseRef} matches "${base}"` };
+    }
+
+    // pulls.get reports line counts; they are missing from some webhook payload shapes
+    if (Number.isInteger(pr.additions) && Number.isInteger(pr.deletions)) {
+        const changed = pr.additions + pr.deletions;
+        if (rules.maxChangedLines && changed > rules.maxChangedLines) {
+            return { rule: 'maxChangedLines', reason: `Pull request changes ${changed} lines, more than the limit of ${rules.maxChangedLines}` };
+        }
+        if (rules.minChangedLines && changed < rules.minChangedLines) {
+            return { rule: 'minChangedLines', reason: `Pull request changes ${changed} lines, fewer than the minimum of ${rules.minChangedLines}` };
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    evaluateSkipRules
+};
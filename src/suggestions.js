@@ -0,0 +1,81 @@
+/**
+ * GitHub suggested-change blocks, validated against the reviewed hunks
+ */
+
+const { coversRange } = require('./comment-anchors');
+
+// The core returns comments as plain text, so replacement code is requested as a fenced block inside the comment
+const SUGGESTION_INSTRUCTIONS = `# Suggested changes
+
+When a comment proposes replacement code, end the comment with a fenced code block whose info string is \`suggestion\`, containing the complete new text of the commented line and nothing else.
+To replace several consecutive lines, write the info string as \`suggestion:START-END\` with the first and last new-file line numbers of the lines it replaces, and comment on line END.
+Leave the block out when there is no concrete replacement.`;
+
+// ```suggestion or ```suggestion:START-END block on its own lines; the closing fence matches the opening one
+const SUGGESTION_BLOCK = /(?:^|\n)(`{3,})suggestion(?::(\d+)-(\d+))?[ \t]*\n(?:([\s\S]*?)\n)?\1[ \t]*(?=\n|$)/;
+
+// A suggestion must replace lines that all sit in a single hunk on the new side of the diff (index from indexHunks)
+function checkSuggestionRange(hunkIndex, file, startLine, line) {
+    if (!Number.isInteger(startLine) || !Number.isInteger(line) || startLine > line) {
+        return { valid: false, reason: 'Invalid suggestion line range' };
+    }
+
+    const hunks = hunkIndex.get(file);
+    if (!hunks) {
+        return { valid: false, reason: 'No hunk data for file' };
+    }
+
+    const inOneHunk = hunks.some(hunk => coversRange(hunk, 'RIGHT', startLine, line));
+
+    return inOneHunk
+        ? { valid: true }
+        : { valid: false, reason: 'Suggestion targets lines outside the diff' };
+}
+
+// Fence code with more backticks than it contains so nested fences survive
+function fenceCode(code, info = '') {
+    const text = code.replace(/\n$/, '');
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}${info}\n${text}\n${fence}`;
+}
+
+// Comment body with a one-click suggestion, or the proposed code as plain text when it cannot be anchored
+function buildSuggestionBody(body, suggestion, anchored) {
+    return anchored
+        ? `${body}\n\n${fenceCode(suggestion, 'suggestion')}`
+        : `${body}\n\nSuggested change:\n\n${fenceCode(suggestion)}`;
+}
+
+// Move a suggestion block out of a review comment's text into `suggestion` (and `startLine`/`line` for a range)
+function extractSuggestion(comment) {
+    const field = typeof comment.message === 'string' ? 'message' : 'body';
+    const text = comment[field];
+    if (typeof comment.suggestion === 'string' || typeof text !== 'string') {
+        return comment;
+    }
+
+    const match = text.match(SUGGESTION_BLOCK);
+    if (!match) {
+        return comment;
+    }
+
+    const [block, , start, end, code = ''] = match;
+    const rest = `${text.slice(0, match.index)}${text.slice(match.index + block.length)}`.trim();
+    const extracted = { ...comment, [field]: rest || 'Suggested change.', suggestion: code };
+
+    // The range says exactly which lines the code replaces, so it takes over the comment's anchor
+    if (start && Number(start) <= Number(end)) {
+        extracted.startLine = Number(start);
+        extracted.line = Number(end);
+    }
+    return extracted;
+}
+
+module.exports = {
+    SUGGESTION_INSTRUCTIONS,
+    extractSuggestion,
+    checkSuggestionRange,
+    fenceCode,
+    buildSuggestionBody
+};
@@ -0,0 +1,177 @@
+/**
+ * LLM token usage, estimated cost and per-run budgets
+ */
+
+// USD per million tokens; override or extend with `pricing` in the repository config
+const DEFAULT_PRICES = {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+// Rough size of a token for English text and code, used when the LLM response has no usage data
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+    return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+// Usage reported by the core, in OpenAI (prompt_tokens) or camelCase shape; null when absent
+function readReportedUsage(source) {
+    const usage = source?.usage || source?.metadata?.usage;
+    if (!usage) {
+        return null;
+    }
+
+    const promptTokens = usage.promptTokens ?? usage.prompt_tokens ?? usage.inputTokens ?? usage.input_tokens;
+    const completionTokens = usage.completionTokens ?? usage.completion_tokens ?? usage.outputTokens ?? usage.output_tokens;
+    if (!Number.isFinite(promptTokens) || !Number.isFinite(completionTokens)) {
+        return null;
+    }
+    return { promptTokens, completionTokens };
+}
+
+// Suffix of a dated snapshot of a listed model, e.g. gpt-4o-mini-2024-07-18
+const SNAPSHOT_SUFFIX = /^-\d{4}-\d{2}-\d{2}$/;
+
+// Price for a model: exact match first, then a dated snapshot of a listed model. Other variants (gpt-4.1-nano)
+// are priced differently from the model they start with, so they stay unpriced.
+function findPrice(model, prices = DEFAULT_PRICES) {
+    if (!model) {
+        return null;
+    }
+    if (prices[model]) {
+        return prices[model];
+    }
+
+    const snapshotOf = Object.keys(prices).find(name => model.startsWith(name) && SNAPSHOT_SUFFIX.test(model.slice(name.length)));
+    return snapshotOf ? prices[snapshotOf] : null;
+}
+
+// Cost in USD rounded to a millionth of a dollar; null when the model has no price
+function costOf({ promptTokens, completionTokens }, price) {
+    if (!price) {
+        return null;
+    }
+    const cost = (promptTokens * price.input + completionTokens * price.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+// Which budget limit the totals have reached, or null while within budget
+function checkBudget(totals, { maxTokens, maxCost } = {}) {
+    if (maxTokens && totals.totalTokens >= maxTokens) {
+        return `token budget reached (${totals.totalTokens} of ${maxTokens} tokens)`;
+    }
+    if (maxCost && totals.cost !== null && totals.cost >= maxCost) {
+        return `cost budget reached ($${totals.cost.toFixed(4)} of $${maxCost.toFixed(4)})`;
+    }
+    return null;
+}
+
+// Why a cost budget cannot be priced before the run (the model has no price), or null.
+// Without a price the cost stays unknown and checkBudget never stops the run.
+function describeUnpricedBudget(model, { maxCost } = {}, prices = DEFAULT_PRICES) {
+    if (!maxCost || findPrice(model, prices)) {
+        return null;
+    }
+    return model
+        ? `No price for the cost budget of $${maxCost}: model "${model}" is not priced. Add it under pricing in the repository config`
+        : `No price for the cost budget of $${maxCost}: LLM_MODEL is not set`;
+}
+
+// Token/cost estimate for one hunk: its own usage when reported, otherwise its diff text and the comments on it
+function hunkUsage(hunk, comments, price) {
+    const file = hunk.filename || hunk.file;
+    const changes = Array.isArray(hunk.changes) ? hunk.changes : [];
+    const lines = changes.map(change => change.lineNumber ?? change.ln ?? change.ln2).filter(Number.isInteger);
+    const first = lines.length > 0 ? Math.min(...lines) : null;
+    const last = lines.length > 0 ? Math.max(...lines) : null;
+
+    const reported = readReportedUsage(hunk);
+    const usage = reported || {
+        promptTokens: estimateTokens(changes.map(change => change.content ?? change.line ?? '').join('\n')),
+        completionTokens: estimateTokens(comments
+            .filter(comment => (comment.file || comment.filename) === file && comment.line >= first && comment.line <= last)
+            .map(comment => comment.message || comment.body || '')
+            .join('\n'))
+    };
+
+    return {
+        file,
+        line: first,
+        ...usage,
+        cost: costOf(usage, price),
+        estimated: !reported
+    };
+}
+
+// Accumulate usage over the LLM calls of one run
+function createUsageMeter({ model = null, prices = DEFAULT_PRICES } = {}) {
+    const calls = [];
+    let currentModel = model;
+
+    const totals = () => {
+        const price = findPrice(currentModel, prices);
+        const promptTokens = calls.reduce((sum, call) => sum + call.promptTokens, 0);
+        const completionTokens = calls.reduce((sum, call) => sum + call.completionTokens, 0);
+        return {
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            cost: costOf({ promptTokens, completionTokens }, price)
+        };
+    };
+
+    return {
+        // Record one reviewChanges call from its input diff and response
+        record(input, review) {
+            currentModel = currentModel || review?.metadata?.llmModel || null;
+            const reported = readReportedUsage(review);
+            calls.push(reported
+                ? { ...reported, estimated: false }
+                : {
+                    promptTokens: estimateTokens(input),
+                    completionTokens: estimateTokens(JSON.stringify({ summary: review?.summary, comments: review?.comments })),
+                    estimated: true
+                });
+        },
+
+        totals,
+
+        exceeded(budget) {
+            return checkBudget(totals(), budget);
+        },
+
+        // Usage for the results metadata, with a per-hunk breakdown
+        report({ hunks = [], comments = [], budget = {} } = {}) {
+            const price = findPrice(currentModel, prices);
+            return {
+                model: currentModel,
+                ...totals(),
+                currency: 'USD',
+                priced: !!price,
+                estimated: calls.some(call => call.estimated),
+                calls: calls.length,
+                budget: {
+                    maxTokens: budget.maxTokens ?? null,
+                    maxCost: budget.maxCost ?? null
+                },
+                hunks: (hunks || []).map(hunk => hunkUsage(hunk, comments || [], price))
+            };
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PRICES,
+    estimateTokens,
+    readReportedUsage,
+    findPrice,
+    costOf,
+    checkBudget,
+    describeUnpricedBudget,
+    createUsageMeter
+};
@@ -0,0 +1,277 @@
+/**
+ * GitHub webhook server: verifies pull_request deliveries and queues reviews and follow-up replies
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// pull_request actions that mean there is new code to review
+const REVIEW_ACTIONS = ['opened', 'synchronize', 'ready_for_review'];
+
+// GitHub payloads are capped at 25 MB; pull_request events are far smaller
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+// Check the X-Hub-Signature-256 header against an HMAC of the raw body
+function verifySignature(secret, payload, signature) {
+    if (!secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+        return false;
+    }
+
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`);
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// FIFO queue running at most `concurrency` jobs; a newer event for a queued PR replaces the older one
+// and the same PR is never reviewed twice at once
+function createReviewQueue({ concurrency = 2, maxSize = 50, worker, onError = () => {} }) {
+    const pending = [];
+    const active = new Set();
+    const idleWaiters = [];
+    let completed = 0;
+    let failed = 0;
+    let closed = false;
+
+    const settleIdle = () => {
+        if (pending.length === 0 && active.size === 0) {
+            idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    };
+
+    const runNext = () => {
+        while (active.size < concurrency) {
+            const index = pending.findIndex(item => !active.has(item.key));
+            if (index === -1) {
+                return;
+            }
+            const [job] = pending.splice(index, 1);
+            active.add(job.key);
+
+            Promise.resolve()
+                .then(() => worker(job))
+                .then(() => { completed++; }, (error) => { failed++; onError(error, job); })
+                .finally(() => {
+                    active.delete(job.key);
+                    runNext();
+                    settleIdle();
+                });
+        }
+    };
+
+    return {
+        // Returns 'queued', 'updated' (replaced a pending job for the same key), 'full' or 'closed'
+        push(job) {
+            if (closed) {
+                return 'closed';
+            }
+            const index = pending.findIndex(item => item.key === job.key);
+            if (index !== -1) {
+                pending[index] = job;
+                return 'updated';
+            }
+            if (pending.length >= maxSize) {
+                return 'full';
+            }
+            pending.push(job);
+            runNext();
+            return 'queued';
+        },
+
+        stats() {
+            return { pending: pending.length, active: active.size, completed, failed, concurrency, maxSize };
+        },
+
+        // Resolves once nothing is pending or running
+        onIdle() {
+            return new Promise((resolve) => {
+                idleWaiters.push(resolve);
+                settleIdle();
+            });
+        },
+
+        // Stop taking jobs and drop the pending ones; resolves with the dropped jobs once the running ones finish
+        close() {
+            closed = true;
+            const dropped = pending.splice(0);
+            return this.onIdle().then(() => dropped);
+        }
+    };
+}
+
+// Turn a pull_request payload into a review job, or explain why it is ignored
+function toReviewJob(payload) {
+    const pullRequest = payload.pull_request;
+    const repository = payload.repository;
+
+    if (!pullRequest || !repository) {
+        return { ignored: 'Payload has no pull request' };
+    }
+    if (!REVIEW_ACTIONS.includes(payload.action)) {
+        return { ignored: `Action "${payload.action}" does not trigger a review` };
+    }
+    if (pullRequest.draft) {
+        return { ignored: 'Pull request is a draft' };
+    }
+
+    const org = repository.owner.login;
+    const repo = repository.name;
+    const pr = String(pullRequest.number);
+
+    return {
+        job: {
+            key: `${org}/${repo}#${pr}`,
+            org,
+            repo,
+            pr,
+            headSha: pullRequest.head && pullRequest.head.sha,
+            installationId: payload.installation ? payload.installation.id : null,
+            action: payload.action
+        }
+    };
+}
+
+// Turn a pull_request_review_comment payload into a follow-up reply job, or explain why it is ignored
+function toReplyJob(payload) {
+    const pullRequest = payload.pull_request;
+    const repository = payload.repository;
+    const comment = payload.comment;
+
+    if (!pullRequest || !repository || !comment) {
+        return { ignored: 'Payload has no review comment' };
+    }
+    if (payload.action !== 'created') {
+        return { ignored: `Action "${payload.action}" does not trigger a reply` };
+    }
+    // The bot's own comments carry its markers; answering them would loop
+    if ((comment.body || '').includes('<!-- ai-reviewer:')) {
+        return { ignored: 'Comment was posted by the reviewer' };
+    }
+
+    const org = repository.owner.login;
+    const repo = repository.name;
+    const pr = String(pullRequest.number);
+
+    return {
+        job: {
+            // Separate from the review key so a reply does not replace a pending review
+            key: `${org}/${repo}#${pr}:reply`,
+            type: 'reply',
+            org,
+            repo,
+            pr,
+            commentId: comment.id,
+            installationId: payload.installation ? payload.installation.id : null,
+            action: payload.action
+        }
+    };
+}
+
+// Webhook events that queue work, and how each payload becomes a job
+const JOB_BUILDERS = {
+    pull_request: toReviewJob,
+    pull_request_review_comment: toReplyJob
+};
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// HTTP server with POST /webhook and GET /health
+function createWebhookServer({ secret, queue, logger }) {
+    const startedAt = Date.now();
+
+    return http.createServer((req, res) => {
+        const url = req.url.split('?')[0];
+
+        if (req.method === 'GET' && url === '/health') {
+            sendJson(res, 200, {
+                status: 'ok',
+                uptime: Math.round((Date.now() - startedAt) / 1000),
+                queue: queue.stats()
+            });
+            return;
+        }
+
+        if (req.method !== 'POST' || (url !== '/webhook' && url !== '/')) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                sendJson(res, 413, { error: 'Payload too large' });
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (res.writableEnded) {
+                return;
+            }
+
+            const body = Buffer.concat(chunks);
+            const event = req.headers['x-github-event'];
+            const delivery = req.headers['x-github-delivery'];
+
+            if (!verifySignature(secret, body, req.headers['x-hub-signature-256'])) {
+                logger.warn('Rejected webhook with an invalid signature', { delivery });
+                sendJson(res, 401, { error: 'Invalid signature' });
+                return;
+            }
+
+            if (event === 'ping') {
+                sendJson(res, 200, { status: 'pong' });
+                return;
+            }
+
+            if (!JOB_BUILDERS[event]) {
+                sendJson(res, 202, { status: 'ignored', reason: `Event "${event}" is not handled` });
+                return;
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(body.toString('utf8'));
+            } catch (error) {
+                sendJson(res, 400, { error: 'Invalid JSON payload' });
+                return;
+            }
+
+            const { job, ignored } = JOB_BUILDERS[event](payload);
+            if (ignored) {
+                sendJson(res, 202, { status: 'ignored', reason: ignored });
+                return;
+            }
+
+            const outcome = queue.push({ ...job, delivery });
+            if (outcome === 'full' || outcome === 'closed') {
+                logger.warn(`Review queue is ${outcome}, rejecting webhook`, { pullRequest: job.key, delivery });
+                sendJson(res, 503, { error: outcome === 'full' ? 'Review queue is full' : 'Server is shutting down' });
+                return;
+            }
+
+            logger.info(`${job.type === 'reply' ? 'Follow-up reply' : 'Review'} ${outcome} for ${job.key}`, {
+                action: job.action,
+                headSha: job.headSha,
+                delivery
+            });
+            sendJson(res, 202, { status: outcome, pullRequest: job.key });
+        });
+    });
+}
+
+module.exports = {
+    REVIEW_ACTIONS,
+    verifySignature,
+    createReviewQueue,
+    toReviewJob,
+    toReplyJob,
+    createWebhookServer
+};